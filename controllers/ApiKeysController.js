@@ -0,0 +1,130 @@
+// controllers/ApiKeysController.js
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getUserId } from '../utils/auth';
+import { API_KEY_SCOPES, formatApiKey, generateApiKey } from '../utils/apikeys';
+
+class ApiKeysController {
+  /**
+   * Creates an API key for the current user
+   *
+   * The body holds a name, the scopes of the key (see API_KEY_SCOPES),
+   * and optionally an expiry date (expiresAt) and a folder the key is
+   * restricted to (folderId). The key is sent in an
+   * `Authorization: Bearer` header to the files routes; it is only
+   * returned in this response.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the new key or error message
+   */
+  static async postApiKey(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const {
+      name, scopes, expiresAt, folderId,
+    } = req.body || {};
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'Missing name' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0
+      || !scopes.every((scope) => API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({ error: 'Invalid scopes' });
+    }
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'Invalid expiresAt' });
+      }
+    }
+
+    let folder = null;
+    if (folderId !== undefined && folderId !== null) {
+      if (typeof folderId === 'string' && ObjectId.isValid(folderId)) {
+        folder = await dbClient.db.collection('files').findOne({
+          _id: ObjectId(folderId),
+          userId: ObjectId(userId),
+          type: 'folder',
+          deletedAt: null,
+        });
+      }
+      if (!folder) {
+        return res.status(400).json({ error: 'Invalid folderId' });
+      }
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = {
+      userId: ObjectId(userId),
+      name,
+      keyHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      folderId: folder ? folder._id : null,
+      expiresAt: expiry,
+      lastUsedAt: null,
+    };
+    await dbClient.db.collection('apiKeys').insertOne(apiKey);
+
+    return res.status(201).json({ ...formatApiKey(apiKey), key });
+  }
+
+  /**
+   * Lists the API keys of the current user
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of keys or error message
+   */
+  static async getIndex(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const apiKeys = await dbClient.db.collection('apiKeys')
+      .find({ userId: ObjectId(userId) })
+      .sort({ _id: -1 })
+      .toArray();
+
+    return res.status(200).json(apiKeys.map(formatApiKey));
+  }
+
+  /**
+   * Revokes an API key of the current user
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteApiKey(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    let result;
+    try {
+      result = await dbClient.db.collection('apiKeys').findOneAndDelete({
+        _id: ObjectId(req.params.id),
+        userId: ObjectId(userId),
+      });
+    } catch (error) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (!result.value) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(204).end();
+  }
+}
+
+export default ApiKeysController;
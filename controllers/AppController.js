@@ -16,13 +16,19 @@ class AppController {
   }
 
   /**
-   * Returns statistics about users and files in the database
+   * Returns statistics about users, workspaces and files in the database
+   *
+   * size is the total of all file contents and versions, storedSize the
+   * bytes actually stored once identical contents are deduplicated.
    */
   static async getStats(req, res) {
     try {
       const stats = {
         users: await dbClient.nbUsers(),
+        workspaces: await dbClient.nbWorkspaces(),
         files: await dbClient.nbFiles(),
+        size: await dbClient.filesSize(),
+        storedSize: await dbClient.storedSize(),
       };
       
       return res.status(200).json(stats);
@@ -1,15 +1,31 @@
 // controllers/AuthController.js
-import { v4 as uuidv4 } from 'uuid';
-import sha1 from 'sha1';
+import { ObjectId } from 'mongodb';
 import dbClient from '../utils/db';
 import redisClient from '../utils/redis';
+import { hashPassword, needsRehash, verifyPassword } from '../utils/password';
+import { getUserId } from '../utils/auth';
+import { createSession, getSessionId, revokeSession } from '../utils/sessions';
+import {
+  CHALLENGE_TTL, claimChallenge, completeChallenge, createChallenge, failChallenge,
+  useSecondFactor,
+} from '../utils/twofactor';
+import {
+  clearConnectFailures, getConnectLockout, recordConnectFailure,
+} from '../utils/ratelimit';
 
 class AuthController {
   /**
    * Authenticates a user and generates an access token
    * 
-   * Uses Basic Authentication to validate credentials and generates
-   * a unique token stored in Redis for subsequent authenticated requests.
+   * Uses Basic Authentication to validate credentials and opens a session
+   * whose token authenticates subsequent requests (see utils/sessions).
+   * Passwords still stored with an older hash are hashed again on success.
+   *
+   * Users with two-factor authentication get a challenge instead of a
+   * token, to complete with a code in POST /connect/2fa.
+   *
+   * Repeated failures lock the sign-ins of the email, and of the IP
+   * address, for a time that grows with each further failure.
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -34,22 +50,43 @@ class AuthController {
 
     // Find user with matching email and password
     try {
-      const hashedPassword = sha1(password);
-      const user = await dbClient.db.collection('users').findOne({
-        email,
-        password: hashedPassword,
-      });
+      const lockout = await getConnectLockout(email, req.ip);
+      if (lockout > 0) {
+        res.set('Retry-After', lockout);
+        return res.status(429).json({ error: 'Too many failed attempts' });
+      }
+
+      const users = dbClient.db.collection('users');
+      const user = await users.findOne({ email });
 
-      if (!user) {
+      if (!user || !await verifyPassword(password, user.password)) {
+        await recordConnectFailure(email, req.ip);
         return res.status(401).json({ error: 'Unauthorized' });
       }
 
-      // Generate a token and store it in Redis
-      const token = uuidv4();
-      const key = `auth_${token}`;
-      
-      // Store user ID in Redis with 24-hour expiration (86400 seconds)
-      await redisClient.set(key, user._id.toString(), 86400);
+      // Migrate the stored hash; the filter skips it if it changed meanwhile
+      if (needsRehash(user.password)) {
+        await users.updateOne(
+          { _id: user._id, password: user.password },
+          { $set: { password: await hashPassword(password) } },
+        );
+      }
+
+      // The password alone isn't enough with two-factor authentication
+      if (user.twoFactor && user.twoFactor.enabled) {
+        const challenge = await createChallenge(user._id.toString());
+        return res.status(200).json({
+          twoFactorRequired: true,
+          challenge,
+          expiresIn: CHALLENGE_TTL,
+        });
+      }
+
+      // Failures are only forgotten once the whole sign-in succeeded
+      await clearConnectFailures(email);
+
+      // Open a session; its token expires after SESSION_TTL seconds unused
+      const token = await createSession(user._id.toString(), req);
 
       return res.status(200).json({ token });
     } catch (error) {
@@ -58,6 +95,57 @@ class AuthController {
     }
   }
 
+  /**
+   * Completes a sign-in with two-factor authentication
+   *
+   * The body holds the challenge returned by GET /connect and a code from
+   * the authenticator app, or a recovery code. A challenge is dropped
+   * after a few wrong codes, and checked by one request at a time.
+   * Wrong codes count as failed sign-ins of the email and IP address,
+   * like wrong passwords in GET /connect.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with token or error
+   */
+  static async postConnectTwoFactor(req, res) {
+    const { challenge, code } = req.body || {};
+    if (!challenge || !code) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // The challenge is taken before the code is used up, so a valid
+    // code always completes the sign-in
+    const claim = await claimChallenge(String(challenge));
+    if (!claim) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const { userId } = claim;
+
+    const user = await dbClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // A locked sign-in drops the challenge, to start again once unlocked
+    const lockout = await getConnectLockout(user.email, req.ip);
+    if (lockout > 0) {
+      res.set('Retry-After', lockout);
+      return res.status(429).json({ error: 'Too many failed attempts' });
+    }
+
+    if (!await useSecondFactor(user, String(code))) {
+      await recordConnectFailure(user.email, req.ip);
+      await failChallenge(String(challenge), claim);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+    await completeChallenge(String(challenge));
+    await clearConnectFailures(user.email);
+
+    const token = await createSession(userId, req);
+    return res.status(200).json({ token });
+  }
+
   /**
    * Signs out a user by invalidating their token
    * 
@@ -69,22 +157,16 @@ class AuthController {
    * @returns {Object} - Empty response with status code 204 on success
    */
   static async getDisconnect(req, res) {
-    // Get token from X-Token header
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Find user ID associated with the token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-
+    // Find user ID associated with the X-Token header
+    const userId = await getUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Delete the token from Redis
-    await redisClient.del(key);
+    // Delete the token and its session from Redis
+    const token = req.headers['x-token'];
+    await revokeSession(userId, getSessionId(token));
+    await redisClient.del(`auth_${getSessionId(token)}`);
 
     // Return no content (successful logout)
     return res.status(204).end();
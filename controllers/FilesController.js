@@ -1,12 +1,243 @@
 // controllers/FilesController.js
 import { v4 as uuidv4 } from 'uuid';
-import fs from 'fs';
-import path from 'path';
 import { ObjectId } from 'mongodb';
-import redisClient from '../utils/redis';
 import dbClient from '../utils/db';
-import mime from 'mime-types';
-import Queue from 'bull';
+import {
+  findAncestors, formatFile, getOwnerForParent, getRole, hasRole, validateParent,
+  validateUpload,
+} from '../utils/files';
+import {
+  addThumbnailJob, copyQueue, extractQueue, pendingThumbnails,
+} from '../utils/queue';
+import {
+  discardContent, parseMultipart, saveBuffer, saveStream,
+} from '../utils/upload';
+import { acquireBlob, releaseBlob, storeBlob } from '../utils/blobs';
+import { sendFileContent, sendStoredContent } from '../utils/send';
+import { getUserId } from '../utils/auth';
+import { isInKeyFolder } from '../utils/apikeys';
+import { getMemberRole, hasMemberRole } from '../utils/workspaces';
+import { getAvailableSpace, hasSpace } from '../utils/quota';
+import { buildSearchQuery } from '../utils/search';
+import { listArchiveEntries, sendArchive } from '../utils/archive';
+import { isZipFile } from '../utils/extract';
+import {
+  decodeCursor, encodeCursor, findPage, parseListing,
+} from '../utils/pagination';
+import { locate } from '../utils/storage';
+import { purgeTrash, restoreFile, trashFile } from '../utils/trash';
+import {
+  addVersion, findVersion, formatVersions,
+} from '../utils/versions';
+import {
+  COPY_SYNC_MAX_BYTES, COPY_SYNC_MAX_FILES, copyItems, planCopy,
+} from '../utils/copy';
+
+/**
+ * Converts string fields from a form or query string
+ *
+ * @param {Object} fields - Raw string fields
+ * @returns {Object} - Fields with parentId and isPublic converted
+ */
+function normalizeFields(fields) {
+  const normalized = { ...fields };
+  if (normalized.parentId === undefined || normalized.parentId === '0') {
+    normalized.parentId = 0;
+  }
+  normalized.isPublic = normalized.isPublic === 'true';
+  return normalized;
+}
+
+/**
+ * Reads the fields and content of an upload request
+ *
+ * Multipart and raw binary bodies are streamed to the storage folder;
+ * JSON bodies keep the content Base64-encoded in the `data` field.
+ * Fields sent as strings (multipart or query string) are converted to
+ * the types used in JSON bodies.
+ *
+ * Streamed content longer than getMaxBytes (called with the fields)
+ * fails with the EMAXSIZE error code, before the body is read when its
+ * Content-Length is already too large.
+ *
+ * @param {Object} req - Express request object
+ * @param {Function} getMaxBytes - Returns a promise of the maximum size
+ *   of the content
+ * @returns {Promise<Object>} - fields, and content (null if not streamed)
+ */
+async function readUpload(req, getMaxBytes) {
+  if (req.is('multipart/form-data')) {
+    const { fields, content } = await parseMultipart(
+      req,
+      (partFields) => getMaxBytes(normalizeFields(partFields)),
+    );
+    return { fields: normalizeFields(fields), content };
+  }
+
+  if (req.is('application/octet-stream')) {
+    const fields = normalizeFields(req.query);
+    const maxBytes = await getMaxBytes(fields);
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+      const error = new Error('Maximum size exceeded');
+      error.code = 'EMAXSIZE';
+      throw error;
+    }
+    const content = await saveStream(req, maxBytes);
+    return { fields, content };
+  }
+
+  return { fields: req.body || {}, content: null };
+}
+
+/**
+ * Returns the number of bytes an upload can hold
+ *
+ * Uploads count towards the quota of the owner of their parent folder or
+ * workspace. Uploads to a parent the user can't upload into are limited
+ * by the user's own quota until their validation refuses them.
+ *
+ * @param {Object} fields - parentId and workspaceId of the upload
+ * @param {string} userId - ID of the user uploading
+ * @returns {Promise<number>} - Number of bytes, Infinity when unlimited
+ */
+async function getUploadSpace({ parentId = 0, workspaceId = null }, userId) {
+  const invalid = (workspaceId && (parentId !== 0 || !await getMemberRole(workspaceId, userId)))
+    || await validateParent(parentId, userId, 'editor');
+  if (invalid) {
+    return getAvailableSpace(userId);
+  }
+  return getAvailableSpace(await getOwnerForParent(parentId, userId, workspaceId));
+}
+
+/**
+ * Answers a request whose upload could not be read
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by readUpload
+ * @returns {Object} - JSON error response
+ */
+function sendUploadError(res, error) {
+  if (error.code === 'EMAXSIZE') {
+    return res.status(413).json({ error: 'Storage quota exceeded' });
+  }
+  console.error(`Error reading upload: ${error.message}`);
+  return res.status(400).json({ error: 'Invalid upload' });
+}
+
+/**
+ * Validates a parent folder against the API key of a request
+ *
+ * Keys restricted to a folder can only put files inside it.
+ *
+ * @param {Object} req - Express request object
+ * @param {string|number} parentId - ID of the parent folder, or 0
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+async function validateKeyParent(req, parentId) {
+  if (req.apiKey && !await isInKeyFolder(req.apiKey, parentId)) {
+    return 'Parent not found';
+  }
+  return null;
+}
+
+/**
+ * Checks whether a user can read a file
+ *
+ * @param {Object} file - File document from the database
+ * @param {string|null} userId - ID of the authenticated user, if any
+ * @returns {Promise<boolean>} - True if the file is public, or owned by or
+ *   shared with the user
+ */
+async function isReadableBy(file, userId) {
+  return file.isPublic || hasRole(await getRole(file, userId), 'viewer');
+}
+
+/**
+ * Finds a file that the request is allowed to read
+ *
+ * The file must not be in the trash, and must be public, or owned by or
+ * shared with the user authenticated by the X-Token header.
+ *
+ * @param {Object} req - Express request object with the file ID in params
+ * @returns {Promise<Object|null>} - The file document, or null
+ */
+async function findReadableFile(req) {
+  // Find the file in the database, regardless of owner
+  let file;
+  try {
+    file = await dbClient.db.collection('files').findOne({
+      _id: ObjectId(req.params.id),
+      deletedAt: null,
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!file || file.isPublic) {
+    return file;
+  }
+
+  // Check if the authenticated user owns the file or was granted access
+  const userId = await getUserId(req);
+  return await isReadableBy(file, userId) ? file : null;
+}
+
+/**
+ * Finds a file on which the authenticated user has at least a role
+ *
+ * Files owned by a workspace are found for all its members, and files
+ * in a shared folder for the users it was shared with.
+ *
+ * @param {Object} req - Express request object with the file ID in params
+ * @param {string} userId - ID of the authenticated user
+ * @param {Object} query - Filter on the file, outside the trash by default
+ * @param {string} role - Minimum role of the user on the file
+ * @returns {Promise<Object|null>} - The file document, or null
+ */
+async function findFileFor(req, userId, query = { deletedAt: null }, role = 'editor') {
+  let file;
+  try {
+    file = await dbClient.db.collection('files').findOne({
+      _id: ObjectId(req.params.id),
+      ...query,
+    });
+  } catch (error) {
+    return null;
+  }
+
+  if (!file || !hasRole(await getRole(file, userId), role)) {
+    return null;
+  }
+  return file;
+}
+
+/**
+ * Returns whose trash a request targets
+ *
+ * The trash of a workspace is targeted with `workspaceId` in the query
+ * string, by its members with at least the given role.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} userId - ID of the authenticated user
+ * @param {string} role - Minimum role in the workspace
+ * @returns {Promise<Object>} - { ownerId }, or { status, error }
+ */
+async function findTrashOwner(req, userId, role) {
+  const { workspaceId } = req.query;
+  if (!workspaceId) {
+    return { ownerId: userId };
+  }
+
+  const memberRole = await getMemberRole(workspaceId, userId);
+  if (!memberRole) {
+    return { status: 400, error: 'Workspace not found' };
+  }
+  if (!hasMemberRole(memberRole, role)) {
+    return { status: 403, error: 'Forbidden' };
+  }
+
+  return { ownerId: workspaceId };
+}
 
 class FilesController {
   /**
@@ -20,66 +251,59 @@ class FilesController {
    * Files and images are stored both in the database (metadata)
    * and on disk (content), while folders exist only in the database.
    *
+   * The content can be sent in three ways:
+   * - JSON body with the content Base64-encoded in `data`
+   * - multipart/form-data with the fields and a single file part
+   * - application/octet-stream body, with the fields in the query string
+   * The last two are streamed to disk instead of being buffered in memory.
+   * Content that would exceed the storage quota of the user is rejected
+   * with 413.
+   *
+   * Editors of a shared folder can upload into it; the new items belong
+   * to the owner of the folder and count towards their quota. Members of
+   * a workspace upload at its root by passing its ID in `workspaceId`;
+   * items of a workspace count towards the quota of the workspace.
+   *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - JSON response with new file data or error message
    */
   static async postUpload(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
+    const userId = await getUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Extract file information from request body
-    const { name, type, parentId = 0, isPublic = false, data } = req.body;
-
-    // Validate required fields
-    if (!name) {
-      return res.status(400).json({ error: 'Missing name' });
-    }
-
-    // Validate file type
-    const acceptedTypes = ['folder', 'file', 'image'];
-    if (!type || !acceptedTypes.includes(type)) {
-      return res.status(400).json({ error: 'Missing type' });
+    // Read the file information, streaming the content to disk if needed
+    let upload;
+    try {
+      upload = await readUpload(req, (fields) => getUploadSpace(fields, userId));
+    } catch (error) {
+      return sendUploadError(res, error);
     }
 
-    // Validate data for file and image types
-    if (!data && type !== 'folder') {
-      return res.status(400).json({ error: 'Missing data' });
-    }
+    const { fields } = upload;
+    let { content } = upload;
+    const name = fields.name || (content && content.filename);
+    const {
+      type, parentId = 0, isPublic = false, data, workspaceId = null,
+    } = fields;
 
-    // If parentId is provided, verify parent exists and is a folder
-    if (parentId !== 0) {
-      let parent;
-      try {
-        parent = await dbClient.db.collection('files').findOne({
-          _id: ObjectId(parentId),
-        });
-      } catch (error) {
-        return res.status(400).json({ error: 'Parent not found' });
-      }
-
-      if (!parent) {
-        return res.status(400).json({ error: 'Parent not found' });
-      }
-
-      if (parent.type !== 'folder') {
-        return res.status(400).json({ error: 'Parent is not a folder' });
+    // Validate the fields, removing any streamed content on failure
+    const validationError = await validateUpload({
+      name, type, parentId, workspaceId, userId, hasContent: !!(content || data),
+    }) || await validateKeyParent(req, parentId);
+    if (validationError) {
+      if (content) {
+        await discardContent(content);
       }
+      return res.status(400).json({ error: validationError });
     }
 
     // Create the file document for the database
+    const ownerId = await getOwnerForParent(parentId, userId, workspaceId);
     const fileDocument = {
-      userId: ObjectId(userId),
+      userId: ObjectId(ownerId),
       name,
       type,
       isPublic,
@@ -88,60 +312,117 @@ class FilesController {
 
     // If it's a folder, simply save to database
     if (type === 'folder') {
-      const result = await dbClient.db.collection('files').insertOne(fileDocument);
+      if (content) {
+        await discardContent(content);
+      }
+      await dbClient.db.collection('files').insertOne(fileDocument);
       // Return the new folder information
-      return res.status(201).json({
-        id: result.insertedId.toString(),
-        userId,
-        name,
-        type,
-        isPublic,
-        parentId,
-      });
+      return res.status(201).json(formatFile(fileDocument));
     }
 
-    // For files and images, store the content on disk
-    // Get the storage folder path
-    const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
-
-    // Create the storage folder if it doesn't exist
+    // Decode and save Base64 content sent in a JSON body, then store
+    // the content in its blob, shared with identical files
     try {
-      if (!fs.existsSync(folderPath)) {
-        fs.mkdirSync(folderPath, { recursive: true });
+      if (!content) {
+        content = await saveBuffer(Buffer.from(data, 'base64'));
       }
+
+      // The size is only known once the content is saved
+      if (!await hasSpace(ownerId, content.size)) {
+        await discardContent(content);
+        return res.status(413).json({ error: 'Storage quota exceeded' });
+      }
+
+      content = await storeBlob(content);
     } catch (error) {
-      console.error(`Error creating folder: ${error.message}`);
+      console.error(`Error saving file: ${error.message}`);
       return res.status(500).json({ error: 'Internal server error' });
     }
 
-    // Generate a unique filename
-    const filename = uuidv4();
-    const localPath = path.join(folderPath, filename);
+    // Add the storage location to the file document and save to database
+    fileDocument.storage = content.storage;
+    fileDocument.storageKey = content.storageKey;
+    fileDocument.size = content.size;
+    fileDocument.checksum = content.checksum;
+    if (type === 'image') {
+      fileDocument.thumbnails = pendingThumbnails();
+    }
+    const result = await dbClient.db.collection('files').insertOne(fileDocument);
+
+    // For images, ask the worker to generate the thumbnails
+    if (type === 'image') {
+      await addThumbnailJob(ownerId, result.insertedId);
+    }
+
+    // Return the new file information (without the storage location)
+    return res.status(201).json(formatFile(fileDocument));
+  }
+
+  /**
+   * Uploads a ZIP archive and extracts it into a folder
+   *
+   * The archive is sent like the content of postUpload, with the optional
+   * parentId and isPublic fields applying to everything extracted. The
+   * extraction runs as a background job, followed with GET /jobs/:id; the
+   * archive's folders are recreated and its images get thumbnails.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the job or error message
+   */
+  static async postExtract(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-    // Decode and save the file
+    let upload;
     try {
-      // Decode the Base64 data
-      const fileContent = Buffer.from(data, 'base64');
-      // Write the file to disk
-      fs.writeFileSync(localPath, fileContent);
+      upload = await readUpload(req, () => getAvailableSpace(userId));
     } catch (error) {
-      console.error(`Error saving file: ${error.message}`);
-      return res.status(500).json({ error: 'Internal server error' });
+      return sendUploadError(res, error);
     }
 
-    // Add the local path to the file document and save to database
-    fileDocument.localPath = localPath;
-    const result = await dbClient.db.collection('files').insertOne(fileDocument);
+    const { fields } = upload;
+    let { content } = upload;
+    const { parentId = 0, isPublic = false, data } = fields;
 
-    // Return the new file information (without localPath)
-    return res.status(201).json({
-      id: result.insertedId.toString(),
-      userId,
-      name,
-      type,
-      isPublic,
-      parentId,
-    });
+    const validationError = await validateParent(parentId, userId)
+      || await validateKeyParent(req, parentId);
+    if (validationError) {
+      if (content) {
+        await discardContent(content);
+      }
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!content && data) {
+      content = await saveBuffer(Buffer.from(data, 'base64'));
+    }
+    if (!content) {
+      return res.status(400).json({ error: 'Missing data' });
+    }
+
+    if (!await isZipFile(content.localPath)) {
+      await discardContent(content);
+      return res.status(400).json({ error: 'Invalid archive' });
+    }
+
+    // The extracted size is checked by the job, the archive size right away
+    if (!await hasSpace(userId, content.size)) {
+      await discardContent(content);
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    // The archive is stored until the job ends, so any worker can read it
+    const archive = await storeBlob(content);
+    const job = await extractQueue.add(
+      {
+        userId, parentId, isPublic, archive,
+      },
+      { jobId: uuidv4(), removeOnComplete: 1000, removeOnFail: 1000 },
+    );
+    return res.status(202).json({ jobId: job.id, status: 'waiting' });
   }
 
   /**
@@ -149,22 +430,15 @@ class FilesController {
    *
    * This endpoint returns detailed information about a specific file,
    * including its name, type, parent folder, and visibility settings.
-   * Users can only access files they own or files marked as public.
+   * Users can only access files they own or files shared with them, in
+   * which case the response includes their role.
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - JSON response with file data or error message
    */
   static async getShow(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
+    const userId = await getUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
@@ -177,127 +451,336 @@ class FilesController {
     try {
       file = await dbClient.db.collection('files').findOne({
         _id: ObjectId(fileId),
-        userId: ObjectId(userId),
+        deletedAt: null,
       });
     } catch (error) {
       return res.status(404).json({ error: 'Not found' });
     }
 
-    // If file not found, return error
-    if (!file) {
+    // If file not found or not shared with the user, return error
+    const role = file && await getRole(file, userId);
+    if (!role) {
       return res.status(404).json({ error: 'Not found' });
     }
 
     // Return the file information
-    return res.status(200).json({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    });
+    if (role !== 'owner') {
+      return res.status(200).json({ ...formatFile(file), role });
+    }
+    return res.status(200).json(formatFile(file));
   }
 
   /**
    * Lists files with pagination
    *
    * This endpoint returns a paginated list of files for the authenticated user,
-   * optionally filtered by a parent folder ID. It implements server-side
-   * pagination to efficiently handle large file collections.
+   * optionally filtered by a parent folder ID. The content of folders shared
+   * with the user can be listed too, and the files of a workspace the user
+   * is a member of with `workspaceId`. The sort, order, foldersFirst and
+   * limit parameters control the listing (see parseListing).
+   *
+   * Pages can be requested by number with `page`, or with the opaque cursor
+   * of the previous page. When the `cursor` parameter is present (empty for the
+   * first page), the response is an object with the items and the `next` cursor;
+   * otherwise it is an array, with the next cursor in the X-Next-Cursor header.
+   * Cursors give stable pages while files are added.
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
-   * @returns {Array} - JSON array of file data objects or error message
+   * @returns {Array|Object} - JSON list of file data objects or error message
    */
   static async getIndex(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
+    const userId = await getUserId(req);
+    if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    // A cursor holds the parameters of the listing it continues
+    let state;
+    let after;
+    if (req.query.cursor) {
+      const decoded = decodeCursor(req.query.cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      ({ after, ...state } = decoded);
+    } else {
+      const { options, error } = parseListing(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      state = {
+        parentId: req.query.parentId || 0,
+        workspaceId: req.query.workspaceId || null,
+        ...options,
+      };
     }
 
-    // Extract pagination and filtering parameters
-    const parentId = req.query.parentId || 0;
-    const page = parseInt(req.query.page || 0, 10);
+    // The files of a workspace are listed by its members
+    let ownerId = userId;
+    if (state.workspaceId) {
+      if (!await getMemberRole(state.workspaceId, userId)) {
+        return res.status(400).json({ error: 'Workspace not found' });
+      }
+      ownerId = state.workspaceId;
+    }
 
-    // Calculate pagination offset (20 items per page)
-    const pageSize = 20;
-    const skip = page * pageSize;
+    // Page numbers are still supported for existing clients
+    const page = parseInt(req.query.page || 0, 10);
+    const skip = after ? 0 : page * state.limit;
 
     // Build the query for finding files
     const query = {
-      userId: ObjectId(userId),
+      userId: ObjectId(ownerId),
+      deletedAt: null,
     };
 
-    // Add parentId filter if it's not the root (0)
-    if (parentId !== 0) {
-      query.parentId = parentId;
+    // Add parentId filter if it's not the root (0); a folder shared with
+    // the user is listed like its owner would, as everything in a folder
+    // belongs to the owner of the folder
+    if (state.parentId !== 0) {
+      query.parentId = state.parentId;
+
+      let parent = null;
+      try {
+        parent = await dbClient.db.collection('files').findOne({
+          _id: ObjectId(state.parentId),
+          deletedAt: null,
+        });
+      } catch (error) {
+        parent = null;
+      }
+      if (parent && await getRole(parent, userId)) {
+        query.userId = parent.userId;
+      }
     }
 
-    // Fetch paginated files from the database
-    const files = await dbClient.db.collection('files')
-      .find(query)
-      .skip(skip)
+    // Fetch the page of files from the database
+    const files = await findPage(dbClient.db.collection('files'), query, state, { after, skip });
+
+    // Only a full page can be followed by more files
+    const next = files.length === state.limit
+      ? encodeCursor(state, files[files.length - 1])
+      : null;
+    if (next) {
+      res.setHeader('X-Next-Cursor', next);
+    }
+
+    if (req.query.cursor !== undefined) {
+      return res.status(200).json({ items: files.map(formatFile), next });
+    }
+    return res.status(200).json(files.map(formatFile));
+  }
+
+  /**
+   * Searches the files of the authenticated user
+   *
+   * Filters are passed in the query string (see buildSearchQuery) and
+   * combined. Items in the trash are never returned. Results are sorted
+   * by relevance when searching words with q, newest first otherwise,
+   * and paginated like getIndex (20 items per page).
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of file data objects or error message
+   */
+  static async getSearch(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { query, error } = buildSearchQuery(userId, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = parseInt(req.query.page || 0, 10) || 0;
+    const pageSize = 20;
+
+    let cursor = dbClient.db.collection('files').find(query);
+    if (query.$text) {
+      cursor = cursor
+        .project({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } });
+    } else {
+      cursor = cursor.sort({ _id: -1 });
+    }
+
+    const files = await cursor
+      .skip(Math.max(page, 0) * pageSize)
       .limit(pageSize)
       .toArray();
 
-    // Transform the results for the response
-    const filesWithStringIds = files.map((file) => ({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    }));
+    return res.status(200).json(files.map(formatFile));
+  }
+
+  /**
+   * Renames a file or moves it to another folder
+   *
+   * The body can hold a new name and/or a new parentId. The new parent
+   * is validated like in postUpload, and a folder cannot be moved into
+   * itself or one of its descendants. Owners, workspace members and
+   * editors can change a file, but not move it to another owner's folder.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with updated file data or error message
+   */
+  static async patchFile(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findFileFor(req, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
 
-    // Return the list of files
-    return res.status(200).json(filesWithStringIds);
+    const { name } = req.body;
+    let { parentId } = req.body;
+    if (name === undefined && parentId === undefined) {
+      return res.status(400).json({ error: 'Missing name or parentId' });
+    }
+
+    const update = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name) {
+        return res.status(400).json({ error: 'Missing name' });
+      }
+      update.name = name;
+    }
+
+    if (parentId !== undefined) {
+      if (parentId === '0') {
+        parentId = 0;
+      }
+
+      const validationError = await validateParent(parentId, userId, 'editor')
+        || await validateKeyParent(req, parentId);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      // Everything in a folder belongs to its owner, and the root of the
+      // file is the one of its owner
+      const ownerId = file.userId.toString();
+      if (await getOwnerForParent(parentId, ownerId) !== ownerId) {
+        return res.status(400).json({ error: 'Cannot move a file to another owner' });
+      }
+
+      // A folder can't become its own ancestor (the new parent comes first)
+      if (file.type === 'folder' && parentId !== 0) {
+        const ancestors = await findAncestors(parentId);
+        if (ancestors.some((ancestor) => ancestor._id.equals(file._id))) {
+          return res.status(400).json({ error: 'Cannot move a folder into itself' });
+        }
+      }
+      update.parentId = parentId;
+    }
+
+    await dbClient.db.collection('files').updateOne({ _id: file._id }, { $set: update });
+
+    return res.status(200).json(formatFile({ ...file, ...update }));
   }
 
+  /**
+   * Copies a file, or a folder with everything below it
+   *
+   * The body holds the destination parentId (0 or omitted for the root).
+   * Any file the user can read can be copied into a folder the user can
+   * upload into; copies belong to the owner of that folder and count
+   * towards its quota.
+   * Small copies are made during the request (201 with the new file);
+   * larger ones run as a background job (202 with a jobId to poll on
+   * GET /jobs/:id).
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the copy, the job, or error message
+   */
+  static async postCopy(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findFileFor(req, userId, { deletedAt: null }, 'viewer');
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    let { parentId = 0 } = req.body;
+    if (parentId === '0') {
+      parentId = 0;
+    }
+
+    const validationError = await validateParent(parentId, userId, 'editor')
+      || await validateKeyParent(req, parentId);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // A folder can't be copied inside itself
+    if (file.type === 'folder' && parentId !== 0) {
+      const ancestors = await findAncestors(parentId);
+      if (ancestors.some((ancestor) => ancestor._id.equals(file._id))) {
+        return res.status(400).json({ error: 'Cannot copy a folder into itself' });
+      }
+    }
+
+    const ownerId = await getOwnerForParent(parentId, userId);
+    const { items, size } = await planCopy(file);
+    if (!await hasSpace(ownerId, size)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    if (items.length > COPY_SYNC_MAX_FILES || size > COPY_SYNC_MAX_BYTES) {
+      const job = await copyQueue.add(
+        { userId, fileId: file._id.toString(), parentId },
+        { jobId: uuidv4(), removeOnComplete: 1000, removeOnFail: 1000 },
+      );
+      return res.status(202).json({ jobId: job.id, status: 'waiting' });
+    }
+
+    try {
+      const copy = await copyItems(items, parentId, ownerId);
+      return res.status(201).json(formatFile(copy));
+    } catch (error) {
+      console.error(`Error copying file: ${error.message}`);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
 
   /**
    * Makes a file public
    *
    * This endpoint updates a file's visibility to public, allowing it
-   * to be accessed by users other than the owner. Only the file owner
-   * can publish their files.
+   * to be accessed by users other than the owner. Only the owner, or the
+   * owner and admins of the file's workspace, can publish it.
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - JSON response with updated file data or error message
    */
   static async putPublish(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
+    const userId = await getUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
+    // Only the owner can change who reads the file
+    let file = await findFileFor(req, userId, { deletedAt: null }, 'owner');
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
 
-    // Find the file in the database
-    let file;
     try {
-      // Find the file and update its isPublic status in one operation
+      // Update its isPublic status unless it was trashed meanwhile
       file = await dbClient.db.collection('files').findOneAndUpdate(
-        { _id: ObjectId(fileId), userId: ObjectId(userId) },
+        { _id: file._id, deletedAt: null },
         { $set: { isPublic: true } },
         { returnDocument: 'after' } // Return the updated document
       );
@@ -314,49 +797,36 @@ class FilesController {
     }
 
     // Return the updated file information
-    return res.status(200).json({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    });
+    return res.status(200).json(formatFile(file));
   }
 
   /**
    * Makes a file private
    *
    * This endpoint updates a file's visibility to private, restricting
-   * access to only the owner. Only the file owner can unpublish their files.
+   * access to the owner and the users it is shared with. Only the owner,
+   * or the owner and admins of the file's workspace, can unpublish it.
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - JSON response with updated file data or error message
    */
   static async putUnpublish(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
+    const userId = await getUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
+    // Only the owner can change who reads the file
+    let file = await findFileFor(req, userId, { deletedAt: null }, 'owner');
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
 
-    // Find the file in the database
-    let file;
     try {
-      // Find the file and update its isPublic status in one operation
+      // Update its isPublic status unless it was trashed meanwhile
       file = await dbClient.db.collection('files').findOneAndUpdate(
-        { _id: ObjectId(fileId), userId: ObjectId(userId) },
+        { _id: file._id, deletedAt: null },
         { $set: { isPublic: false } },
         { returnDocument: 'after' } // Return the updated document
       );
@@ -373,14 +843,7 @@ class FilesController {
     }
 
     // Return the updated file information
-    return res.status(200).json({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    });
+    return res.status(200).json(formatFile(file));
   }
 
   /**
@@ -388,69 +851,401 @@ class FilesController {
    *
    * This endpoint returns the actual content of a file, with the appropriate MIME type.
    * It includes access control checks to ensure only public files or files owned by
-   * the authenticated user are accessible.
+   * the authenticated user are accessible. For images, the size query parameter
+   * (500, 250 or 100) returns the matching thumbnail once the worker generated it.
+   * The content is streamed from disk and supports Range and conditional requests.
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Stream} - File content with appropriate MIME type
    */
   static async getFile(req, res) {
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
+    // The file must be public or owned by the authenticated user
+    const file = await findReadableFile(req);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // If the file is a folder, return an error
+    if (file.type === 'folder') {
+      return res.status(400).json({ error: "A folder doesn't have content" });
+    }
+
+    return sendFileContent(req, res, file);
+  }
+
+  /**
+   * Downloads a file or folder as a ZIP archive
+   *
+   * Folders are archived with their whole structure. Access rules are
+   * the same as in getFile, for the item and for everything below it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Stream} - The ZIP archive
+   */
+  static async getArchive(req, res) {
+    const file = await findReadableFile(req);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // Access to a folder gives access to everything below it
+    const role = await getRole(file, await getUserId(req));
+    const entries = await listArchiveEntries([file], (item) => !!role || item.isPublic);
+    return sendArchive(res, file.name, entries);
+  }
+
+  /**
+   * Downloads a selection of files and folders as a ZIP archive
+   *
+   * The body holds the IDs of the items in `ids`. Every item must be
+   * readable as in getFile, otherwise nothing is sent.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Stream} - The ZIP archive
+   */
+  static async postArchive(req, res) {
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Missing ids' });
+    }
+
+    if (!ids.every((id) => typeof id === 'string' && ObjectId.isValid(id))) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const userId = await getUserId(req);
+    const uniqueIds = [...new Set(ids)];
+    const files = await dbClient.db.collection('files').find({
+      _id: { $in: uniqueIds.map((id) => ObjectId(id)) },
+      deletedAt: null,
+    }).toArray();
+
+    const roles = await Promise.all(files.map((item) => getRole(item, userId)));
+    const readable = files.filter((item, index) => roles[index] || item.isPublic);
+    if (readable.length !== uniqueIds.length) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // Keep the order of the request
+    readable.sort((a, b) => uniqueIds.indexOf(a._id.toString())
+      - uniqueIds.indexOf(b._id.toString()));
+
+    // Access to a folder gives access to everything below it
+    const sharedRoots = new Set(files
+      .filter((item, index) => roles[index])
+      .map((item) => item._id.toString()));
+    const entries = await listArchiveEntries(
+      readable,
+      (item, root) => sharedRoots.has(root._id.toString()) || item.isPublic,
+    );
+    return sendArchive(res, 'files', entries);
+  }
+
+  /**
+   * Uploads new content for a file as a new version
+   *
+   * The content is sent like in postUpload (Base64 `data` in a JSON body,
+   * multipart/form-data or application/octet-stream). The previous
+   * content is kept in the version history.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with updated file data or error message
+   */
+  static async putData(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findFileFor(req, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (file.type === 'folder') {
+      return res.status(400).json({ error: "A folder doesn't have content" });
+    }
+
+    // Read the new content, streaming it to disk if needed
+    let content;
+    try {
+      const upload = await readUpload(req, () => getAvailableSpace(file.userId.toString()));
+      content = upload.content;
+      if (!content && upload.fields.data) {
+        content = await saveBuffer(Buffer.from(upload.fields.data, 'base64'));
+      }
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+
+    if (!content) {
+      return res.status(400).json({ error: 'Missing data' });
+    }
+
+    // The previous content stays in the history, so the new one adds up
+    if (!await hasSpace(file.userId.toString(), content.size)) {
+      await discardContent(content);
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    content = await storeBlob(content);
+    const updated = await addVersion(file, content);
+    if (!updated) {
+      await releaseBlob(content);
+      return res.status(409).json({ error: 'File was modified' });
+    }
+
+    return res.status(200).json(formatFile(updated));
+  }
+
+  /**
+   * Lists the versions of a file, newest first
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of versions or error message
+   */
+  static async getVersions(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findFileFor(req, userId, { deletedAt: null }, 'viewer');
+    if (!file || file.type === 'folder') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(200).json(formatVersions(file));
+  }
+
+  /**
+   * Retrieves the content of a version of a file
+   *
+   * Access rules are the same as for the current content in getFile.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Stream} - Content of the version with appropriate MIME type
+   */
+  static async getVersionData(req, res) {
+    const file = await findReadableFile(req);
+    if (!file || file.type === 'folder') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const version = findVersion(file, parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return sendStoredContent(req, res, file.name, locate(version), version.checksum);
+  }
+
+  /**
+   * Restores a previous version of a file
+   *
+   * The content of the version becomes a new version, so the
+   * history is kept intact.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with updated file data or error message
+   */
+  static async postRestoreVersion(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findFileFor(req, userId);
+    if (!file || file.type === 'folder') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const version = findVersion(file, parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (version.version === (file.version || 1)) {
+      return res.status(400).json({ error: 'Version is already current' });
+    }
+
+    if (!await hasSpace(file.userId.toString(), version.size)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    // The new version shares the blob of the restored one
+    const content = await acquireBlob(version);
+    const updated = await addVersion(file, content);
+    if (!updated) {
+      await releaseBlob(content);
+      return res.status(409).json({ error: 'File was modified' });
+    }
+
+    return res.status(200).json(formatFile(updated));
+  }
+
+  /**
+   * Moves a file or folder to the trash
+   *
+   * Folders are trashed with everything below them. Trashed items are
+   * hidden from every other route until restored, and purged after
+   * TRASH_RETENTION_DAYS days.
+   * The owner, members of the file's workspace and editors can trash it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response with status code 204 on success
+   */
+  static async deleteFile(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findFileFor(req, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    await trashFile(file);
+    return res.status(204).end();
+  }
+
+  /**
+   * Lists the items in the user's trash with pagination
+   *
+   * Only the items the user deleted are listed, not the content of
+   * trashed folders. The trash of a workspace the user is a member of
+   * is listed with `workspaceId`.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of trashed file data objects or error message
+   */
+  static async getTrash(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { ownerId, status, error } = await findTrashOwner(req, userId, 'member');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const page = parseInt(req.query.page || 0, 10);
+    const pageSize = 20;
+
+    const files = await dbClient.db.collection('files')
+      .find({
+        userId: ObjectId(ownerId),
+        deletedAt: { $ne: null },
+        $expr: { $eq: ['$_id', '$trashRootId'] },
+      })
+      .sort({ deletedAt: -1 })
+      .skip(page * pageSize)
+      .limit(pageSize)
+      .toArray();
+
+    return res.status(200).json(files.map(formatFile));
+  }
+
+  /**
+   * Restores an item from the trash
+   *
+   * The owner of the item, members of its workspace and editors can
+   * restore it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with restored file data or error message
+   */
+  static async postRestore(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-    // Find the file in the database, regardless of owner
     let file;
     try {
-      file = await dbClient.db.collection('files').findOne({
-        _id: ObjectId(fileId)
-      });
+      file = await findFileFor(req, userId, { trashRootId: ObjectId(req.params.id) });
     } catch (error) {
       return res.status(404).json({ error: 'Not found' });
     }
 
-    // If file not found, return error
     if (!file) {
       return res.status(404).json({ error: 'Not found' });
     }
 
-    // Check permissions - file must be public or owned by authenticated user
-    if (!file.isPublic) {
-      // Get token from headers
-      const token = req.headers['x-token'];
-      if (!token) {
-        return res.status(404).json({ error: 'Not found' });
-      }
+    const restored = await restoreFile(file);
+    return res.status(200).json(formatFile(restored));
+  }
 
-      // Get user ID from Redis
-      const key = `auth_${token}`;
-      const userId = await redisClient.get(key);
-      if (!userId) {
-        return res.status(404).json({ error: 'Not found' });
-      }
+  /**
+   * Permanently deletes an item from the trash, with its content on disk
+   *
+   * Only the owner of the item, or the owner and admins of its
+   * workspace, can delete it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response with status code 204 on success
+   */
+  static async deleteTrashItem(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-      // Check if user is the owner of the file
-      if (file.userId.toString() !== userId) {
-        return res.status(404).json({ error: 'Not found' });
-      }
+    let file;
+    try {
+      file = await findFileFor(req, userId, { trashRootId: ObjectId(req.params.id) }, 'owner');
+    } catch (error) {
+      return res.status(404).json({ error: 'Not found' });
     }
 
-    // If the file is a folder, return an error
-    if (file.type === 'folder') {
-      return res.status(400).json({ error: "A folder doesn't have content" });
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
     }
 
-    // Check if the file exists on disk
-    if (!file.localPath || !fs.existsSync(file.localPath)) {
+    const purged = await purgeTrash({ userId: file.userId, trashRootId: file._id });
+    if (!purged) {
       return res.status(404).json({ error: 'Not found' });
     }
 
-    // Determine the MIME type based on the file name
-    const mimeType = mime.lookup(file.name) || 'application/octet-stream';
+    return res.status(204).end();
+  }
+
+  /**
+   * Empties the user's trash
+   *
+   * The trash of a workspace is emptied with `workspaceId` by its owner
+   * and admins.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response with status code 204 on success
+   */
+  static async deleteTrash(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { ownerId, status, error } = await findTrashOwner(req, userId, 'admin');
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    // Read and return the file content with the correct MIME type
-    const fileContent = fs.readFileSync(file.localPath);
-    res.setHeader('Content-Type', mimeType);
-    return res.send(fileContent);
+    await purgeTrash({ userId: ObjectId(ownerId) });
+    return res.status(204).end();
   }
 }
 
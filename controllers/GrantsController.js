@@ -0,0 +1,187 @@
+// controllers/GrantsController.js
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getUserId } from '../utils/auth';
+import { GRANT_ROLES, findOwnedFile, formatFile } from '../utils/files';
+
+/**
+ * Formats a grant document for API responses
+ *
+ * @param {Object} grant - Grant document from the database
+ * @param {string} email - Email of the user the file is shared with
+ * @returns {Object} - Public representation of the grant
+ */
+function formatGrant(grant, email) {
+  return {
+    id: grant._id.toString(),
+    fileId: grant.fileId.toString(),
+    userId: grant.userId.toString(),
+    email,
+    role: grant.role,
+    createdAt: grant._id.getTimestamp(),
+  };
+}
+
+class GrantsController {
+  /**
+   * Shares a file or folder with another user
+   *
+   * The body holds the email of the user and their role: viewer (read
+   * only) or editor (can also upload into a folder). A grant on a folder
+   * applies to everything below it. Sharing again with the same user
+   * changes their role.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the grant or error message
+   */
+  static async postGrant(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findOwnedFile(req.params.id, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { email, role } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: 'Missing email' });
+    }
+    if (!GRANT_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const user = await dbClient.db.collection('users').findOne({ email: String(email) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user._id.toString() === userId) {
+      return res.status(400).json({ error: 'Cannot share with yourself' });
+    }
+
+    const result = await dbClient.db.collection('grants').findOneAndUpdate(
+      { fileId: file._id, userId: user._id },
+      { $set: { role }, $setOnInsert: { ownerId: ObjectId(userId) } },
+      { upsert: true, returnDocument: 'after' },
+    );
+
+    return res.status(201).json(formatGrant(result.value, user.email));
+  }
+
+  /**
+   * Lists the users a file or folder is shared with
+   *
+   * Only the grants on the item itself are listed, not the ones inherited
+   * from the folders above it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of grants or error message
+   */
+  static async getIndex(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findOwnedFile(req.params.id, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const grants = await dbClient.db.collection('grants')
+      .find({ fileId: file._id })
+      .sort({ _id: -1 })
+      .toArray();
+
+    const users = await dbClient.db.collection('users')
+      .find({ _id: { $in: grants.map((grant) => grant.userId) } })
+      .project({ email: 1 })
+      .toArray();
+    const emails = new Map(users.map((user) => [user._id.toString(), user.email]));
+
+    return res.status(200).json(grants.map((grant) => (
+      formatGrant(grant, emails.get(grant.userId.toString()) || null)
+    )));
+  }
+
+  /**
+   * Stops sharing a file or folder with a user
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteGrant(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findOwnedFile(req.params.id, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    let result;
+    try {
+      result = await dbClient.db.collection('grants').findOneAndDelete({
+        _id: ObjectId(req.params.grantId),
+        fileId: file._id,
+      });
+    } catch (error) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (!result.value) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(204).end();
+  }
+
+  /**
+   * Lists the files and folders shared with the authenticated user
+   *
+   * Items are listed most recently shared first, with the role of the
+   * user, and paginated like GET /files (20 items per page). Their
+   * content is then browsed with GET /files?parentId=. Items in the
+   * trash are left out.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of file data objects or error message
+   */
+  static async getSharedWithMe(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const page = parseInt(req.query.page || 0, 10) || 0;
+    const pageSize = 20;
+
+    const grants = await dbClient.db.collection('grants').aggregate([
+      { $match: { userId: ObjectId(userId) } },
+      { $sort: { _id: -1 } },
+      {
+        $lookup: {
+          from: 'files', localField: 'fileId', foreignField: '_id', as: 'file',
+        },
+      },
+      { $unwind: '$file' },
+      { $match: { 'file.deletedAt': null } },
+      { $skip: Math.max(page, 0) * pageSize },
+      { $limit: pageSize },
+    ]).toArray();
+
+    return res.status(200).json(grants.map((grant) => (
+      { ...formatFile(grant.file), role: grant.role }
+    )));
+  }
+}
+
+export default GrantsController;
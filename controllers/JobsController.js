@@ -0,0 +1,58 @@
+// controllers/JobsController.js
+import { getUserId } from '../utils/auth';
+import { copyQueue, extractQueue } from '../utils/queue';
+
+// Queues whose jobs can be followed through GET /jobs/:id
+const queues = {
+  copy: copyQueue,
+  extract: extractQueue,
+};
+
+class JobsController {
+  /**
+   * Returns the status of a background job started by the user
+   *
+   * Jobs are created with a unique ID, so they are looked up in every
+   * queue exposed to users. The result is only present once the job
+   * completed, and the error once it failed.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with job status or error message
+   */
+  static async getShow(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const jobs = await Promise.all(Object.entries(queues).map(async ([type, queue]) => ({
+      type,
+      job: await queue.getJob(req.params.id),
+    })));
+    const found = jobs.find(({ job }) => job && job.data.userId === userId);
+    if (!found) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { type, job } = found;
+    const status = {
+      id: job.id,
+      type,
+      status: await job.getState(),
+      progress: job.progress(),
+    };
+
+    if (job.returnvalue) {
+      status.result = job.returnvalue;
+    }
+
+    if (job.failedReason) {
+      status.error = job.failedReason;
+    }
+
+    return res.status(200).json(status);
+  }
+}
+
+export default JobsController;
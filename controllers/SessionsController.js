@@ -0,0 +1,72 @@
+// controllers/SessionsController.js
+import { getUserId } from '../utils/auth';
+import {
+  getSessionId, listSessions, revokeAllSessions, revokeSession,
+} from '../utils/sessions';
+
+class SessionsController {
+  /**
+   * Lists the active sessions of the current user
+   *
+   * Each session has its creation and last use dates, the IP address and
+   * user agent it was last used from, and whether it is the session of
+   * the request.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of sessions or error message
+   */
+  static async getIndex(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const currentId = getSessionId(req.headers['x-token']);
+    const sessions = await listSessions(userId);
+
+    return res.status(200).json(sessions.map((session) => ({
+      ...session,
+      current: session.id === currentId,
+    })));
+  }
+
+  /**
+   * Ends a session of the current user
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteSession(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!await revokeSession(userId, req.params.id)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(204).end();
+  }
+
+  /**
+   * Ends every session of the current user, including this one
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteSessions(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    await revokeAllSessions(userId);
+    return res.status(204).end();
+  }
+}
+
+export default SessionsController;
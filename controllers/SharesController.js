@@ -0,0 +1,350 @@
+// controllers/SharesController.js
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import redisClient from '../utils/redis';
+import { getUserId } from '../utils/auth';
+import { hashPassword, hashToken, verifyPassword } from '../utils/password';
+import { sendFileContent } from '../utils/send';
+import { findOwnedFile } from '../utils/files';
+import { listArchiveEntries, sendArchive } from '../utils/archive';
+import { getLockout, recordFailure } from '../utils/ratelimit';
+
+// Number of seconds a counted download can be resumed without counting again
+const DOWNLOAD_TICKET_TTL = 60 * 60;
+
+// Bytes a download can send, as a multiple of the content size, counting
+// the parts sent again after interruptions
+const DOWNLOAD_TICKET_BUDGET = 2;
+
+// Wrong passwords allowed per share link from an IP address; there is no
+// limit for all addresses together, so nobody can lock the recipients out
+const SHARE_MAX_IP_FAILURES = 5;
+
+/**
+ * Formats a share document for API responses
+ *
+ * The token is only known when the share is created, and the password
+ * is never returned.
+ *
+ * @param {Object} share - Share document from the database
+ * @returns {Object} - Public representation of the share
+ */
+function formatShare(share) {
+  return {
+    id: share._id.toString(),
+    fileId: share.fileId.toString(),
+    expiresAt: share.expiresAt,
+    hasPassword: !!share.passwordHash,
+    maxDownloads: share.maxDownloads,
+    downloads: share.downloads,
+    createdAt: share._id.getTimestamp(),
+  };
+}
+
+/**
+ * Returns the download ticket sent with a request, if any
+ *
+ * Tickets are returned with counted downloads, in the share_download
+ * cookie (sent back by browsers when resuming) and the X-Share-Download
+ * header.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} - The ticket
+ */
+function getDownloadTicket(req) {
+  if (req.headers['x-share-download']) {
+    return String(req.headers['x-share-download']);
+  }
+
+  const match = /(?:^|;\s*)share_download=([\w-]+)/.exec(req.headers.cookie || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Returns the Redis key holding the bytes sent with a download ticket
+ *
+ * @param {Object} share - Share document
+ * @param {string} ticket - The ticket
+ * @returns {string} - The key
+ */
+function ticketKey(share, ticket) {
+  return `share_download_${share._id}_${hashToken(ticket)}`;
+}
+
+/**
+ * Tells whether a request continues a download already counted
+ *
+ * The ticket of the download must be valid for the share, and the bytes
+ * sent with it, this request included, stay within its budget.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} share - Share document
+ * @param {Object} range - size of the content, start and end of the bytes sent
+ * @returns {Promise<boolean>} - True if the request isn't a new download
+ */
+async function continuesDownload(req, share, { size, start, end }) {
+  const ticket = getDownloadTicket(req);
+  if (!ticket || !await redisClient.get(ticketKey(share, ticket))) {
+    return false;
+  }
+
+  const key = ticketKey(share, ticket);
+  const sent = await redisClient.incrby(key, end - start + 1);
+  // The ticket may have expired in between, leaving a counter without expiration
+  if (await redisClient.ttl(key) < 0) {
+    await redisClient.del(key);
+    return false;
+  }
+  return sent <= size * DOWNLOAD_TICKET_BUDGET;
+}
+
+/**
+ * Counts a download of a share link, as long as its limit allows it
+ *
+ * @param {Object} share - Share document
+ * @returns {Promise<boolean>} - False if the link reached its maximum downloads
+ */
+async function countDownload(share) {
+  const filter = { _id: share._id };
+  const update = { $inc: { downloads: 1 } };
+  if (share.remainingDownloads !== null) {
+    filter.remainingDownloads = { $gt: 0 };
+    update.$inc.remainingDownloads = -1;
+  }
+
+  const result = await dbClient.db.collection('shares').findOneAndUpdate(filter, update);
+  return !!result.value;
+}
+
+/**
+ * Returns the hook counting the downloads of a share link's file
+ *
+ * Every GET sending content is counted, unless it continues a counted
+ * download; 304 responses are not. Counted downloads get a new ticket
+ * to resume them.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} share - Share document
+ * @returns {Function} - beforeSend hook for sendFileContent
+ */
+function downloadCounter(req, res, share) {
+  return async (range) => {
+    if (req.method !== 'GET') {
+      return share.remainingDownloads === 0 ? { status: 410, error: 'Share link expired' } : null;
+    }
+
+    if (await continuesDownload(req, share, range)) {
+      return null;
+    }
+
+    if (!await countDownload(share)) {
+      return { status: 410, error: 'Share link expired' };
+    }
+
+    const ticket = crypto.randomBytes(18).toString('base64url');
+    const sent = range.end - range.start + 1;
+    await redisClient.set(ticketKey(share, ticket), sent, DOWNLOAD_TICKET_TTL);
+    res.cookie('share_download', ticket, {
+      path: req.originalUrl.split('?')[0],
+      maxAge: DOWNLOAD_TICKET_TTL * 1000,
+      httpOnly: true,
+      sameSite: 'lax',
+    });
+    res.setHeader('X-Share-Download', ticket);
+    return null;
+  };
+}
+
+class SharesController {
+  /**
+   * Creates a share link for a file or folder
+   *
+   * The body can hold an expiry date (expiresAt), a password, and a
+   * maximum number of downloads (maxDownloads). The response holds the
+   * token of the link, which can't be retrieved afterwards.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the new share or error message
+   */
+  static async postShare(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findOwnedFile(req.params.id, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { expiresAt, password, maxDownloads } = req.body || {};
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'Invalid expiresAt' });
+      }
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password === '')) {
+      return res.status(400).json({ error: 'Invalid password' });
+    }
+
+    if (maxDownloads !== undefined && maxDownloads !== null
+      && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      return res.status(400).json({ error: 'Invalid maxDownloads' });
+    }
+
+    // Only a hash of the token is stored
+    const token = crypto.randomBytes(24).toString('base64url');
+    const share = {
+      fileId: file._id,
+      userId: ObjectId(userId),
+      tokenHash: hashToken(token),
+      expiresAt: expiry,
+      passwordHash: password ? await hashPassword(password) : null,
+      maxDownloads: maxDownloads || null,
+      remainingDownloads: maxDownloads || null,
+      downloads: 0,
+    };
+    await dbClient.db.collection('shares').insertOne(share);
+
+    return res.status(201).json({ ...formatShare(share), token, url: `/s/${token}` });
+  }
+
+  /**
+   * Lists the share links of a file or folder
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of shares or error message
+   */
+  static async getIndex(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findOwnedFile(req.params.id, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const shares = await dbClient.db.collection('shares')
+      .find({ fileId: file._id })
+      .sort({ _id: -1 })
+      .toArray();
+
+    return res.status(200).json(shares.map(formatShare));
+  }
+
+  /**
+   * Revokes a share link
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteShare(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const file = await findOwnedFile(req.params.id, userId);
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    let result;
+    try {
+      result = await dbClient.db.collection('shares').findOneAndDelete({
+        _id: ObjectId(req.params.shareId),
+        fileId: file._id,
+      });
+    } catch (error) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (!result.value) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(204).end();
+  }
+
+  /**
+   * Serves the content of a share link
+   *
+   * Files are streamed like in GET /files/:id/data (with the size
+   * parameter for thumbnails), folders as a ZIP archive. Password
+   * protected links need the password in the X-Share-Password header.
+   * Expired links and links that reached their maximum number of
+   * downloads answer 410. Every GET sending content counts as a download,
+   * except requests resuming a counted download with its ticket (see
+   * downloadCounter); HEAD requests and 304 responses are not counted.
+   * Wrong passwords lock the link for the IP address after a few tries.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Stream} - The shared content or error message
+   */
+  static async getContent(req, res) {
+    const shares = dbClient.db.collection('shares');
+    const share = await shares.findOne({ tokenHash: hashToken(req.params.token) });
+    if (!share) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const file = await dbClient.db.collection('files').findOne({
+      _id: share.fileId,
+      deletedAt: null,
+    });
+    if (!file) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (share.expiresAt && share.expiresAt <= new Date()) {
+      return res.status(410).json({ error: 'Share link expired' });
+    }
+
+    if (share.passwordHash) {
+      const password = req.headers['x-share-password'];
+      if (!password) {
+        return res.status(401).json({ error: 'Password required' });
+      }
+
+      const failureKey = `share_${share._id}_ip_${req.ip}`;
+      const lockout = await getLockout([failureKey]);
+      if (lockout > 0) {
+        res.set('Retry-After', lockout);
+        return res.status(429).json({ error: 'Too many failed attempts' });
+      }
+
+      if (!await verifyPassword(password, share.passwordHash)) {
+        await recordFailure([{ key: failureKey, max: SHARE_MAX_IP_FAILURES }]);
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+    }
+
+    // Archives can't be resumed: every GET is a download
+    if (file.type === 'folder') {
+      const allowed = req.method === 'GET'
+        ? await countDownload(share)
+        : share.remainingDownloads !== 0;
+      if (!allowed) {
+        return res.status(410).json({ error: 'Share link expired' });
+      }
+      const entries = await listArchiveEntries([file], () => true);
+      return sendArchive(res, file.name, entries);
+    }
+
+    return sendFileContent(req, res, file, downloadCounter(req, res, share));
+  }
+}
+
+export default SharesController;
@@ -0,0 +1,154 @@
+// controllers/TwoFactorController.js
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getUserId } from '../utils/auth';
+import { verifyPassword } from '../utils/password';
+import {
+  generateRecoveryCodes, generateSecret, provisioningUri, verifyTotp,
+} from '../utils/totp';
+import { useSecondFactor } from '../utils/twofactor';
+
+/**
+ * Finds the user authenticated by a request
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - The user document, or null
+ */
+async function findUser(req) {
+  const userId = await getUserId(req);
+  if (!userId) {
+    return null;
+  }
+  return dbClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+}
+
+/**
+ * Tells whether a user signs in with two-factor authentication
+ *
+ * @param {Object} user - User document
+ * @returns {boolean} - True once enrollment was verified
+ */
+function isEnabled(user) {
+  return !!(user.twoFactor && user.twoFactor.enabled);
+}
+
+class TwoFactorController {
+  /**
+   * Starts enrolling the current user in two-factor authentication
+   *
+   * Returns a new secret and its otpauth:// URI for an authenticator
+   * app. Two-factor authentication is only enabled once a code from the
+   * app is sent to POST /users/me/2fa/verify. A pending enrollment is
+   * only replaced given the password of the user, or a code for its
+   * secret, in the body.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the secret or error message
+   */
+  static async postEnroll(req, res) {
+    const user = await findUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (isEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication already enabled' });
+    }
+
+    if (user.twoFactor) {
+      const { password, code } = req.body || {};
+      const confirmed = (typeof password === 'string' && await verifyPassword(password, user.password))
+        || verifyTotp(user.twoFactor.secret, code) !== null;
+      if (!confirmed) {
+        return res.status(400).json({ error: 'Invalid password or code' });
+      }
+    }
+
+    const secret = generateSecret();
+    await dbClient.db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { secret, enabled: false } } },
+    );
+
+    return res.status(200).json({ secret, uri: provisioningUri(secret, user.email) });
+  }
+
+  /**
+   * Enables two-factor authentication with a first code from the app
+   *
+   * The response holds one-time recovery codes, to sign in without the
+   * app; they are not shown again.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the recovery codes or error message
+   */
+  static async postVerify(req, res) {
+    const user = await findUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!user.twoFactor || isEnabled(user)) {
+      return res.status(400).json({ error: 'No pending enrollment' });
+    }
+
+    const { code } = req.body || {};
+    const counter = verifyTotp(user.twoFactor.secret, code);
+    if (counter === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await dbClient.db.collection('users').updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactor: {
+            secret: user.twoFactor.secret,
+            enabled: true,
+            lastCounter: counter,
+            recoveryCodes: hashes,
+          },
+        },
+      },
+    );
+
+    return res.status(200).json({ enabled: true, recoveryCodes: codes });
+  }
+
+  /**
+   * Disables two-factor authentication
+   *
+   * The body must hold a code from the app or a recovery code.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteTwoFactor(req, res) {
+    const user = await findUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!isEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+    }
+
+    const { code } = req.body || {};
+    if (!await useSecondFactor(user, code)) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await dbClient.db.collection('users').updateOne(
+      { _id: user._id },
+      { $unset: { twoFactor: '' } },
+    );
+
+    return res.status(204).end();
+  }
+}
+
+export default TwoFactorController;
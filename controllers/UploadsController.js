@@ -0,0 +1,352 @@
+// controllers/UploadsController.js
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { ObjectId } from 'mongodb';
+import redisClient from '../utils/redis';
+import dbClient from '../utils/db';
+import { getUserId } from '../utils/auth';
+import { isInKeyFolder } from '../utils/apikeys';
+import { formatFile, getOwnerForParent, validateUpload } from '../utils/files';
+import { addThumbnailJob, pendingThumbnails } from '../utils/queue';
+import {
+  UPLOAD_SESSION_TTL, appendStream, getPartPath, hashFile,
+} from '../utils/upload';
+import { storeBlob } from '../utils/blobs';
+import { getAvailableSpace, hasSpace } from '../utils/quota';
+
+// Seconds after which the lock taken while writing a chunk is released
+const CHUNK_LOCK_TTL = 600;
+
+/**
+ * Loads the upload session of a request, owned by the user
+ *
+ * API keys restricted to a folder only reach the sessions uploading
+ * into it.
+ *
+ * @param {Object} req - Express request object with the session ID in params
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} - The session, or null if not found
+ */
+async function getSession(req, userId) {
+  const value = await redisClient.get(`upload_${req.params.id}`);
+  if (!value) {
+    return null;
+  }
+
+  const session = JSON.parse(value);
+  if (session.userId !== userId
+    || (req.apiKey && !await isInKeyFolder(req.apiKey, session.parentId))) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Returns the number of bytes received so far for a session
+ *
+ * The partial file on disk is the source of truth for the offset.
+ *
+ * @param {Object} session - The upload session
+ * @returns {Promise<number>} - Size of the partial file
+ */
+async function getOffset(session) {
+  try {
+    const stats = await fs.promises.stat(await getPartPath(session.id));
+    return stats.size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Formats an upload session for API responses
+ *
+ * @param {Object} session - The upload session
+ * @param {number} offset - Number of bytes received
+ * @returns {Object} - Public representation of the session
+ */
+function formatSession(session, offset) {
+  return {
+    id: session.id,
+    name: session.name,
+    type: session.type,
+    parentId: session.parentId,
+    workspaceId: session.workspaceId || null,
+    isPublic: session.isPublic,
+    size: session.size,
+    offset,
+    expiresIn: UPLOAD_SESSION_TTL,
+  };
+}
+
+class UploadsController {
+  /**
+   * Creates a resumable upload session
+   *
+   * The body holds the same fields as POST /files (without data) and
+   * the total size of the file in bytes. The content is then sent in
+   * chunks with PUT /uploads/:id, and the file document is only created
+   * by POST /uploads/:id/complete. Sessions expire after
+   * UPLOAD_SESSION_TTL seconds without activity.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the new session or error message
+   */
+  static async postSession(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const {
+      name, type, parentId = 0, isPublic = false, size, workspaceId = null,
+    } = req.body;
+
+    if (type === 'folder') {
+      return res.status(400).json({ error: 'Missing type' });
+    }
+
+    const validationError = await validateUpload({
+      name, type, parentId, workspaceId, userId, hasContent: true,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (size === undefined) {
+      return res.status(400).json({ error: 'Missing size' });
+    }
+    if (!Number.isInteger(size) || size < 0) {
+      return res.status(400).json({ error: 'Invalid size' });
+    }
+
+    // Fail early when the announced size doesn't fit in the quota
+    const ownerId = await getOwnerForParent(parentId, userId, workspaceId);
+    if (!await hasSpace(ownerId, size)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    const session = {
+      id: uuidv4(),
+      userId,
+      name,
+      type,
+      parentId,
+      workspaceId,
+      isPublic,
+      size,
+    };
+
+    // Create the empty partial file and store the session
+    await fs.promises.writeFile(await getPartPath(session.id), '');
+    await redisClient.set(`upload_${session.id}`, JSON.stringify(session), UPLOAD_SESSION_TTL);
+
+    return res.status(201).json(formatSession(session, 0));
+  }
+
+  /**
+   * Returns the state of an upload session
+   *
+   * The offset tells the client where to resume the upload.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the session or error message
+   */
+  static async getSession(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = await getSession(req, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const offset = await getOffset(session);
+    res.setHeader('Upload-Offset', offset);
+    return res.status(200).json(formatSession(session, offset));
+  }
+
+  /**
+   * Appends a chunk to an upload session
+   *
+   * The raw request body is the chunk, and the Upload-Offset header must
+   * match the number of bytes already received (409 with the current
+   * offset otherwise). Each chunk extends the session expiration. Chunks
+   * can't go past the declared size (400), nor past the quota left to the
+   * owner of the file (413).
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the new offset or error message
+   */
+  static async putChunk(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = await getSession(req, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const requestedOffset = parseInt(req.headers['upload-offset'], 10);
+    if (Number.isNaN(requestedOffset)) {
+      return res.status(400).json({ error: 'Missing Upload-Offset' });
+    }
+
+    // Only one chunk of a session can be written at a time
+    const lockKey = `upload_lock_${session.id}`;
+    if (!await redisClient.setIfAbsent(lockKey, userId, CHUNK_LOCK_TTL)) {
+      return res.status(409).json({ error: 'Upload in progress' });
+    }
+
+    try {
+      const offset = await getOffset(session);
+      if (requestedOffset !== offset) {
+        res.setHeader('Upload-Offset', offset);
+        return res.status(409).json({ error: 'Offset mismatch', offset });
+      }
+
+      // The partial file doesn't count in the quota until completed
+      const ownerId = await getOwnerForParent(session.parentId, userId, session.workspaceId);
+      const space = await getAvailableSpace(ownerId);
+      let chunkError = null;
+      try {
+        await appendStream(
+          req,
+          await getPartPath(session.id),
+          Math.min(session.size, space) - offset,
+        );
+      } catch (error) {
+        chunkError = error;
+      }
+
+      // Refresh the session expiration, even if the chunk was cut short
+      await redisClient.set(`upload_${session.id}`, JSON.stringify(session), UPLOAD_SESSION_TTL);
+
+      const newOffset = await getOffset(session);
+      res.setHeader('Upload-Offset', newOffset);
+      if (chunkError && chunkError.code === 'EMAXSIZE' && space < session.size) {
+        return res.status(413).json({ error: 'Storage quota exceeded', offset: newOffset });
+      }
+      if (chunkError) {
+        const error = chunkError.code === 'EMAXSIZE' ? 'Chunk exceeds declared size' : 'Invalid chunk';
+        return res.status(400).json({ error, offset: newOffset });
+      }
+
+      return res.status(200).json(formatSession(session, newOffset));
+    } finally {
+      await redisClient.del(lockKey);
+    }
+  }
+
+  /**
+   * Completes an upload session and creates the file document
+   *
+   * The partial file is stored as a blob like a regular upload, once all
+   * of the declared size was received.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with new file data or error message
+   */
+  static async postComplete(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = await getSession(req, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const lockKey = `upload_lock_${session.id}`;
+    if (!await redisClient.setIfAbsent(lockKey, userId, CHUNK_LOCK_TTL)) {
+      return res.status(409).json({ error: 'Upload in progress' });
+    }
+
+    try {
+      const offset = await getOffset(session);
+      if (offset !== session.size) {
+        return res.status(400).json({ error: 'Upload incomplete', offset });
+      }
+
+      // The parent may have changed since the session was created
+      const validationError = await validateUpload({ ...session, hasContent: true });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      // Files uploaded into a shared folder belong to its owner; the
+      // session is kept so the upload can complete once space is freed
+      const ownerId = await getOwnerForParent(session.parentId, userId, session.workspaceId);
+      if (!await hasSpace(ownerId, offset)) {
+        return res.status(413).json({ error: 'Storage quota exceeded' });
+      }
+
+      const partPath = await getPartPath(session.id);
+      const content = await storeBlob({
+        localPath: partPath,
+        size: offset,
+        checksum: await hashFile(partPath),
+      });
+      await redisClient.del(`upload_${session.id}`);
+
+      const fileDocument = {
+        userId: ObjectId(ownerId),
+        name: session.name,
+        type: session.type,
+        isPublic: session.isPublic,
+        parentId: session.parentId,
+        storage: content.storage,
+        storageKey: content.storageKey,
+        size: content.size,
+        checksum: content.checksum,
+      };
+      if (session.type === 'image') {
+        fileDocument.thumbnails = pendingThumbnails();
+      }
+      const result = await dbClient.db.collection('files').insertOne(fileDocument);
+
+      if (session.type === 'image') {
+        await addThumbnailJob(ownerId, result.insertedId);
+      }
+
+      return res.status(201).json(formatFile(fileDocument));
+    } finally {
+      await redisClient.del(lockKey);
+    }
+  }
+
+  /**
+   * Cancels an upload session and removes the data received so far
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response with status code 204 on success
+   */
+  static async deleteSession(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = await getSession(req, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    await redisClient.del(`upload_${session.id}`);
+    await fs.promises.rm(await getPartPath(session.id), { force: true });
+
+    return res.status(204).end();
+  }
+}
+
+export default UploadsController;
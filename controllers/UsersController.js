@@ -1,13 +1,22 @@
 // controllers/UsersController.js
-import sha1 from 'sha1';
+import { ObjectId } from 'mongodb';
 import dbClient from '../utils/db';
+import { getUserId } from '../utils/auth';
+import { getUsage } from '../utils/quota';
+import { hashPassword, verifyPassword } from '../utils/password';
+import { getSessionId, revokeAllSessions } from '../utils/sessions';
+import { consumeResetToken, createResetToken, sendResetToken } from '../utils/passwordreset';
+import { isEmailVerified, isValidEmail, verifyEmail } from '../utils/verification';
+import { addWelcomeJob } from '../utils/queue';
 
 class UsersController {
   /**
    * Creates a new user in the database
    *
    * This endpoint handles user registration with validation for required fields
-   * and uniqueness checks for email. Passwords are securely hashed using SHA1.
+   * and uniqueness checks for email. Passwords are hashed with scrypt and a
+   * random salt (see utils/password). The worker then sends a welcome email
+   * with a link to verify the email.
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -22,7 +31,11 @@ class UsersController {
       return res.status(400).json({ error: 'Missing email' });
     }
 
-    if (!password) {
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email' });
+    }
+
+    if (!password || typeof password !== 'string') {
       return res.status(400).json({ error: 'Missing password' });
     }
 
@@ -35,12 +48,21 @@ class UsersController {
       }
 
       // Create new user with hashed password
-      const hashedPassword = sha1(password);
+      const hashedPassword = await hashPassword(password);
       const result = await dbClient.db.collection('users').insertOne({
         email,
         password: hashedPassword,
+        emailVerified: false,
       });
 
+      // Ask the worker to send the welcome email; the user exists anyway,
+      // and can ask for it again with POST /users/me/verification
+      try {
+        await addWelcomeJob(result.insertedId);
+      } catch (queueError) {
+        console.error('Error queuing welcome email:', queueError.message);
+      }
+
       // Return new user data
       return res.status(201).json({
         id: result.insertedId.toString(),
@@ -52,28 +74,20 @@ class UsersController {
     }
   }
 
-  // Add this method to your existing UsersController class
   /**
    * Retrieves the current user's profile
    *
    * Identifies the user based on their authentication token and
-   * returns their profile information (email and ID).
+   * returns their profile information (email, ID, whether the email is
+   * verified and whether two-factor authentication is enabled).
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Object} - JSON response with user data or error
    */
   static async getMe(req, res) {
-    // Get token from X-Token header
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-
+    // Get user ID from the X-Token header
+    const userId = await getUserId(req);
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
@@ -81,22 +95,220 @@ class UsersController {
     // Find user in database
     try {
       const user = await dbClient.db.collection('users')
-        .findOne({ _id: new require('mongodb').ObjectId(userId) });
+        .findOne({ _id: ObjectId(userId) });
 
       if (!user) {
         return res.status(401).json({ error: 'Unauthorized' });
       }
 
-      // Return user information (email and ID only)
+      // Return user information (email, ID and sign-in settings)
       return res.status(200).json({
         id: userId,
         email: user.email,
+        emailVerified: isEmailVerified(user),
+        twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
       });
     } catch (error) {
       console.error('Error retrieving user:', error.message);
       return res.status(500).json({ error: 'Internal server error' });
     }
   }
+
+  /**
+   * Retrieves the storage usage of the current user
+   *
+   * Returns the bytes used, the quota and the bytes still available
+   * (null when unlimited), with a breakdown by file type, by folder
+   * (including sub-folders) and for the trash.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the usage or error
+   */
+  static async getUsage(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      return res.status(200).json(await getUsage(userId));
+    } catch (error) {
+      console.error('Error computing usage:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Changes the password of the current user
+   *
+   * The body holds the current password (currentPassword) and the new
+   * one (newPassword). The other sessions of the user are ended.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async putPassword(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'Missing current password' });
+    }
+
+    if (!newPassword || typeof newPassword !== 'string') {
+      return res.status(400).json({ error: 'Missing new password' });
+    }
+
+    try {
+      const users = dbClient.db.collection('users');
+      const user = await users.findOne({ _id: ObjectId(userId) });
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      if (!await verifyPassword(String(currentPassword), user.password)) {
+        return res.status(403).json({ error: 'Wrong password' });
+      }
+
+      await users.updateOne(
+        { _id: user._id },
+        { $set: { password: await hashPassword(newPassword) } },
+      );
+      await revokeAllSessions(userId, getSessionId(req.headers['x-token']));
+
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error changing password:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Sends a password reset token by email
+   *
+   * The response is the same whether or not a user has the email, so
+   * it can't be used to find out who has an account.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async postForgotPassword(req, res) {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Missing email' });
+    }
+
+    try {
+      const user = await dbClient.db.collection('users').findOne({ email });
+      if (user) {
+        const token = await createResetToken(user._id.toString());
+        await sendResetToken(user, token);
+      }
+
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error sending reset token:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Chooses a new password with a reset token
+   *
+   * The body holds the token sent by POST /users/password/forgot and the
+   * new password. The token can only be used once, and all the sessions
+   * of the user are ended.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async postResetPassword(req, res) {
+    const { token, password } = req.body || {};
+    if (!token) {
+      return res.status(400).json({ error: 'Missing token' });
+    }
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Missing password' });
+    }
+
+    try {
+      const userId = await consumeResetToken(String(token));
+      if (!userId) {
+        return res.status(400).json({ error: 'Invalid token' });
+      }
+
+      await dbClient.db.collection('users').updateOne(
+        { _id: ObjectId(userId) },
+        { $set: { password: await hashPassword(password) } },
+      );
+      await revokeAllSessions(userId);
+
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error resetting password:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Verifies the email of a user with the link of their welcome email
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response confirming the verification or error
+   */
+  static async getVerify(req, res) {
+    try {
+      if (!await verifyEmail(req.params.token)) {
+        return res.status(400).json({ error: 'Invalid token' });
+      }
+
+      return res.status(200).json({ emailVerified: true });
+    } catch (error) {
+      console.error('Error verifying email:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Sends the welcome email of the current user again, with a new
+   * verification link
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async postVerification(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const user = await dbClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+      if (!user) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      if (isEmailVerified(user)) {
+        return res.status(400).json({ error: 'Email already verified' });
+      }
+
+      await addWelcomeJob(userId);
+      return res.status(202).end();
+    } catch (error) {
+      console.error('Error sending verification email:', error.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
 }
 
 export default UsersController;
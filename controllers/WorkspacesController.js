@@ -0,0 +1,504 @@
+// controllers/WorkspacesController.js
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { getUserId } from '../utils/auth';
+import { getUsage } from '../utils/quota';
+import { purgeTrash } from '../utils/trash';
+import {
+  WORKSPACE_ROLES, findMembership, formatWorkspace, hasMemberRole,
+} from '../utils/workspaces';
+
+// Roles given by invitations and role changes; a workspace has one owner
+const MEMBER_ROLES = WORKSPACE_ROLES.filter((role) => role !== 'owner');
+
+/**
+ * Formats an invitation document for API responses
+ *
+ * @param {Object} invitation - Invitation document from the database
+ * @param {Object} details - Extra fields, such as the email or workspace name
+ * @returns {Object} - Public representation of the invitation
+ */
+function formatInvitation(invitation, details = {}) {
+  return {
+    id: invitation._id.toString(),
+    workspaceId: invitation.workspaceId.toString(),
+    userId: invitation.userId.toString(),
+    role: invitation.role,
+    createdAt: invitation._id.getTimestamp(),
+    ...details,
+  };
+}
+
+/**
+ * Finds the emails of users
+ *
+ * @param {Array} userIds - ObjectIds of the users
+ * @returns {Promise<Map>} - Emails by user ID string
+ */
+async function findEmails(userIds) {
+  const users = await dbClient.db.collection('users')
+    .find({ _id: { $in: userIds } })
+    .project({ email: 1 })
+    .toArray();
+  return new Map(users.map((user) => [user._id.toString(), user.email]));
+}
+
+/**
+ * Finds a workspace for a request, checking the role of the user
+ *
+ * Non-members get 404, members without the required role 403.
+ *
+ * @param {Object} req - Express request object with the workspace ID in params
+ * @param {string} userId - ID of the authenticated user
+ * @param {string} required - Minimum role in the workspace
+ * @returns {Promise<Object>} - { membership } with the workspace and role,
+ *   or { status, error }
+ */
+async function findWorkspaceFor(req, userId, required) {
+  const membership = await findMembership(req.params.id, userId);
+  if (!membership) {
+    return { status: 404, error: 'Not found' };
+  }
+
+  if (!hasMemberRole(membership.role, required)) {
+    return { status: 403, error: 'Forbidden' };
+  }
+
+  return { membership };
+}
+
+class WorkspacesController {
+  /**
+   * Creates a workspace owned by the authenticated user
+   *
+   * Files uploaded to a workspace belong to it rather than to a user,
+   * and count towards the quota of the workspace.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the new workspace or error message
+   */
+  static async postWorkspace(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { name } = req.body || {};
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'Missing name' });
+    }
+
+    const workspace = {
+      name,
+      members: [{ userId: ObjectId(userId), role: 'owner', joinedAt: new Date() }],
+    };
+    await dbClient.db.collection('workspaces').insertOne(workspace);
+
+    return res.status(201).json(formatWorkspace(workspace, 'owner'));
+  }
+
+  /**
+   * Lists the workspaces of the authenticated user, with their role
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of workspaces or error message
+   */
+  static async getIndex(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const workspaces = await dbClient.db.collection('workspaces')
+      .find({ 'members.userId': ObjectId(userId) })
+      .sort({ _id: 1 })
+      .toArray();
+
+    return res.status(200).json(workspaces.map((workspace) => {
+      const member = workspace.members.find((item) => item.userId.toString() === userId);
+      return formatWorkspace(workspace, member.role);
+    }));
+  }
+
+  /**
+   * Retrieves a workspace with its members
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the workspace or error message
+   */
+  static async getShow(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'member');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { workspace, role } = membership;
+    const emails = await findEmails(workspace.members.map((member) => member.userId));
+
+    return res.status(200).json({
+      ...formatWorkspace(workspace, role),
+      members: workspace.members.map((member) => ({
+        userId: member.userId.toString(),
+        email: emails.get(member.userId.toString()) || null,
+        role: member.role,
+        joinedAt: member.joinedAt,
+      })),
+    });
+  }
+
+  /**
+   * Returns the storage usage of a workspace
+   *
+   * The response has the same fields as GET /users/me/usage.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the usage or error message
+   */
+  static async getUsage(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'member');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    try {
+      return res.status(200).json(await getUsage(membership.workspace._id.toString()));
+    } catch (usageError) {
+      console.error('Error computing usage:', usageError.message);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Deletes a workspace with its files and pending invitations
+   *
+   * Only the owner can delete a workspace. The workspace is removed
+   * first, so its members lose access before its files are purged.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteWorkspace(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'owner');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { workspace } = membership;
+
+    await dbClient.db.collection('workspaces').deleteOne({ _id: workspace._id });
+    await dbClient.db.collection('invitations').deleteMany({ workspaceId: workspace._id });
+
+    // The files go through the trash to release their content
+    await dbClient.db.collection('files').updateMany(
+      { userId: workspace._id, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+    );
+    await purgeTrash({ userId: workspace._id });
+
+    return res.status(204).end();
+  }
+
+  /**
+   * Invites an existing user to a workspace
+   *
+   * The body holds the email of the user and their role (admin or
+   * member, the default). Only owners and admins can invite. Inviting
+   * the same user again replaces the pending invitation.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the invitation or error message
+   */
+  static async postInvitation(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'admin');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { workspace } = membership;
+
+    const { email, role = 'member' } = req.body || {};
+    if (!email) {
+      return res.status(400).json({ error: 'Missing email' });
+    }
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const user = await dbClient.db.collection('users').findOne({ email: String(email) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (workspace.members.some((member) => member.userId.equals(user._id))) {
+      return res.status(400).json({ error: 'Already a member' });
+    }
+
+    const result = await dbClient.db.collection('invitations').findOneAndUpdate(
+      { workspaceId: workspace._id, userId: user._id },
+      { $set: { role, invitedBy: ObjectId(userId) } },
+      { upsert: true, returnDocument: 'after' },
+    );
+
+    return res.status(201).json(formatInvitation(result.value, { email: user.email }));
+  }
+
+  /**
+   * Lists the pending invitations of a workspace
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of invitations or error message
+   */
+  static async getInvitations(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'admin');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const invitations = await dbClient.db.collection('invitations')
+      .find({ workspaceId: membership.workspace._id })
+      .sort({ _id: -1 })
+      .toArray();
+    const emails = await findEmails(invitations.map((invitation) => invitation.userId));
+
+    return res.status(200).json(invitations.map((invitation) => formatInvitation(
+      invitation,
+      { email: emails.get(invitation.userId.toString()) || null },
+    )));
+  }
+
+  /**
+   * Changes the role of a member of a workspace
+   *
+   * Only the owner can change roles, to admin or member.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the member or error message
+   */
+  static async patchMember(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'owner');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { workspace } = membership;
+
+    const { role } = req.body || {};
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    const member = workspace.members.find((item) => item.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'Cannot change the owner role' });
+    }
+
+    await dbClient.db.collection('workspaces').updateOne(
+      { _id: workspace._id, 'members.userId': member.userId },
+      { $set: { 'members.$.role': role } },
+    );
+
+    return res.status(200).json({
+      userId: member.userId.toString(),
+      role,
+      joinedAt: member.joinedAt,
+    });
+  }
+
+  /**
+   * Removes a member from a workspace
+   *
+   * Members can leave a workspace, except its owner. Owners and admins
+   * can remove members with a lower role. The files of the workspace
+   * stay in it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteMember(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { membership, status, error } = await findWorkspaceFor(req, userId, 'member');
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { workspace, role } = membership;
+
+    const member = workspace.members.find((item) => item.userId.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'Cannot remove the owner' });
+    }
+
+    const leaving = member.userId.toString() === userId;
+    if (!leaving && (!hasMemberRole(role, 'admin') || hasMemberRole(member.role, role))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    await dbClient.db.collection('workspaces').updateOne(
+      { _id: workspace._id },
+      { $pull: { members: { userId: member.userId } } },
+    );
+
+    return res.status(204).end();
+  }
+
+  /**
+   * Lists the pending invitations of the authenticated user
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Array} - JSON array of invitations or error message
+   */
+  static async getMyInvitations(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const invitations = await dbClient.db.collection('invitations')
+      .find({ userId: ObjectId(userId) })
+      .sort({ _id: -1 })
+      .toArray();
+
+    const workspaces = await dbClient.db.collection('workspaces')
+      .find({ _id: { $in: invitations.map((invitation) => invitation.workspaceId) } })
+      .project({ name: 1 })
+      .toArray();
+    const names = new Map(workspaces.map((workspace) => (
+      [workspace._id.toString(), workspace.name]
+    )));
+
+    return res.status(200).json(invitations.map((invitation) => formatInvitation(
+      invitation,
+      { workspaceName: names.get(invitation.workspaceId.toString()) || null },
+    )));
+  }
+
+  /**
+   * Accepts an invitation, joining its workspace
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with the workspace or error message
+   */
+  static async postAccept(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    let result;
+    try {
+      result = await dbClient.db.collection('invitations').findOneAndDelete({
+        _id: ObjectId(req.params.id),
+        userId: ObjectId(userId),
+      });
+    } catch (error) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const invitation = result.value;
+    if (!invitation) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // The member is only added once, even if invited twice
+    const member = { userId: ObjectId(userId), role: invitation.role, joinedAt: new Date() };
+    await dbClient.db.collection('workspaces').updateOne(
+      { _id: invitation.workspaceId, 'members.userId': { $ne: member.userId } },
+      { $push: { members: member } },
+    );
+
+    const membership = await findMembership(invitation.workspaceId, userId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(200).json(formatWorkspace(membership.workspace, membership.role));
+  }
+
+  /**
+   * Declines or cancels an invitation
+   *
+   * The invited user can decline it, and owners and admins of the
+   * workspace can cancel it.
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Empty response or error message
+   */
+  static async deleteInvitation(req, res) {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const invitations = dbClient.db.collection('invitations');
+    let invitation;
+    try {
+      invitation = await invitations.findOne({ _id: ObjectId(req.params.id) });
+    } catch (error) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (invitation.userId.toString() !== userId) {
+      const membership = await findMembership(invitation.workspaceId, userId);
+      if (!membership || !hasMemberRole(membership.role, 'admin')) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+    }
+
+    await invitations.deleteOne({ _id: invitation._id });
+    return res.status(204).end();
+  }
+}
+
+export default WorkspacesController;
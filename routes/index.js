@@ -4,9 +4,24 @@ import AppController from '../controllers/AppController';
 import UsersController from '../controllers/UsersController';
 import AuthController from '../controllers/AuthController';
 import FilesController from '../controllers/FilesController';
+import UploadsController from '../controllers/UploadsController';
+import JobsController from '../controllers/JobsController';
+import SharesController from '../controllers/SharesController';
+import GrantsController from '../controllers/GrantsController';
+import WorkspacesController from '../controllers/WorkspacesController';
+import SessionsController from '../controllers/SessionsController';
+import ApiKeysController from '../controllers/ApiKeysController';
+import TwoFactorController from '../controllers/TwoFactorController';
+import { requireScope, requireVerifiedEmail } from '../utils/auth';
+import { rateLimit } from '../utils/ratelimit';
 
 const router = express.Router();
 
+// Every request counts towards the api limit, some also towards a stricter one
+const uploadLimit = rateLimit('upload');
+const authLimit = rateLimit('auth');
+router.use(rateLimit('api'));
+
 // App status and stats
 router.get('/status', AppController.getStatus);
 router.get('/stats', AppController.getStats);
@@ -14,17 +29,157 @@ router.get('/stats', AppController.getStats);
 // User routes
 router.post('/users', UsersController.postNew);
 router.get('/users/me', UsersController.getMe);
+router.get('/users/me/usage', UsersController.getUsage);
+router.put('/users/me/password', UsersController.putPassword);
+router.post('/users/password/forgot', authLimit, UsersController.postForgotPassword);
+router.post('/users/password/reset', authLimit, UsersController.postResetPassword);
+router.get('/users/verify/:token', authLimit, UsersController.getVerify);
+router.post('/users/me/verification', authLimit, UsersController.postVerification);
+router.get('/users/me/invitations', WorkspacesController.getMyInvitations);
 
 // Authentication routes
-router.get('/connect', AuthController.getConnect);
+router.get('/connect', authLimit, AuthController.getConnect);
+router.post('/connect/2fa', authLimit, AuthController.postConnectTwoFactor);
 router.get('/disconnect', AuthController.getDisconnect);
+router.get('/users/me/sessions', SessionsController.getIndex);
+router.delete('/users/me/sessions', SessionsController.deleteSessions);
+router.delete('/users/me/sessions/:id', SessionsController.deleteSession);
+router.post('/users/me/api-keys', ApiKeysController.postApiKey);
+router.get('/users/me/api-keys', ApiKeysController.getIndex);
+router.delete('/users/me/api-keys/:id', ApiKeysController.deleteApiKey);
+router.post('/users/me/2fa', TwoFactorController.postEnroll);
+router.post('/users/me/2fa/verify', TwoFactorController.postVerify);
+router.delete('/users/me/2fa', TwoFactorController.deleteTwoFactor);
+
+// Files routes, also accepting API keys with the given scope; uploads may
+// need a verified email (see REQUIRE_VERIFIED_EMAIL)
+router.post(
+  '/files',
+  uploadLimit,
+  requireScope('files:write'),
+  requireVerifiedEmail,
+  FilesController.postUpload,
+);
+router.get('/files', requireScope('files:read'), FilesController.getIndex);
+router.get(
+  '/files/search',
+  requireScope('files:read', { wholeAccount: true }),
+  FilesController.getSearch,
+);
+router.get(
+  '/files/shared-with-me',
+  requireScope('files:read', { wholeAccount: true }),
+  GrantsController.getSharedWithMe,
+);
+router.post('/files/archive', requireScope('files:read'), FilesController.postArchive);
+router.post(
+  '/files/extract',
+  uploadLimit,
+  requireScope('files:write'),
+  requireVerifiedEmail,
+  FilesController.postExtract,
+);
+router.get(
+  '/files/trash',
+  requireScope('files:read', { wholeAccount: true }),
+  FilesController.getTrash,
+);
+router.delete(
+  '/files/trash',
+  requireScope('files:write', { wholeAccount: true }),
+  FilesController.deleteTrash,
+);
+router.delete('/files/trash/:id', requireScope('files:write'), FilesController.deleteTrashItem);
+router.get('/files/:id', requireScope('files:read'), FilesController.getShow);
+router.patch('/files/:id', requireScope('files:write'), FilesController.patchFile);
+router.delete('/files/:id', requireScope('files:write'), FilesController.deleteFile);
+router.post('/files/:id/restore', requireScope('files:write'), FilesController.postRestore);
+router.post(
+  '/files/:id/copy',
+  uploadLimit,
+  requireScope('files:write'),
+  requireVerifiedEmail,
+  FilesController.postCopy,
+);
+router.put('/files/:id/publish', requireScope('files:publish'), FilesController.putPublish);
+router.put('/files/:id/unpublish', requireScope('files:publish'), FilesController.putUnpublish);
+router.get('/files/:id/data', requireScope('files:read'), FilesController.getFile);
+router.get('/files/:id/archive', requireScope('files:read'), FilesController.getArchive);
+router.put(
+  '/files/:id/data',
+  uploadLimit,
+  requireScope('files:write'),
+  requireVerifiedEmail,
+  FilesController.putData,
+);
+router.get('/files/:id/versions', requireScope('files:read'), FilesController.getVersions);
+router.get(
+  '/files/:id/versions/:version/data',
+  requireScope('files:read'),
+  FilesController.getVersionData,
+);
+router.post(
+  '/files/:id/versions/:version/restore',
+  requireScope('files:write'),
+  FilesController.postRestoreVersion,
+);
+
+// Share link routes
+router.post('/files/:id/shares', SharesController.postShare);
+router.get('/files/:id/shares', SharesController.getIndex);
+router.delete('/files/:id/shares/:shareId', SharesController.deleteShare);
+router.get('/s/:token', SharesController.getContent);
+
+// Grant routes
+router.post('/files/:id/grants', GrantsController.postGrant);
+router.get('/files/:id/grants', GrantsController.getIndex);
+router.delete('/files/:id/grants/:grantId', GrantsController.deleteGrant);
+
+// Workspace routes
+router.post('/workspaces', WorkspacesController.postWorkspace);
+router.get('/workspaces', WorkspacesController.getIndex);
+router.get('/workspaces/:id', WorkspacesController.getShow);
+router.get('/workspaces/:id/usage', WorkspacesController.getUsage);
+router.delete('/workspaces/:id', WorkspacesController.deleteWorkspace);
+router.post('/workspaces/:id/invitations', WorkspacesController.postInvitation);
+router.get('/workspaces/:id/invitations', WorkspacesController.getInvitations);
+router.patch('/workspaces/:id/members/:userId', WorkspacesController.patchMember);
+router.delete('/workspaces/:id/members/:userId', WorkspacesController.deleteMember);
+router.post('/invitations/:id/accept', WorkspacesController.postAccept);
+router.delete('/invitations/:id', WorkspacesController.deleteInvitation);
+
+// Background job routes
+router.get('/jobs/:id', JobsController.getShow);
 
-// Files routes
-router.post('/files', FilesController.postUpload);
-router.get('/files', FilesController.getIndex);
-router.get('/files/:id', FilesController.getShow);
-router.put('/files/:id/publish', FilesController.putPublish);
-router.put('/files/:id/unpublish', FilesController.putUnpublish);
-router.get('/files/:id/data', FilesController.getFile);
+// Resumable upload routes, accepting API keys like POST /files; a session
+// is checked against the folder of a restricted key by the controller
+router.post(
+  '/uploads',
+  uploadLimit,
+  requireScope('files:write'),
+  requireVerifiedEmail,
+  UploadsController.postSession,
+);
+router.get(
+  '/uploads/:id',
+  requireScope('files:write', { routeChecksFolder: true }),
+  UploadsController.getSession,
+);
+router.put(
+  '/uploads/:id',
+  uploadLimit,
+  requireScope('files:write', { routeChecksFolder: true }),
+  UploadsController.putChunk,
+);
+router.post(
+  '/uploads/:id/complete',
+  requireScope('files:write', { routeChecksFolder: true }),
+  UploadsController.postComplete,
+);
+router.delete(
+  '/uploads/:id',
+  requireScope('files:write', { routeChecksFolder: true }),
+  UploadsController.deleteSession,
+);
 
-export default router;
\ No newline at end of file
+export default router;
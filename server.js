@@ -6,6 +6,13 @@ import routes from './routes/index';
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind a reverse proxy, TRUST_PROXY lets req.ip (used by rate limiting)
+// be read from X-Forwarded-For, e.g. TRUST_PROXY=1 for one proxy
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Load middleware to parse JSON
 app.use(express.json());
 
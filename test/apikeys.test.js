@@ -0,0 +1,269 @@
+// test/apikeys.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { generateApiKey, isInKeyFolder } from '../utils/apikeys';
+import { getUserId, requireScope } from '../utils/auth';
+import { encodeCursor } from '../utils/pagination';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+/**
+ * Runs a middleware on a request
+ *
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request fields: headers, params, query and body
+ * @returns {Promise<Object>} - status and body of the response, or
+ *   next: true if the request went through
+ */
+async function run(middleware, req) {
+  const request = {
+    headers: {}, params: {}, query: {}, ...req,
+  };
+  let response = null;
+  const res = {
+    status(status) {
+      return { json: (body) => { response = { status, body }; } };
+    },
+  };
+
+  let next = false;
+  await middleware(request, res, () => { next = true; });
+  return response || { next, request };
+}
+
+describe('api keys', () => {
+  const userId = new ObjectId();
+  const root = {
+    _id: new ObjectId(), userId, name: 'root', type: 'folder', parentId: 0,
+  };
+  const child = {
+    _id: new ObjectId(), userId, name: 'child', type: 'folder', parentId: root._id.toString(),
+  };
+  const file = {
+    _id: new ObjectId(), userId, name: 'a.txt', type: 'file', parentId: child._id.toString(),
+  };
+  const other = {
+    _id: new ObjectId(), userId, name: 'b.txt', type: 'file', parentId: 0,
+  };
+  const files = () => [root, child, file, other].map((document) => ({ ...document }));
+  const forbidden = { status: 403, body: { error: 'Forbidden' } };
+
+  /**
+   * Creates an API key document and returns its Authorization header
+   *
+   * @param {Array} keys - The apiKeys collection, updated
+   * @param {Object} fields - scopes, and optionally folderId and expiresAt
+   * @returns {Object} - The request headers
+   */
+  function createKey(keys, fields) {
+    const { key, keyHash, prefix } = generateApiKey();
+    keys.push({
+      _id: new ObjectId(), userId, keyHash, prefix, folderId: null, expiresAt: null, ...fields,
+    });
+    return { authorization: `Bearer ${key}` };
+  }
+
+  describe('requireScope', () => {
+    it('lets requests without a key through', async () => {
+      expect.assertions(1);
+      await withFakes({}, async () => {
+        expect(await run(requireScope('files:read'), {})).toMatchObject({ next: true });
+      });
+    });
+
+    it('refuses unknown and expired keys', async () => {
+      expect.assertions(2);
+      const keys = [];
+      const expired = createKey(keys, {
+        scopes: ['files:read'], expiresAt: new Date(Date.now() - 1000),
+      });
+      await withFakes({ apiKeys: keys }, async () => {
+        const unknown = { authorization: 'Bearer fm_nope' };
+
+        expect(await run(requireScope('files:read'), { headers: unknown }))
+          .toStrictEqual({ status: 401, body: { error: 'Unauthorized' } });
+        expect(await run(requireScope('files:read'), { headers: expired }))
+          .toStrictEqual({ status: 401, body: { error: 'Unauthorized' } });
+      });
+    });
+
+    it('refuses keys without the scope of the route', async () => {
+      expect.assertions(1);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:read'] });
+      await withFakes({ apiKeys: keys }, async () => {
+        expect(await run(requireScope('files:write'), { headers }))
+          .toStrictEqual({ status: 403, body: { error: 'Insufficient scope' } });
+      });
+    });
+
+    it('authenticates requests as the owner of the key', async () => {
+      expect.assertions(3);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:read', 'files:write'] });
+      await withFakes({ apiKeys: keys }, async () => {
+        const { next, request } = await run(requireScope('files:write'), { headers });
+
+        expect(next).toBe(true);
+        expect(await getUserId(request)).toBe(userId.toString());
+        expect(keys[0].lastUsedAt).toBeInstanceOf(Date);
+      });
+    });
+
+    it('accepts targets inside the folder of a restricted key', async () => {
+      expect.assertions(4);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:read'], folderId: root._id });
+      await withFakes({ apiKeys: keys, files: files() }, async () => {
+        const targets = [
+          { params: { id: file._id.toString() } },
+          { query: { parentId: root._id.toString() } },
+          { body: { parentId: child._id.toString() } },
+          { body: { ids: [child._id.toString(), file._id.toString()] } },
+        ];
+
+        const results = await Promise.all(targets.map((target) => (
+          run(requireScope('files:read'), { headers, ...target })
+        )));
+
+        results.forEach((result) => expect(result).toMatchObject({ next: true }));
+      });
+    });
+
+    it('refuses targets outside the folder of a restricted key', async () => {
+      expect.assertions(4);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:read'], folderId: root._id });
+      await withFakes({ apiKeys: keys, files: files() }, async () => {
+        const targets = [
+          { params: { id: other._id.toString() } },
+          { query: { parentId: '0' } },
+          { params: { id: file._id.toString() }, body: { parentId: 0 } },
+          { body: { ids: [file._id.toString(), other._id.toString()] } },
+        ];
+
+        const results = await Promise.all(targets.map((target) => (
+          run(requireScope('files:read'), { headers, ...target })
+        )));
+
+        results.forEach((result) => expect(result).toStrictEqual(forbidden));
+      });
+    });
+
+    it('refuses restricted keys without a target or on the whole account', async () => {
+      expect.assertions(2);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:read'], folderId: root._id });
+      await withFakes({ apiKeys: keys, files: files() }, async () => {
+        const wholeAccount = requireScope('files:read', { wholeAccount: true });
+
+        expect(await run(requireScope('files:read'), { headers })).toStrictEqual(forbidden);
+        expect(await run(wholeAccount, { headers, query: { parentId: root._id.toString() } }))
+          .toStrictEqual(forbidden);
+      });
+    });
+  });
+
+  describe('isInKeyFolder', () => {
+    it('accepts everything for keys without a folder', async () => {
+      expect.assertions(1);
+      expect(await isInKeyFolder({ folderId: null }, 0)).toBe(true);
+    });
+
+    it('accepts the folder and what is below it only', async () => {
+      expect.assertions(5);
+      await withFakes({ files: files() }, async () => {
+        const apiKey = { folderId: child._id };
+
+        expect(await isInKeyFolder(apiKey, child._id.toString())).toBe(true);
+        expect(await isInKeyFolder(apiKey, file._id.toString())).toBe(true);
+        expect(await isInKeyFolder(apiKey, root._id.toString())).toBe(false);
+        expect(await isInKeyFolder(apiKey, 0)).toBe(false);
+        expect(await isInKeyFolder(apiKey, 'not-an-id')).toBe(false);
+      });
+    });
+  });
+
+  describe('routes', () => {
+    it('create keys that are only shown once', async () => {
+      expect.assertions(3);
+      await withFakes({ files: files() }, async () => {
+        const headers = await signIn(userId);
+
+        const res = await chai.request(app).post('/users/me/api-keys').set(headers)
+          .send({ name: 'backup', scopes: ['files:read'], folderId: root._id.toString() });
+        const list = await chai.request(app).get('/users/me/api-keys').set(headers);
+        const shown = await chai.request(app).get(`/files/${file._id}`)
+          .set('Authorization', `Bearer ${res.body.key}`);
+
+        expect(res.body).toMatchObject({
+          name: 'backup', scopes: ['files:read'], folderId: root._id.toString(),
+        });
+        expect(list.body).toStrictEqual([expect.not.objectContaining({ key: expect.anything() })]);
+        expect(shown.body.id).toBe(file._id.toString());
+      });
+    });
+
+    it('check the folder of listing cursors', async () => {
+      expect.assertions(2);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:read'], folderId: root._id });
+      await withFakes({ apiKeys: keys, files: files() }, async () => {
+        const state = {
+          parentId: 0, workspaceId: null, sort: 'createdAt', order: 'asc', foldersFirst: false, limit: 1,
+        };
+        const inside = encodeCursor({ ...state, parentId: root._id.toString() }, child);
+        const outside = encodeCursor(state, root);
+
+        const allowed = await chai.request(app).get(`/files?cursor=${inside}`).set(headers);
+        const res = await chai.request(app).get(`/files?cursor=${outside}`).set(headers);
+
+        expect(allowed.status).toBe(200);
+        expect(res.body).toStrictEqual({ error: 'Forbidden' });
+      });
+    });
+
+    it('need an unrestricted key for the items shared with the user', async () => {
+      expect.assertions(2);
+      const keys = [];
+      const restricted = createKey(keys, { scopes: ['files:read'], folderId: root._id });
+      const unrestricted = createKey(keys, { scopes: ['files:read'] });
+      await withFakes({ apiKeys: keys }, async () => {
+        const res = await chai.request(app).get('/files/shared-with-me').set(restricted);
+        const allowed = await chai.request(app).get('/files/shared-with-me').set(unrestricted);
+
+        expect(res.status).toBe(403);
+        expect(allowed.body).toStrictEqual([]);
+      });
+    });
+
+    it('upload to the folder of the key through upload sessions', async () => {
+      expect.assertions(4);
+      const keys = [];
+      const headers = createKey(keys, { scopes: ['files:write'], folderId: root._id });
+      const reader = createKey(keys, { scopes: ['files:read'] });
+      await withFakes({ apiKeys: keys, files: files() }, async () => {
+        const create = (parentId, auth) => chai.request(app).post('/uploads').set(auth)
+          .send({
+            name: 'big.txt', type: 'file', size: 1, parentId,
+          });
+
+        const res = await create(root._id.toString(), headers);
+        const outside = await create(0, headers);
+        const readOnly = await create(root._id.toString(), reader);
+        const rootSession = await create(0, await signIn(userId));
+        const hidden = await chai.request(app).get(`/uploads/${rootSession.body.id}`).set(headers);
+
+        expect(res.status).toBe(201);
+        expect(outside.status).toBe(403);
+        expect(readOnly.body).toStrictEqual({ error: 'Insufficient scope' });
+        expect(hidden.status).toBe(404);
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// test/archive.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+import { binaryParser, readZip } from './helpers/zip';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('zip archives', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Signs the user in and creates a folder tree:
+   * docs/a.txt, docs/old/a.txt and docs/old/A.TXT
+   *
+   * @returns {Promise<Object>} - headers, and the IDs of folder,
+   *   subFolder and file
+   */
+  async function createTree() {
+    const headers = await signIn(userId);
+    const create = async (fields) => {
+      const res = await chai.request(app).post('/files').set(headers).send(fields);
+      return res.body.id;
+    };
+    const content = (text) => Buffer.from(text).toString('base64');
+    const folder = await create({ name: 'docs', type: 'folder' });
+    const file = await create({
+      name: 'a.txt', type: 'file', parentId: folder, data: content('first'),
+    });
+    const subFolder = await create({ name: 'old', type: 'folder', parentId: folder });
+    await create({
+      name: 'a.txt', type: 'file', parentId: subFolder, data: content('second'),
+    });
+    await create({
+      name: 'A.TXT', type: 'file', parentId: subFolder, data: content('third'),
+    });
+    return {
+      headers, folder, subFolder, file,
+    };
+  }
+
+  /**
+   * Downloads an archive and reads its entries
+   *
+   * @param {Object} request - The chai-http request
+   * @returns {Promise<Object>} - status, headers and entries
+   */
+  async function download(request) {
+    const res = await request.buffer(true).parse(binaryParser);
+    return { status: res.status, headers: res.headers, entries: await readZip(res.body) };
+  }
+
+  it('hold folders with their structure', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, folder } = await createTree();
+
+      const res = await download(chai.request(app).get(`/files/${folder}/archive`).set(headers));
+
+      expect(res.headers['content-disposition']).toBe('attachment; filename="docs.zip"');
+      expect(res.entries).toStrictEqual({
+        'docs/': null,
+        'docs/a.txt': 'first',
+        'docs/old/': null,
+        'docs/old/a.txt': 'second',
+        'docs/old/A (2).TXT': 'third',
+      });
+    });
+  });
+
+  it('leave out items in the trash', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { headers, folder, subFolder } = await createTree();
+      await chai.request(app).delete(`/files/${subFolder}`).set(headers);
+
+      const res = await download(chai.request(app).get(`/files/${folder}/archive`).set(headers));
+
+      expect(Object.keys(res.entries)).toStrictEqual(['docs/', 'docs/a.txt']);
+    });
+  });
+
+  it('only hold the public items of public folders for other users', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, folder, file } = await createTree();
+      const other = await signIn(new ObjectId());
+
+      const hidden = await chai.request(app).get(`/files/${folder}/archive`).set(other);
+      await chai.request(app).put(`/files/${folder}/publish`).set(headers);
+      await chai.request(app).put(`/files/${file}/publish`).set(headers);
+      const res = await download(chai.request(app).get(`/files/${folder}/archive`).set(other));
+
+      expect(hidden.status).toBe(404);
+      expect(res.entries).toStrictEqual({ 'docs/': null, 'docs/a.txt': 'first' });
+    });
+  });
+
+  it('hold a selection of items in the order requested', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { headers, subFolder, file } = await createTree();
+
+      const res = await download(chai.request(app).post('/files/archive').set(headers)
+        .send({ ids: [file, subFolder] }));
+
+      expect(Object.keys(res.entries)).toStrictEqual(['a.txt', 'old/', 'old/a.txt', 'old/A (2).TXT']);
+    });
+  });
+
+  it('are refused for selections with unreadable items', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { file } = await createTree();
+      const other = await signIn(new ObjectId());
+
+      const missing = await chai.request(app).post('/files/archive').set(other).send({});
+      const res = await chai.request(app).post('/files/archive').set(other).send({ ids: [file] });
+
+      expect(missing.body).toStrictEqual({ error: 'Missing ids' });
+      expect(res.status).toBe(404);
+    });
+  });
+});
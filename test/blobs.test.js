@@ -0,0 +1,108 @@
+// test/blobs.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { locate } from '../utils/storage';
+import { storeBlob } from '../utils/blobs';
+import { saveBuffer } from '../utils/upload';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('content blobs', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Uploads a file
+   *
+   * @param {Object} headers - Headers authenticating the owner
+   * @param {string} name - Name of the file
+   * @returns {Promise<string>} - ID of the file
+   */
+  async function upload(headers, name) {
+    const res = await chai.request(app).post('/files').set(headers).send({
+      name, type: 'file', data: Buffer.from('same content').toString('base64'),
+    });
+    return res.body.id;
+  }
+
+  /**
+   * Trashes and purges a file
+   *
+   * @param {Object} headers - Headers authenticating the owner
+   * @param {string} id - ID of the file
+   * @returns {Promise<void>}
+   */
+  async function purge(headers, id) {
+    await chai.request(app).delete(`/files/${id}`).set(headers);
+    await chai.request(app).delete(`/files/trash/${id}`).set(headers);
+  }
+
+  it('store identical contents once', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      await upload(headers, 'a.txt');
+      await upload(headers, 'b.txt');
+
+      const [first, second] = dbClient.db.collection('files').documents;
+      const blobs = dbClient.db.collection('blobs').documents;
+
+      expect(first.storageKey).toBe(second.storageKey);
+      expect(blobs).toHaveLength(1);
+      expect(blobs[0]).toMatchObject({ _id: first.checksum, refCount: 2, size: 12 });
+    });
+  });
+
+  it('are shared by copies', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const id = await upload(headers, 'a.txt');
+
+      await chai.request(app).post(`/files/${id}/copy`).set(headers).send({});
+
+      expect(dbClient.db.collection('blobs').documents[0].refCount).toBe(2);
+    });
+  });
+
+  it('are removed with their last reference', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const first = await upload(headers, 'a.txt');
+      const second = await upload(headers, 'b.txt');
+      const location = locate(dbClient.db.collection('files').documents[0]);
+
+      await purge(headers, first);
+      const kept = await location.driver.stat(location.key);
+      await purge(headers, second);
+
+      expect(kept).not.toBeNull();
+      expect(await location.driver.stat(location.key)).toBeNull();
+      expect(dbClient.db.collection('blobs').documents).toHaveLength(0);
+    });
+  });
+
+  it('are stored again once a deletion of the same content ended', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const content = await saveBuffer(Buffer.from('same content'));
+      const blobs = dbClient.db.collection('blobs');
+      await blobs.insertOne({
+        _id: content.checksum, refCount: 0, deleting: true, storage: 'local', key: content.checksum,
+      });
+      setTimeout(() => blobs.deleteOne({ _id: content.checksum }), 100);
+
+      const stored = await storeBlob(content);
+      const { driver, key } = locate(stored);
+
+      expect(blobs.documents).toMatchObject([{ _id: content.checksum, refCount: 1 }]);
+      expect((await driver.getBuffer(key)).toString()).toBe('same content');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// test/copy.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { COPY_SYNC_MAX_BYTES } from '../utils/copy';
+import { copyQueue } from '../utils/queue';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('copies', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Signs the user in and creates a folder with a sub-folder and a file
+   *
+   * @returns {Promise<Object>} - headers, and the IDs of folder,
+   *   subFolder and file
+   */
+  async function createTree() {
+    const headers = await signIn(userId);
+    const create = async (fields) => {
+      const res = await chai.request(app).post('/files').set(headers).send(fields);
+      return res.body.id;
+    };
+    const folder = await create({ name: 'docs', type: 'folder' });
+    const subFolder = await create({ name: 'old', type: 'folder', parentId: folder });
+    const file = await create({
+      name: 'a.txt', type: 'file', parentId: subFolder, data: Buffer.from('a').toString('base64'),
+    });
+    return {
+      headers, folder, subFolder, file,
+    };
+  }
+
+  it('copy a folder with everything below it', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const { headers, folder } = await createTree();
+
+      const res = await chai.request(app).post(`/files/${folder}/copy`).set(headers).send({});
+      const files = dbClient.db.collection('files').documents;
+      const [, subFolderCopy, fileCopy] = files.slice(3);
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ name: 'docs', parentId: 0 });
+      expect(files.map(({ name }) => name))
+        .toStrictEqual(['docs', 'old', 'a.txt', 'docs', 'old', 'a.txt']);
+      expect([subFolderCopy.parentId, fileCopy.parentId])
+        .toStrictEqual([res.body.id, subFolderCopy._id.toString()]);
+    });
+  });
+
+  it('have the content of the original', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { headers, file } = await createTree();
+
+      const res = await chai.request(app).post(`/files/${file}/copy`).set(headers).send({});
+      const data = await chai.request(app).get(`/files/${res.body.id}/data`).set(headers);
+
+      expect(data.text).toBe('a');
+    });
+  });
+
+  it('can not go inside the copied folder', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { headers, folder, subFolder } = await createTree();
+
+      const res = await chai.request(app).post(`/files/${folder}/copy`).set(headers)
+        .send({ parentId: subFolder });
+
+      expect(res.body).toStrictEqual({ error: 'Cannot copy a folder into itself' });
+    });
+  });
+
+  it('run as a background job for large trees', async () => {
+    expect.assertions(2);
+    const folder = {
+      _id: new ObjectId(), userId, name: 'big', type: 'folder', parentId: 0,
+    };
+    const file = {
+      _id: new ObjectId(),
+      userId,
+      name: 'big.bin',
+      type: 'file',
+      parentId: folder._id.toString(),
+      size: COPY_SYNC_MAX_BYTES + 1,
+    };
+
+    await withFakes({ files: [folder, file] }, async ({ jobs }) => {
+      const res = await chai.request(app).post(`/files/${folder._id}/copy`)
+        .set(await signIn(userId))
+        .send({});
+
+      expect(res.body).toStrictEqual({ jobId: jobs[0].opts.jobId, status: 'waiting' });
+      expect(jobs[0]).toMatchObject({
+        queue: 'copyQueue',
+        data: { userId: userId.toString(), fileId: folder._id.toString(), parentId: 0 },
+      });
+    });
+  });
+
+  it('report the progress of their job to its user only', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const job = {
+        id: 'job-id',
+        data: { userId: userId.toString() },
+        returnvalue: { id: 'copy-id' },
+        getState: async () => 'completed',
+        progress: () => 100,
+      };
+      copyQueue.getJob.withArgs('job-id').resolves(job);
+
+      const res = await chai.request(app).get('/jobs/job-id').set(await signIn(userId));
+      const other = await chai.request(app).get('/jobs/job-id').set(await signIn(new ObjectId()));
+
+      expect(res.body).toStrictEqual({
+        id: 'job-id', type: 'copy', status: 'completed', progress: 100, result: { id: 'copy-id' },
+      });
+      expect(other.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// test/download.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+// Content of the downloaded file
+const CONTENT = '0123456789';
+
+describe('file downloads', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Signs the user in and uploads a file
+   *
+   * @returns {Promise<Object>} - headers, and url of the file content
+   */
+  async function uploadFile() {
+    const headers = await signIn(userId);
+    const res = await chai.request(app).post('/files').set(headers).send({
+      name: 'digits.txt', type: 'file', data: Buffer.from(CONTENT).toString('base64'),
+    });
+    return { headers, url: `/files/${res.body.id}/data` };
+  }
+
+  it('send the content with its validators', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+
+      const res = await chai.request(app).get(url).set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe(CONTENT);
+      expect(res.headers).toMatchObject({
+        'accept-ranges': 'bytes',
+        'content-length': '10',
+        etag: expect.stringMatching(/^"[0-9a-f]{64}"$/),
+        'last-modified': expect.any(String),
+      });
+    });
+  });
+
+  it('send a byte range of the content', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+
+      const res = await chai.request(app).get(url).set(headers).set('Range', 'bytes=2-5');
+
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe('bytes 2-5/10');
+      expect(res.text).toBe('2345');
+    });
+  });
+
+  it('answer 416 to ranges outside the content', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+
+      const res = await chai.request(app).get(url).set(headers).set('Range', 'bytes=20-30');
+
+      expect(res.status).toBe(416);
+      expect(res.headers['content-range']).toBe('bytes */10');
+    });
+  });
+
+  it('send the whole content when If-Range does not match', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+
+      const res = await chai.request(app).get(url).set(headers)
+        .set('Range', 'bytes=2-5')
+        .set('If-Range', '"outdated"');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe(CONTENT);
+    });
+  });
+
+  it('answer 304 when the client has the content', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+      const { headers: { etag, 'last-modified': lastModified } } = await chai.request(app)
+        .get(url).set(headers);
+
+      const byEtag = await chai.request(app).get(url).set(headers).set('If-None-Match', etag);
+      const byDate = await chai.request(app).get(url).set(headers)
+        .set('If-Modified-Since', lastModified);
+
+      expect(byEtag.status).toBe(304);
+      expect(byDate.status).toBe(304);
+    });
+  });
+
+  it('send the headers only to HEAD requests', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+
+      const res = await chai.request(app).head(url).set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-length']).toBe('10');
+      expect(res.text).toBe('');
+    });
+  });
+});
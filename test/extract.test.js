@@ -0,0 +1,135 @@
+// test/extract.test.js
+import fs from 'fs';
+import path from 'path';
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { extractArchive } from '../utils/extract';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+import { createZip } from './helpers/zip';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('archive extraction', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Extracts an archive at the root of the user
+   *
+   * @param {Object} entries - Entries of the archive, as for createZip
+   * @returns {Promise<Object>} - Result of extractArchive
+   */
+  async function extract(entries) {
+    const archivePath = path.join(process.env.FOLDER_PATH, `${new ObjectId()}.zip`);
+    await fs.promises.writeFile(archivePath, await createZip(entries));
+    try {
+      return await extractArchive(archivePath, {
+        userId: userId.toString(), parentId: 0, isPublic: false,
+      });
+    } finally {
+      await fs.promises.unlink(archivePath);
+    }
+  }
+
+  it('runs as a background job for uploaded archives', async () => {
+    expect.assertions(3);
+    await withFakes({}, async ({ jobs }) => {
+      const archive = await createZip({ 'a.txt': 'a' });
+
+      const res = await chai.request(app).post('/files/extract').set(await signIn(userId))
+        .send({ data: archive.toString('base64') });
+
+      expect(res.status).toBe(202);
+      expect(res.body).toStrictEqual({ jobId: jobs[0].opts.jobId, status: 'waiting' });
+      expect(jobs[0]).toMatchObject({
+        queue: 'extractQueue',
+        data: {
+          userId: userId.toString(),
+          parentId: 0,
+          isPublic: false,
+          archive: { size: archive.length },
+        },
+      });
+    });
+  });
+
+  it('refuses uploads that are not archives', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const res = await chai.request(app).post('/files/extract').set(await signIn(userId))
+        .send({ data: Buffer.from('not a zip').toString('base64') });
+
+      expect(res.body).toStrictEqual({ error: 'Invalid archive' });
+    });
+  });
+
+  it('recreates the folders of the archive', async () => {
+    expect.assertions(3);
+    await withFakes({}, async ({ jobs }) => {
+      const result = await extract({
+        'docs/': null, 'docs/a.txt': 'a', 'img/photo.png': 'png', '__MACOSX/docs/._a.txt': 'x',
+      });
+      const files = dbClient.db.collection('files').documents;
+      const byName = Object.fromEntries(files.map((file) => [file.name, file]));
+
+      expect(result).toStrictEqual({ folders: 2, files: 2 });
+      expect(files.map(({ name, type, parentId }) => [name, type, parentId])).toStrictEqual([
+        ['docs', 'folder', 0],
+        ['a.txt', 'file', byName.docs._id.toString()],
+        ['img', 'folder', 0],
+        ['photo.png', 'image', byName.img._id.toString()],
+      ]);
+      expect(jobs.map(({ queue, data }) => [queue, data.fileId])).toStrictEqual([
+        ['fileQueue', byName['photo.png']._id.toString()],
+      ]);
+    });
+  });
+
+  it('refuses paths leaving the target folder', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const extraction = extract({ 'a.txt': 'a', 'docs/../../evil.txt': 'evil' });
+
+      // yauzl already refuses such paths when reading the entries
+      await expect(extraction).rejects.toThrow('path: docs/../../evil.txt');
+      expect(dbClient.db.collection('files').documents).toHaveLength(0);
+    });
+  });
+
+  it('refuses entries compressed suspiciously well', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const extraction = extract({ 'zeros.bin': Buffer.alloc(2 * 1024 * 1024) });
+
+      await expect(extraction).rejects.toThrow('Archive compression ratio is too high');
+    });
+  });
+
+  it('refuses archives whose content exceeds the quota', async () => {
+    expect.assertions(1);
+    await withFakes({ users: [{ _id: userId, quota: 1 }] }, async () => {
+      const extraction = extract({ 'docs/a.txt': 'abc' });
+
+      await expect(extraction).rejects.toThrow('Storage quota exceeded');
+    });
+  });
+
+  it('removes what it created when it fails', async () => {
+    expect.assertions(3);
+    await withFakes({}, async ({ sandbox }) => {
+      const files = dbClient.db.collection('files');
+      const insertOne = sandbox.stub(files, 'insertOne').callThrough();
+      insertOne.onThirdCall().rejects(new Error('Insert failed'));
+
+      const extraction = extract({ 'docs/a.txt': 'a', 'docs/b.txt': 'b' });
+
+      await expect(extraction).rejects.toThrow('Insert failed');
+      expect(files.documents).toHaveLength(0);
+      expect(dbClient.db.collection('blobs').documents).toHaveLength(0);
+    });
+  });
+});
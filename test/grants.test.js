@@ -0,0 +1,162 @@
+// test/grants.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('grants', () => {
+  const ownerId = new ObjectId();
+  const friendId = new ObjectId();
+  const users = () => [
+    { _id: ownerId, email: 'owner@example.com' },
+    { _id: friendId, email: 'friend@example.com' },
+  ];
+
+  /**
+   * Creates a folder holding a file, and shares the folder with the
+   * friend of the owner
+   *
+   * @param {string} role - Role given to the friend
+   * @returns {Promise<Object>} - owner and friend headers, the IDs of
+   *   folder and file, and the grant as returned
+   */
+  async function shareFolder(role) {
+    const owner = await signIn(ownerId);
+    const folder = await chai.request(app).post('/files').set(owner)
+      .send({ name: 'team', type: 'folder' });
+    const file = await chai.request(app).post('/files').set(owner).send({
+      name: 'a.txt', type: 'file', parentId: folder.body.id, data: Buffer.from('a').toString('base64'),
+    });
+    const grant = await chai.request(app).post(`/files/${folder.body.id}/grants`).set(owner)
+      .send({ email: 'friend@example.com', role });
+    return {
+      owner,
+      friend: await signIn(friendId),
+      folder: folder.body.id,
+      file: file.body.id,
+      grant: grant.body,
+    };
+  }
+
+  it('give a role on a file to another user', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { owner, folder, grant } = await shareFolder('viewer');
+
+      const changed = await chai.request(app).post(`/files/${folder}/grants`).set(owner)
+        .send({ email: 'friend@example.com', role: 'editor' });
+      const list = await chai.request(app).get(`/files/${folder}/grants`).set(owner);
+
+      expect(grant).toMatchObject({
+        fileId: folder, userId: friendId.toString(), email: 'friend@example.com', role: 'viewer',
+      });
+      expect(changed.body).toMatchObject({ id: grant.id, role: 'editor' });
+      expect(list.body).toStrictEqual([changed.body]);
+    });
+  });
+
+  it('refuse invalid roles and users', async () => {
+    expect.assertions(4);
+    await withFakes({ users: users() }, async () => {
+      const { owner, folder } = await shareFolder('viewer');
+      const grant = (body) => chai.request(app).post(`/files/${folder}/grants`).set(owner)
+        .send(body);
+
+      const responses = await Promise.all([
+        grant({ role: 'viewer' }),
+        grant({ email: 'friend@example.com', role: 'owner' }),
+        grant({ email: 'nobody@example.com', role: 'viewer' }),
+        grant({ email: 'owner@example.com', role: 'viewer' }),
+      ]);
+
+      expect(responses[0].body).toStrictEqual({ error: 'Missing email' });
+      expect(responses[1].body).toStrictEqual({ error: 'Invalid role' });
+      expect(responses[2].body).toStrictEqual({ error: 'User not found' });
+      expect(responses[3].body).toStrictEqual({ error: 'Cannot share with yourself' });
+    });
+  });
+
+  it('list the items shared with a user, with their role', async () => {
+    expect.assertions(2);
+    await withFakes({ users: users() }, async () => {
+      const { owner, friend, folder } = await shareFolder('viewer');
+
+      const res = await chai.request(app).get('/files/shared-with-me').set(friend);
+      await chai.request(app).delete(`/files/${folder}`).set(owner);
+      const trashed = await chai.request(app).get('/files/shared-with-me').set(friend);
+
+      expect(res.body).toStrictEqual([expect.objectContaining({ id: folder, role: 'viewer' })]);
+      expect(trashed.body).toStrictEqual([]);
+    });
+  });
+
+  it('let viewers read everything below a shared folder', async () => {
+    expect.assertions(4);
+    await withFakes({ users: users() }, async () => {
+      const { friend, folder, file } = await shareFolder('viewer');
+
+      const list = await chai.request(app).get(`/files?parentId=${folder}`).set(friend);
+      const show = await chai.request(app).get(`/files/${file}`).set(friend);
+      const data = await chai.request(app).get(`/files/${file}/data`).set(friend);
+      const upload = await chai.request(app).post('/files').set(friend)
+        .send({ name: 'b', type: 'folder', parentId: folder });
+
+      expect(list.body.map(({ id }) => id)).toStrictEqual([file]);
+      expect(show.body).toMatchObject({ id: file, role: 'viewer' });
+      expect(data.text).toBe('a');
+      expect(upload.status).toBe(400);
+    });
+  });
+
+  it('let editors upload into a shared folder for its owner', async () => {
+    expect.assertions(2);
+    await withFakes({ users: users() }, async () => {
+      const { friend, folder } = await shareFolder('editor');
+
+      const res = await chai.request(app).post('/files').set(friend)
+        .send({ name: 'b', type: 'folder', parentId: folder });
+
+      expect(res.status).toBe(201);
+      expect(dbClient.db.collection('files').documents[2].userId).toStrictEqual(ownerId);
+    });
+  });
+
+  it('leave publishing and purging to the owner', async () => {
+    expect.assertions(4);
+    await withFakes({ users: users() }, async () => {
+      const { owner, friend, file } = await shareFolder('editor');
+
+      const publish = await chai.request(app).put(`/files/${file}/publish`).set(friend);
+      const unpublish = await chai.request(app).put(`/files/${file}/unpublish`).set(friend);
+      await chai.request(app).delete(`/files/${file}`).set(owner);
+      const purge = await chai.request(app).delete(`/files/trash/${file}`).set(friend);
+      const ownerPurge = await chai.request(app).delete(`/files/trash/${file}`).set(owner);
+
+      expect(publish.status).toBe(404);
+      expect(unpublish.status).toBe(404);
+      expect(purge.status).toBe(404);
+      expect(ownerPurge.status).toBe(204);
+    });
+  });
+
+  it('stop giving access once revoked', async () => {
+    expect.assertions(2);
+    await withFakes({ users: users() }, async () => {
+      const {
+        owner, friend, folder, file, grant,
+      } = await shareFolder('viewer');
+
+      const res = await chai.request(app).delete(`/files/${folder}/grants/${grant.id}`).set(owner);
+      const show = await chai.request(app).get(`/files/${file}`).set(friend);
+
+      expect(res.status).toBe(204);
+      expect(show.status).toBe(404);
+    });
+  });
+});
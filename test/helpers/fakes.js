@@ -0,0 +1,549 @@
+// test/helpers/fakes.js
+import express from 'express';
+import Queue from 'bull';
+import sinon from 'sinon';
+import { ObjectId } from 'mongodb';
+import router from '../../routes/index';
+import dbClient from '../../utils/db';
+import redisClient from '../../utils/redis';
+import * as queues from '../../utils/queue';
+import { createSession } from '../../utils/sessions';
+import FileTransport from '../../utils/mail/file';
+
+/**
+ * Replaces the Redis client methods with an in-memory store
+ *
+ * Keys expire like in Redis, on the clock faked by sinon if any. Sets
+ * are stored as Set objects.
+ *
+ * @param {Object} sandbox - sinon sandbox restoring the methods
+ * @returns {Map} - The values by key
+ */
+export function fakeRedis(sandbox) {
+  const values = new Map();
+  const expiries = new Map();
+
+  const isAlive = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      values.delete(key);
+      expiries.delete(key);
+    }
+    return values.has(key);
+  };
+  const expire = (key, duration) => {
+    expiries.set(key, Date.now() + duration * 1000);
+  };
+  const incrby = (key, amount) => {
+    const value = (isAlive(key) ? Number(values.get(key)) : 0) + amount;
+    values.set(key, String(value));
+    return value;
+  };
+
+  sandbox.stub(redisClient, 'get').callsFake(async (key) => (isAlive(key) ? values.get(key) : null));
+  sandbox.stub(redisClient, 'set').callsFake(async (key, value, duration) => {
+    values.set(key, String(value));
+    expire(key, duration);
+    return 'OK';
+  });
+  sandbox.stub(redisClient, 'setIfAbsent').callsFake(async (key, value, duration) => {
+    if (isAlive(key)) {
+      return false;
+    }
+    values.set(key, String(value));
+    expire(key, duration);
+    return true;
+  });
+  sandbox.stub(redisClient, 'del').callsFake(async (key) => {
+    const existed = isAlive(key);
+    values.delete(key);
+    expiries.delete(key);
+    return existed ? 1 : 0;
+  });
+  sandbox.stub(redisClient, 'expire').callsFake(async (key, duration) => {
+    if (!isAlive(key)) {
+      return 0;
+    }
+    expire(key, duration);
+    return 1;
+  });
+  sandbox.stub(redisClient, 'ttl').callsFake(async (key) => {
+    if (!isAlive(key)) {
+      return -2;
+    }
+    return expiries.has(key) ? Math.ceil((expiries.get(key) - Date.now()) / 1000) : -1;
+  });
+  sandbox.stub(redisClient, 'incr').callsFake(async (key) => incrby(key, 1));
+  sandbox.stub(redisClient, 'incrby').callsFake(async (key, amount) => incrby(key, amount));
+  sandbox.stub(redisClient, 'sadd').callsFake(async (key, member) => {
+    const members = isAlive(key) ? values.get(key) : new Set();
+    values.set(key, members);
+    const added = !members.has(member);
+    members.add(member);
+    return added ? 1 : 0;
+  });
+  sandbox.stub(redisClient, 'srem').callsFake(async (key, member) => (
+    isAlive(key) && values.get(key).delete(member) ? 1 : 0
+  ));
+  sandbox.stub(redisClient, 'smembers').callsFake(async (key) => (
+    isAlive(key) ? [...values.get(key)] : []
+  ));
+
+  return values;
+}
+
+// Comparable form of a stored or queried value
+function normalize(value) {
+  if (value instanceof ObjectId) {
+    return value.toHexString();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+}
+
+// Reads a (dotted) field, collecting it from the members of arrays
+function getField(document, field) {
+  return field.split('.').reduce((value, part) => {
+    if (Array.isArray(value)) {
+      return value.map((item) => item[part]);
+    }
+    return value == null ? undefined : value[part];
+  }, document);
+}
+
+// Query operators supported by the fake collections
+const OPERATORS = {
+  $ne: (value, operand) => (operand === null ? value != null : value !== operand),
+  $gt: (value, operand) => value != null && value > operand,
+  $gte: (value, operand) => value != null && value >= operand,
+  $lt: (value, operand) => value != null && value < operand,
+  $lte: (value, operand) => value != null && value <= operand,
+  $in: (value, operand) => operand.map(normalize).includes(value),
+  $exists: (value, operand) => (value !== undefined) === operand,
+  $regex: (value, operand, { $options }) => typeof value === 'string'
+    && new RegExp(operand, $options).test(value),
+  $options: () => true,
+};
+
+// Tells whether a query condition is made of the operators above
+function isOperator(condition) {
+  return !!condition && typeof condition === 'object' && !(condition instanceof ObjectId)
+    && !(condition instanceof Date) && Object.keys(condition).length > 0
+    && Object.keys(condition).every((key) => key in OPERATORS);
+}
+
+// Aggregation operators supported by the fake collections
+const EXPRESSIONS = {
+  $add: (values) => values.reduce((sum, value) => sum + value, 0),
+  $ifNull: ([value, replacement]) => (value == null ? replacement : value),
+  $sum: (value) => [].concat(value).filter((item) => typeof item === 'number')
+    .reduce((sum, item) => sum + item, 0),
+  $gt: ([first, second]) => first != null && (second == null || first > second),
+  $eq: ([first, second]) => normalize(first) === normalize(second),
+};
+
+/**
+ * Evaluates an aggregation expression on a document
+ *
+ * @param {*} expression - Field path, operator or object of expressions
+ * @param {Object} document - The document
+ * @returns {*} - The value of the expression
+ */
+function evaluate(expression, document) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getField(document, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluate(item, document));
+  }
+  if (!expression || typeof expression !== 'object' || expression instanceof ObjectId
+    || expression instanceof Date) {
+    return expression;
+  }
+
+  const [operator] = Object.keys(expression);
+  if (operator in EXPRESSIONS) {
+    return EXPRESSIONS[operator](evaluate(expression[operator], document));
+  }
+  return Object.fromEntries(Object.entries(expression)
+    .map(([field, value]) => [field, evaluate(value, document)]));
+}
+
+/**
+ * Tells whether a document matches a query
+ *
+ * Supports equality on (dotted) fields, including array members, null
+ * for missing fields, the operators above, $or, $and and $expr. $text
+ * matches the documents whose name has one of the words searched, like
+ * the text index of utils/db.
+ *
+ * @param {Object} document - The document
+ * @param {Object} query - The query
+ * @returns {boolean} - True if the document matches
+ */
+function matches(document, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some((alternative) => matches(document, alternative));
+    }
+    if (field === '$and') {
+      return condition.every((part) => matches(document, part));
+    }
+    if (field === '$expr') {
+      return !!evaluate(condition, document);
+    }
+    if (field === '$text') {
+      const words = (document.name || '').toLowerCase().split(/\W+/);
+      return condition.$search.toLowerCase().split(/\s+/).some((word) => words.includes(word));
+    }
+    const found = getField(document, field);
+    const values = Array.isArray(found) ? found.map(normalize) : [normalize(found)];
+
+    if (isOperator(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        const test = (value) => OPERATORS[operator](value, normalize(operand), condition);
+        // An array differs from a value when none of its members equals it
+        return operator === '$ne' ? values.every(test) : values.some(test);
+      });
+    }
+    if (condition === null) {
+      return values.every((value) => value == null);
+    }
+    return values.includes(normalize(condition));
+  });
+}
+
+/**
+ * Applies the $set, $unset, $inc, $push and $pull operators of an update
+ *
+ * $setOnInsert is applied by the upserts themselves.
+ *
+ * @param {Object} document - The document, changed in place
+ * @param {Object} update - The update
+ */
+function applyUpdate(document, update) {
+  const target = (field) => {
+    const parts = field.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((value, part) => {
+      if (value[part] == null) {
+        Object.assign(value, { [part]: {} });
+      }
+      return value[part];
+    }, document);
+    return [parent, last];
+  };
+
+  Object.entries(update.$set || {}).forEach(([field, value]) => {
+    const [parent, last] = target(field);
+    parent[last] = value;
+  });
+  Object.keys(update.$unset || {}).forEach((field) => {
+    const [parent, last] = target(field);
+    delete parent[last];
+  });
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+    const [parent, last] = target(field);
+    parent[last] = (parent[last] || 0) + amount;
+  });
+  Object.entries(update.$push || {}).forEach(([field, value]) => {
+    const [parent, last] = target(field);
+    parent[last] = [...(parent[last] || []), value];
+  });
+  Object.entries(update.$pull || {}).forEach(([field, value]) => {
+    const [parent, last] = target(field);
+    parent[last] = (parent[last] || []).filter((item) => normalize(item) !== normalize(value));
+  });
+}
+
+// Sorts documents by the fields of a sort specification
+function sortDocuments(documents, sort) {
+  return [...documents].sort((a, b) => {
+    for (const [field, order] of Object.entries(sort)) {
+      const first = normalize(getField(a, field));
+      const second = normalize(getField(b, field));
+      if (first !== second) {
+        // Missing values come first, like null in MongoDB
+        return (first == null || (second != null && first < second) ? -1 : 1) * order;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Runs the aggregation stages used by the app
+ *
+ * Groups only support the $sum accumulator.
+ *
+ * @param {Object} db - The fake database, for $lookup
+ * @param {Array} documents - Documents of the collection
+ * @param {Array} pipeline - The stages
+ * @returns {Array} - The resulting documents
+ */
+function aggregate(db, documents, pipeline) {
+  const stages = {
+    $match: (found, query) => found.filter((document) => matches(document, query)),
+    $sort: (found, sort) => sortDocuments(found, sort),
+    $skip: (found, count) => found.slice(count),
+    $limit: (found, count) => found.slice(0, count),
+    $unwind: (found, path) => found.flatMap((document) => [].concat(evaluate(path, document))
+      .map((value) => ({ ...document, [path.slice(1)]: value }))),
+    $lookup: (found, {
+      from, localField, foreignField, as,
+    }) => found.map((document) => ({
+      ...document,
+      [as]: db.collection(from).documents.filter((foreign) => (
+        normalize(getField(foreign, foreignField)) === normalize(getField(document, localField))
+      )),
+    })),
+    $group: (found, { _id: id, ...fields }) => {
+      const groups = new Map();
+      found.forEach((document) => {
+        const groupId = evaluate(id, document);
+        const key = JSON.stringify(groupId);
+        if (!groups.has(key)) {
+          const totals = Object.keys(fields).map((field) => [field, 0]);
+          groups.set(key, { _id: groupId, ...Object.fromEntries(totals) });
+        }
+        Object.entries(fields).forEach(([field, { $sum: amount }]) => {
+          groups.get(key)[field] += EXPRESSIONS.$sum(evaluate(amount, document));
+        });
+      });
+      return [...groups.values()];
+    },
+  };
+
+  return pipeline.reduce((found, stage) => {
+    const [name] = Object.keys(stage);
+    return stages[name](found, stage[name]);
+  }, documents);
+}
+
+/**
+ * Returns an in-memory collection with the methods used by the app
+ *
+ * @param {Object} db - The fake database holding the collection
+ * @param {Array} documents - Initial documents
+ * @returns {Object} - The collection, with its documents in `documents`
+ */
+function fakeCollection(db, documents) {
+  const find = (query) => documents.find((document) => matches(document, query)) || null;
+  // Adds a document, failing like MongoDB when its _id is taken
+  const insert = (document) => {
+    Object.assign(document, { _id: document._id || new ObjectId() });
+    if (find({ _id: document._id })) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    documents.push(document);
+  };
+
+  return {
+    documents,
+    findOne: async (query) => find(query),
+    find: (query = {}) => {
+      let found = documents.filter((document) => matches(document, query));
+      const cursor = {
+        sort: (sort) => {
+          found = sortDocuments(found, sort);
+          return cursor;
+        },
+        project: () => cursor,
+        skip: (count) => {
+          found = found.slice(count);
+          return cursor;
+        },
+        limit: (count) => {
+          found = found.slice(0, count);
+          return cursor;
+        },
+        toArray: async () => found,
+      };
+      return cursor;
+    },
+    aggregate: (pipeline) => ({ toArray: async () => aggregate(db, documents, pipeline) }),
+    countDocuments: async (query = {}) => documents.filter((document) => matches(document, query))
+      .length,
+    insertOne: async (document) => {
+      insert(document);
+      return { insertedId: document._id };
+    },
+    updateOne: async (query, update) => {
+      const document = find(query);
+      if (document) {
+        applyUpdate(document, update);
+      }
+      return { matchedCount: document ? 1 : 0 };
+    },
+    updateMany: async (query, update) => {
+      const found = documents.filter((document) => matches(document, query));
+      found.forEach((document) => applyUpdate(document, update));
+      return { matchedCount: found.length };
+    },
+    findOneAndUpdate: async (query, update, options = {}) => {
+      let document = find(query);
+      const before = document && { ...document };
+      if (!document && options.upsert) {
+        // The equality conditions of the query are part of the new document
+        document = Object.fromEntries(Object.entries(query).filter(([field, condition]) => (
+          !field.includes('.') && !isOperator(condition)
+        )));
+        insert(Object.assign(document, update.$setOnInsert));
+      }
+      if (document) {
+        applyUpdate(document, update);
+      }
+      return { value: options.returnDocument === 'after' ? document : before };
+    },
+    findOneAndDelete: async (query) => {
+      const document = find(query);
+      if (document) {
+        documents.splice(documents.indexOf(document), 1);
+      }
+      return { value: document };
+    },
+    deleteOne: async (query) => {
+      const document = find(query);
+      if (document) {
+        documents.splice(documents.indexOf(document), 1);
+      }
+      return { deletedCount: document ? 1 : 0 };
+    },
+    deleteMany: async (query) => {
+      const found = documents.filter((document) => matches(document, query));
+      found.forEach((document) => documents.splice(documents.indexOf(document), 1));
+      return { deletedCount: found.length };
+    },
+  };
+}
+
+/**
+ * Replaces the database with in-memory collections
+ *
+ * The database stays replaced even when the connection attempt of
+ * utils/db fails later on.
+ *
+ * @param {Object} data - Initial documents, by collection name
+ * @returns {Function} - Restores the database
+ */
+export function fakeDb(data = {}) {
+  const collections = {};
+  const db = {
+    collection: (name) => {
+      if (!collections[name]) {
+        collections[name] = fakeCollection(db, data[name] || []);
+      }
+      return collections[name];
+    },
+  };
+
+  // utils/db also keeps the users and files collections at hand
+  const getters = {
+    db: () => db,
+    users: () => db.collection('users'),
+    files: () => db.collection('files'),
+  };
+  const descriptors = Object.keys(getters).map((name) => (
+    [name, Object.getOwnPropertyDescriptor(dbClient, name)]
+  ));
+  Object.entries(getters).forEach(([name, get]) => {
+    Object.defineProperty(dbClient, name, { configurable: true, get, set: () => {} });
+  });
+
+  return () => {
+    descriptors.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(dbClient, name, descriptor);
+      } else {
+        delete dbClient[name];
+      }
+    });
+  };
+}
+
+/**
+ * Records the messages sent by mail instead of writing them to files
+ *
+ * @param {Object} sandbox - sinon sandbox restoring the transport
+ * @returns {Array} - The sent messages: from, to, subject and text
+ */
+export function fakeMail(sandbox) {
+  const messages = [];
+  sandbox.stub(FileTransport.prototype, 'send').callsFake(async (message) => {
+    messages.push(message);
+  });
+  return messages;
+}
+
+/**
+ * Records the jobs added to the Bull queues instead of sending them to Redis
+ *
+ * No job is processed, so getJob finds none unless a test makes the stub
+ * resolve to one.
+ *
+ * @param {Object} sandbox - sinon sandbox restoring the queues
+ * @returns {Array} - The added jobs: queue name, data and options
+ */
+export function fakeQueues(sandbox) {
+  const jobs = [];
+  Object.values(queues).filter((queue) => queue instanceof Queue).forEach((queue) => {
+    sandbox.stub(queue, 'add').callsFake(async (data, opts = {}) => {
+      const job = {
+        id: opts.jobId || String(jobs.length + 1), queue: queue.name, data, opts,
+      };
+      jobs.push(job);
+      return job;
+    });
+    sandbox.stub(queue, 'getJob').resolves(null);
+  });
+  return jobs;
+}
+
+/**
+ * Runs a test with an in-memory database, Redis and queues
+ *
+ * Everything is restored once the test is over, even when it fails.
+ *
+ * @param {Object} data - Initial documents, by collection name
+ * @param {Function} callback - The test, called with the sandbox, the
+ *   Redis values, the queued jobs and the sent mail
+ * @returns {Promise<*>} - What the callback returned
+ */
+export async function withFakes(data, callback) {
+  const sandbox = sinon.createSandbox();
+  const restoreDb = fakeDb(data);
+  try {
+    return await callback({
+      sandbox, redis: fakeRedis(sandbox), jobs: fakeQueues(sandbox), mail: fakeMail(sandbox),
+    });
+  } finally {
+    sandbox.restore();
+    restoreDb();
+  }
+}
+
+/**
+ * Returns the application, as set up by server.js
+ *
+ * @returns {Object} - The Express application
+ */
+export function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/', router);
+  return app;
+}
+
+/**
+ * Signs a user in, like GET /connect
+ *
+ * @param {ObjectId|string} userId - ID of the user
+ * @returns {Promise<Object>} - The headers authenticating requests as the user
+ */
+export async function signIn(userId) {
+  const token = await createSession(userId.toString(), { headers: {} });
+  return { 'X-Token': token };
+}
@@ -0,0 +1,119 @@
+// test/helpers/s3server.js
+import crypto from 'crypto';
+import http from 'http';
+
+/**
+ * Decodes a body sent with the aws-chunked encoding
+ *
+ * Each chunk is its size in hexadecimal (and an optional signature),
+ * CRLF, the data and CRLF; a chunk of size 0 ends the body, followed by
+ * trailers that are ignored.
+ *
+ * @param {Buffer} body - The raw body
+ * @returns {Buffer} - The decoded content
+ */
+function decodeChunked(body) {
+  const chunks = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    const size = parseInt(body.toString('latin1', offset, lineEnd).split(';')[0], 16);
+    if (!size) {
+      break;
+    }
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Answers a request for a missing object
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ */
+function notFound(req, res) {
+  res.writeHead(404, { 'Content-Type': 'application/xml' });
+  res.end(req.method === 'HEAD'
+    ? undefined
+    : '<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code></Error>');
+}
+
+/**
+ * Starts an HTTP server standing in for an S3-compatible server such as
+ * MinIO, with path-style URLs and no authentication
+ *
+ * Only the object operations used by the S3 storage driver are
+ * supported: PUT, HEAD, GET (with a byte range) and DELETE.
+ *
+ * @returns {Promise<Object>} - endpoint, objects by "bucket/key" and close()
+ */
+export default function startS3Server() {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const name = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1));
+      const object = objects.get(name);
+
+      if (req.method === 'PUT') {
+        let body = Buffer.concat(chunks);
+        const sha = req.headers['x-amz-content-sha256'] || '';
+        if ((req.headers['content-encoding'] || '').includes('aws-chunked')
+          || sha.startsWith('STREAMING-')) {
+          body = decodeChunked(body);
+        }
+        const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+        objects.set(name, { body, etag, lastModified: new Date() });
+        res.writeHead(200, { ETag: etag });
+        res.end();
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        objects.delete(name);
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      if (!object) {
+        notFound(req, res);
+        return;
+      }
+
+      let { body } = object;
+      const headers = {
+        ETag: object.etag,
+        'Last-Modified': object.lastModified.toUTCString(),
+        'Content-Type': 'application/octet-stream',
+      };
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+      let status = 200;
+      if (range && req.method === 'GET') {
+        const start = Number(range[1]);
+        const end = range[2] ? Number(range[2]) : body.length - 1;
+        headers['Content-Range'] = `bytes ${start}-${end}/${body.length}`;
+        body = body.subarray(start, end + 1);
+        status = 206;
+      }
+      headers['Content-Length'] = body.length;
+
+      res.writeHead(status, headers);
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
@@ -0,0 +1,48 @@
+// test/helpers/setup.js
+// Loaded with --require before Babel handles the test files, so it is
+// written as a CommonJS module
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('expect');
+
+// Contents stored by the tests go to a temporary folder, removed at the end
+process.env.FOLDER_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'files-manager-'));
+
+// Mail goes through the file transport, whose messages the tests record
+process.env.MAIL_TRANSPORT = 'file';
+
+/**
+ * Root hooks of the test run
+ *
+ * They check the number of assertions announced by a test with
+ * expect.assertions() or expect.hasAssertions(), like jest does.
+ */
+exports.mochaHooks = {
+  beforeEach() {
+    expect.setState({
+      assertionCalls: 0,
+      expectedAssertionsNumber: null,
+      isExpectingAssertions: false,
+    });
+  },
+
+  afterEach() {
+    const {
+      assertionCalls, expectedAssertionsNumber, isExpectingAssertions,
+    } = expect.getState();
+    if (this.currentTest.state !== 'passed') {
+      return;
+    }
+    if (expectedAssertionsNumber !== null && assertionCalls !== expectedAssertionsNumber) {
+      throw new Error(`Expected ${expectedAssertionsNumber} assertions, got ${assertionCalls}`);
+    }
+    if (isExpectingAssertions && !assertionCalls) {
+      throw new Error('Expected at least one assertion, got none');
+    }
+  },
+
+  afterAll() {
+    fs.rmSync(process.env.FOLDER_PATH, { recursive: true, force: true });
+  },
+};
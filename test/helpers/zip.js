@@ -0,0 +1,79 @@
+// test/helpers/zip.js
+import { promisify } from 'util';
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+
+const fromBuffer = promisify(yauzl.fromBuffer);
+
+/**
+ * Collects the body of a response as a Buffer, for chai-http's parse()
+ *
+ * @param {http.IncomingMessage} res - The response
+ * @param {Function} callback - Called with an error and the body
+ */
+export function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Reads the entries of a ZIP archive
+ *
+ * @param {Buffer} buffer - The archive
+ * @returns {Promise<Object>} - Content of each entry as text, by path;
+ *   null for folders
+ */
+export async function readZip(buffer) {
+  const zipfile = await fromBuffer(buffer, { lazyEntries: true });
+  const entries = {};
+  const openReadStream = promisify(zipfile.openReadStream.bind(zipfile));
+
+  await new Promise((resolve, reject) => {
+    zipfile.on('entry', async (entry) => {
+      try {
+        if (entry.fileName.endsWith('/')) {
+          entries[entry.fileName] = null;
+        } else {
+          const chunks = [];
+          for await (const chunk of await openReadStream(entry)) {
+            chunks.push(chunk);
+          }
+          entries[entry.fileName] = Buffer.concat(chunks).toString();
+        }
+        zipfile.readEntry();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    zipfile.on('end', resolve);
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+
+  return entries;
+}
+
+/**
+ * Creates a ZIP archive
+ *
+ * @param {Object} entries - Content of each entry, by path; null for
+ *   folders
+ * @returns {Promise<Buffer>} - The archive
+ */
+export async function createZip(entries) {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', (chunk) => chunks.push(chunk));
+  const ended = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  Object.entries(entries).forEach(([name, content]) => {
+    archive.append(content, content === null ? { name, type: 'directory' } : { name });
+  });
+  await archive.finalize();
+  await ended;
+  return Buffer.concat(chunks);
+}
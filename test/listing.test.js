@@ -0,0 +1,147 @@
+// test/listing.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { MAX_PAGE_SIZE } from '../utils/pagination';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('file listings', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Returns a document of the user at the root
+   *
+   * @param {string} name - Name of the item
+   * @param {Object} fields - Other fields of the document
+   * @returns {Object} - The document
+   */
+  function item(name, fields = {}) {
+    return {
+      _id: new ObjectId(), userId, name, type: 'file', parentId: 0, size: 1, ...fields,
+    };
+  }
+
+  // A folder and files of different names and sizes, in creation order
+  const items = () => [
+    item('b.txt', { size: 30 }),
+    item('docs', { type: 'folder', size: undefined }),
+    item('c.txt', { size: 10 }),
+    item('a.txt', { size: 20 }),
+  ];
+
+  /**
+   * Lists the files at the root of the user
+   *
+   * @param {Object} headers - Headers authenticating the user
+   * @param {string} query - Query string of GET /files
+   * @returns {Promise<Object>} - The response
+   */
+  function list(headers, query = '') {
+    return chai.request(app).get(`/files?${query}`).set(headers);
+  }
+
+  /**
+   * Returns the names of the items of a response
+   *
+   * @param {Object} res - The response
+   * @returns {Array} - The names
+   */
+  function names(res) {
+    return (res.body.items || res.body).map(({ name }) => name);
+  }
+
+  it('sort on a field in either direction', async () => {
+    expect.assertions(4);
+    await withFakes({ files: items() }, async () => {
+      const headers = await signIn(userId);
+
+      const byDate = await list(headers);
+      const byName = await list(headers, 'sort=name&order=desc');
+      const bySize = await list(headers, 'sort=size');
+      const bySizeDesc = await list(headers, 'sort=size&order=desc');
+
+      expect(names(byDate)).toStrictEqual(['b.txt', 'docs', 'c.txt', 'a.txt']);
+      expect(names(byName)).toStrictEqual(['docs', 'c.txt', 'b.txt', 'a.txt']);
+      expect(names(bySize)).toStrictEqual(['docs', 'c.txt', 'a.txt', 'b.txt']);
+      expect(names(bySizeDesc)).toStrictEqual(['b.txt', 'a.txt', 'c.txt', 'docs']);
+    });
+  });
+
+  it('can list folders first', async () => {
+    expect.assertions(2);
+    await withFakes({ files: items() }, async () => {
+      const headers = await signIn(userId);
+
+      const all = await list(headers, 'sort=name&foldersFirst=true');
+      const second = await list(headers, 'sort=name&foldersFirst=true&limit=2&page=1');
+
+      expect(names(all)).toStrictEqual(['docs', 'a.txt', 'b.txt', 'c.txt']);
+      expect(names(second)).toStrictEqual(['b.txt', 'c.txt']);
+    });
+  });
+
+  it('follow cursors to the next pages', async () => {
+    expect.assertions(4);
+    await withFakes({ files: items() }, async () => {
+      const headers = await signIn(userId);
+
+      const first = await list(headers, 'cursor=&sort=name&foldersFirst=true&limit=2');
+      const second = await list(headers, `cursor=${first.body.next}`);
+      const arrayPage = await list(headers, 'sort=name&limit=2');
+
+      expect(names(first)).toStrictEqual(['docs', 'a.txt']);
+      expect(names(second)).toStrictEqual(['b.txt', 'c.txt']);
+      expect(second.body.next).toStrictEqual(expect.any(String));
+      expect(arrayPage.headers['x-next-cursor']).toStrictEqual(expect.any(String));
+    });
+  });
+
+  it('keep their pages stable while files are added', async () => {
+    expect.assertions(2);
+    const files = items();
+    await withFakes({ files }, async () => {
+      const headers = await signIn(userId);
+
+      const first = await list(headers, 'cursor=&limit=2');
+      files.unshift(item('0.txt', { _id: ObjectId.createFromTime(1) }));
+      const second = await list(headers, `cursor=${first.body.next}`);
+
+      expect(names(first)).toStrictEqual(['b.txt', 'docs']);
+      expect(names(second)).toStrictEqual(['c.txt', 'a.txt']);
+    });
+  });
+
+  it('cap the page size', async () => {
+    expect.assertions(1);
+    const files = Array.from({ length: MAX_PAGE_SIZE + 1 }, (_, index) => item(`${index}.txt`));
+    await withFakes({ files }, async () => {
+      const res = await list(await signIn(userId), `limit=${MAX_PAGE_SIZE + 1}`);
+
+      expect(res.body).toHaveLength(MAX_PAGE_SIZE);
+    });
+  });
+
+  it('refuse invalid options and cursors', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+
+      const responses = await Promise.all([
+        list(headers, 'sort=owner'),
+        list(headers, 'order=up'),
+        list(headers, 'limit=0'),
+        list(headers, 'cursor=nonsense'),
+      ]);
+
+      expect(responses[0].body).toStrictEqual({ error: 'Invalid sort' });
+      expect(responses[1].body).toStrictEqual({ error: 'Invalid order' });
+      expect(responses[2].body).toStrictEqual({ error: 'Invalid limit' });
+      expect(responses[3].body).toStrictEqual({ error: 'Invalid cursor' });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// test/move.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('renaming and moving files', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Signs the user in and creates a folder with a sub-folder and a file
+   *
+   * @returns {Promise<Object>} - headers, and the IDs of folder,
+   *   subFolder and file
+   */
+  async function createTree() {
+    const headers = await signIn(userId);
+    const create = async (fields) => {
+      const res = await chai.request(app).post('/files').set(headers).send(fields);
+      return res.body.id;
+    };
+    const folder = await create({ name: 'docs', type: 'folder' });
+    const subFolder = await create({ name: 'old', type: 'folder', parentId: folder });
+    const file = await create({
+      name: 'a.txt', type: 'file', data: Buffer.from('a').toString('base64'),
+    });
+    return {
+      headers, folder, subFolder, file,
+    };
+  }
+
+  /**
+   * Sends PATCH /files/:id
+   *
+   * @param {Object} headers - Headers authenticating the user
+   * @param {string} id - ID of the file
+   * @param {Object} body - New name and/or parentId
+   * @returns {Promise<Object>} - The response
+   */
+  function patch(headers, id, body) {
+    return chai.request(app).patch(`/files/${id}`).set(headers).send(body);
+  }
+
+  it('renames a file', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, file } = await createTree();
+
+      const res = await patch(headers, file, { name: 'b.txt' });
+      const show = await chai.request(app).get(`/files/${file}`).set(headers);
+
+      expect(res.body).toMatchObject({ id: file, name: 'b.txt', parentId: 0 });
+      expect(show.body.name).toBe('b.txt');
+    });
+  });
+
+  it('moves a file to another folder and back to the root', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, folder, file } = await createTree();
+
+      const moved = await patch(headers, file, { parentId: folder });
+      const back = await patch(headers, file, { parentId: '0' });
+
+      expect(moved.body.parentId).toBe(folder);
+      expect(back.body.parentId).toBe(0);
+    });
+  });
+
+  it('refuses to move a folder below itself', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, folder, subFolder } = await createTree();
+
+      const res = await patch(headers, folder, { parentId: subFolder });
+      const self = await patch(headers, folder, { parentId: folder });
+
+      expect(res.body).toStrictEqual({ error: 'Cannot move a folder into itself' });
+      expect(self.body).toStrictEqual({ error: 'Cannot move a folder into itself' });
+    });
+  });
+
+  it('validates the new name and parent', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const { headers, folder, file } = await createTree();
+
+      const responses = await Promise.all([
+        patch(headers, folder, {}),
+        patch(headers, folder, { name: '' }),
+        patch(headers, folder, { parentId: file }),
+        patch(headers, folder, { parentId: new ObjectId().toString() }),
+      ]);
+
+      expect(responses[0].body).toStrictEqual({ error: 'Missing name or parentId' });
+      expect(responses[1].body).toStrictEqual({ error: 'Missing name' });
+      expect(responses[2].body).toStrictEqual({ error: 'Parent is not a folder' });
+      expect(responses[3].body).toStrictEqual({ error: 'Parent not found' });
+    });
+  });
+
+  it('only changes the files of the user', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { file } = await createTree();
+
+      const res = await patch(await signIn(new ObjectId()), file, { name: 'b.txt' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
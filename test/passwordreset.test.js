@@ -0,0 +1,151 @@
+// test/passwordreset.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { hashPassword, verifyPassword } from '../utils/password';
+import { RESET_TOKEN_TTL } from '../utils/passwordreset';
+import FileTransport from '../utils/mail/file';
+import { createApp, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('password changes', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Returns the user, with the password "secret"
+   *
+   * @returns {Promise<Object>} - The user document
+   */
+  async function createUser() {
+    return { _id: userId, email: 'bob@example.com', password: await hashPassword('secret') };
+  }
+
+  /**
+   * Signs the user in with GET /connect
+   *
+   * @param {string} password - Password of the user
+   * @returns {Promise<Object>} - The headers authenticating requests
+   */
+  async function connect(password = 'secret') {
+    const res = await chai.request(app).get('/connect').auth('bob@example.com', password);
+    return { 'X-Token': res.body.token };
+  }
+
+  /**
+   * Asks for a reset token and returns the one sent by mail
+   *
+   * @param {Array} mail - The messages sent so far
+   * @returns {Promise<string>} - The token
+   */
+  async function forgot(mail) {
+    await chai.request(app).post('/users/password/forgot').send({ email: 'bob@example.com' });
+    return mail[mail.length - 1].text.match(/password:\n(\S+)/)[1];
+  }
+
+  /**
+   * Tells whether headers still authenticate the user
+   *
+   * @param {Object} headers - The headers
+   * @returns {Promise<number>} - Status of GET /users/me
+   */
+  async function meStatus(headers) {
+    return (await chai.request(app).get('/users/me').set(headers)).status;
+  }
+
+  it('need the current password and end the other sessions', async () => {
+    expect.assertions(5);
+    const user = await createUser();
+    await withFakes({ users: [user] }, async () => {
+      const current = await connect();
+      const other = await connect();
+      const change = (body) => chai.request(app).put('/users/me/password').set(current).send(body);
+
+      const wrong = await change({ currentPassword: 'nope', newPassword: 'better' });
+      const res = await change({ currentPassword: 'secret', newPassword: 'better' });
+
+      expect(wrong.body).toStrictEqual({ error: 'Wrong password' });
+      expect(res.status).toBe(204);
+      expect(await verifyPassword('better', user.password)).toBe(true);
+      expect(await meStatus(current)).toBe(200);
+      expect(await meStatus(other)).toBe(401);
+    });
+  });
+
+  it('send a reset token by mail to known users only', async () => {
+    expect.assertions(3);
+    const user = await createUser();
+    await withFakes({ users: [user] }, async ({ mail }) => {
+      const unknown = await chai.request(app).post('/users/password/forgot')
+        .send({ email: 'nobody@example.com' });
+      const res = await chai.request(app).post('/users/password/forgot')
+        .send({ email: 'bob@example.com' });
+
+      expect(unknown.status).toBe(204);
+      expect(res.status).toBe(204);
+      expect(mail).toStrictEqual([expect.objectContaining({
+        to: 'bob@example.com', subject: 'Reset your password',
+      })]);
+    });
+  });
+
+  it('reset the password once per token and end every session', async () => {
+    expect.assertions(4);
+    const user = await createUser();
+    await withFakes({ users: [user] }, async ({ mail }) => {
+      const headers = await connect();
+      const token = await forgot(mail);
+      const reset = () => chai.request(app).post('/users/password/reset')
+        .send({ token, password: 'better' });
+
+      const res = await reset();
+      const again = await reset();
+
+      expect(res.status).toBe(204);
+      expect(again.body).toStrictEqual({ error: 'Invalid token' });
+      expect(await verifyPassword('better', user.password)).toBe(true);
+      expect(await meStatus(headers)).toBe(401);
+    });
+  });
+
+  it('refuse expired reset tokens', async () => {
+    expect.assertions(2);
+    const user = await createUser();
+    await withFakes({ users: [user] }, async ({ sandbox, mail }) => {
+      const clock = sandbox.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      const token = await forgot(mail);
+      clock.tick(RESET_TOKEN_TTL * 1000);
+
+      const res = await chai.request(app).post('/users/password/reset')
+        .send({ token, password: 'better' });
+
+      expect(res.body).toStrictEqual({ error: 'Invalid token' });
+      expect(await verifyPassword('secret', user.password)).toBe(true);
+    });
+  });
+});
+
+describe('mail transports', () => {
+  it('write messages to files with the file transport', async () => {
+    expect.assertions(1);
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'files-manager-'));
+    let message;
+    try {
+      const transport = new FileTransport();
+      transport.root = root;
+      await transport.send({ to: 'bob@example.com', subject: 'Hello', text: 'Hi' });
+      const [fileName] = await fs.promises.readdir(root);
+      message = JSON.parse(await fs.promises.readFile(path.join(root, fileName), 'utf8'));
+    } finally {
+      await fs.promises.rm(root, { recursive: true, force: true });
+    }
+
+    expect(message).toMatchObject({ to: 'bob@example.com', subject: 'Hello', text: 'Hi' });
+  });
+});
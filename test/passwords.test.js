@@ -0,0 +1,75 @@
+// test/passwords.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import sha1 from 'sha1';
+import dbClient from '../utils/db';
+import {
+  PASSWORD_HASH_COST, hashPassword, needsRehash, verifyPassword,
+} from '../utils/password';
+import { createApp, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('passwords', () => {
+  it('are hashed with scrypt and a random salt', async () => {
+    expect.assertions(5);
+    const hash = await hashPassword('secret');
+    const again = await hashPassword('secret');
+
+    expect(hash).toMatch(new RegExp(`^scrypt\\$${PASSWORD_HASH_COST}\\$[0-9a-f]{32}\\$[0-9a-f]{128}$`));
+    expect(again).not.toBe(hash);
+    expect(await verifyPassword('secret', hash)).toBe(true);
+    expect(await verifyPassword('wrong', hash)).toBe(false);
+    expect(await verifyPassword('secret', 'scrypt$0$$')).toBe(false);
+  });
+
+  it('are rehashed from SHA1 or another cost', async () => {
+    expect.assertions(4);
+    const cheap = (await hashPassword('secret')).replace(`$${PASSWORD_HASH_COST}$`, '$1024$');
+
+    expect(await verifyPassword('secret', sha1('secret'))).toBe(true);
+    expect(needsRehash(sha1('secret'))).toBe(true);
+    expect(needsRehash(cheap)).toBe(true);
+    expect(needsRehash(await hashPassword('secret'))).toBe(false);
+  });
+
+  it('are stored hashed at sign-up', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const res = await chai.request(app).post('/users')
+        .send({ email: 'bob@example.com', password: 'secret' });
+      const [user] = dbClient.db.collection('users').documents;
+
+      expect(res.body).toStrictEqual({ id: user._id.toString(), email: 'bob@example.com' });
+      expect(await verifyPassword('secret', user.password)).toBe(true);
+    });
+  });
+
+  it('must be strings', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const res = await chai.request(app).post('/users')
+        .send({ email: 'bob@example.com', password: ['secret'] });
+
+      expect(res.body).toStrictEqual({ error: 'Missing password' });
+      expect(dbClient.db.collection('users').documents).toHaveLength(0);
+    });
+  });
+
+  it('migrate from SHA1 at sign-in', async () => {
+    expect.assertions(3);
+    const user = { _id: new ObjectId(), email: 'bob@example.com', password: sha1('secret') };
+    await withFakes({ users: [user] }, async () => {
+      const res = await chai.request(app).get('/connect').auth('bob@example.com', 'secret');
+      const again = await chai.request(app).get('/connect').auth('bob@example.com', 'secret');
+
+      expect(res.body.token).toStrictEqual(expect.any(String));
+      expect(needsRehash(user.password)).toBe(false);
+      expect(again.status).toBe(200);
+    });
+  });
+});
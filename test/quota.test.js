@@ -0,0 +1,126 @@
+// test/quota.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+/**
+ * Uploads a file as a JSON body
+ *
+ * @param {Object} headers - Headers authenticating the owner
+ * @param {Object} fields - Fields of POST /files, with data as text
+ * @returns {Promise<Object>} - The response
+ */
+function upload(headers, { data, ...fields }) {
+  return chai.request(app).post('/files').set(headers).send({
+    type: 'file', data: Buffer.from(data).toString('base64'), ...fields,
+  });
+}
+
+describe('storage quotas', () => {
+  const userId = new ObjectId();
+  const users = () => [{ _id: userId, email: 'bob@example.com', quota: 10 }];
+
+  it('record the size of uploads and refuse those over the quota', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const headers = await signIn(userId);
+
+      const res = await upload(headers, { name: 'a.txt', data: '123456' });
+      const over = await upload(headers, { name: 'b.txt', data: '12345' });
+
+      expect(res.body.size).toBe(6);
+      expect(over.status).toBe(413);
+      expect(over.body).toStrictEqual({ error: 'Storage quota exceeded' });
+    });
+  });
+
+  it('refuse raw uploads announcing too many bytes', async () => {
+    expect.assertions(2);
+    await withFakes({ users: users() }, async () => {
+      const res = await chai.request(app).post('/files?name=big.bin&type=file')
+        .set(await signIn(userId))
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.alloc(11));
+
+      expect(res.body).toStrictEqual({ error: 'Storage quota exceeded' });
+      expect(dbClient.db.collection('files').documents).toHaveLength(0);
+    });
+  });
+
+  it('stop multipart uploads once over the quota', async () => {
+    expect.assertions(2);
+    await withFakes({ users: users() }, async () => {
+      const res = await chai.request(app).post('/files').set(await signIn(userId))
+        .field('type', 'file')
+        .attach('file', Buffer.alloc(11), 'big.bin');
+
+      expect(res.status).toBe(413);
+      expect(dbClient.db.collection('files').documents).toHaveLength(0);
+    });
+  });
+
+  it('stop chunks of upload sessions once over the quota', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const headers = await signIn(userId);
+      const session = await chai.request(app).post('/uploads').set(headers)
+        .send({ name: 'big.bin', type: 'file', size: 8 });
+      await upload(headers, { name: 'a.txt', data: '12345' });
+
+      const res = await chai.request(app).put(`/uploads/${session.body.id}`).set(headers)
+        .set('Content-Type', 'application/octet-stream')
+        .set('Upload-Offset', '0')
+        .send(Buffer.alloc(8));
+
+      expect(session.status).toBe(201);
+      expect(res.status).toBe(413);
+      expect(res.body.error).toBe('Storage quota exceeded');
+    });
+  });
+
+  it('report the usage of the user by type and folder', async () => {
+    expect.assertions(4);
+    await withFakes({ users: users() }, async () => {
+      const headers = await signIn(userId);
+      const folder = await chai.request(app).post('/files').set(headers)
+        .send({ name: 'docs', type: 'folder' });
+      await upload(headers, { name: 'a.txt', data: '1234', parentId: folder.body.id });
+      await upload(headers, { name: 'b.png', type: 'image', data: '12' });
+
+      const res = await chai.request(app).get('/users/me/usage').set(headers);
+
+      expect(res.body).toMatchObject({ used: 6, quota: 10, available: 4 });
+      expect(res.body.byType).toStrictEqual({
+        folder: { size: 0, count: 1 },
+        file: { size: 4, count: 1 },
+        image: { size: 2, count: 1 },
+      });
+      expect(res.body.byFolder).toStrictEqual([{
+        id: folder.body.id, name: 'docs', parentId: 0, size: 4, count: 1,
+      }]);
+      expect(res.body.trash).toStrictEqual({ size: 0, count: 0 });
+    });
+  });
+
+  it('are added to the stats in bytes', async () => {
+    expect.assertions(1);
+    await withFakes({ users: users() }, async () => {
+      const headers = await signIn(userId);
+      await upload(headers, { name: 'a.txt', data: '1234' });
+      await upload(headers, { name: 'b.txt', data: '1234' });
+
+      const res = await chai.request(app).get('/stats');
+
+      expect(res.body).toMatchObject({
+        users: 1, files: 2, size: 8, storedSize: 4,
+      });
+    });
+  });
+});
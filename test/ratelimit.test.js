@@ -0,0 +1,171 @@
+// test/ratelimit.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { hashPassword } from '../utils/password';
+import {
+  CONNECT_MAX_FAILURES, RATE_LIMITS, clearConnectFailures, getConnectLockout, getLockout,
+  recordConnectFailure, recordFailure,
+} from '../utils/ratelimit';
+import { createApp, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('rate limiting', () => {
+  /**
+   * Runs a test with fakes and a fake clock
+   *
+   * @param {Function} callback - The test, called with the clock
+   * @returns {Promise<void>}
+   */
+  function withClock(callback) {
+    return withFakes({}, ({ sandbox }) => callback(
+      sandbox.useFakeTimers({ now: Date.now(), toFake: ['Date'] }),
+    ));
+  }
+
+  it('locks a counter once it reaches its maximum', async () => {
+    expect.assertions(2);
+    await withClock(async () => {
+      const counters = [{ key: 'test', max: 3 }];
+
+      const lockouts = [await recordFailure(counters), await recordFailure(counters)];
+      const before = await getLockout(['test']);
+      lockouts.push(await recordFailure(counters));
+
+      expect([...lockouts, before]).toStrictEqual([0, 0, 30, 0]);
+      expect(await getLockout(['test'])).toBe(30);
+    });
+  });
+
+  it('doubles the lockout with each further failure, up to an hour', async () => {
+    expect.assertions(1);
+    await withClock(async () => {
+      const counters = [{ key: 'test', max: 1 }];
+      const lockouts = [];
+      for (let failure = 0; failure < 10; failure += 1) {
+        // Failures are counted one after the other
+        // eslint-disable-next-line no-await-in-loop
+        lockouts.push(await recordFailure(counters));
+      }
+
+      expect(lockouts).toStrictEqual([30, 60, 120, 240, 480, 960, 1920, 3600, 3600, 3600]);
+    });
+  });
+
+  it('returns the longest lockout of the counters', async () => {
+    expect.assertions(2);
+    await withClock(async () => {
+      await recordFailure([{ key: 'ip', max: 1 }]);
+
+      const lockout = await recordFailure([{ key: 'ip', max: 1 }, { key: 'email', max: 5 }]);
+
+      expect(lockout).toBe(60);
+      expect(await getLockout(['email', 'ip'])).toBe(60);
+    });
+  });
+
+  it('ends the lockout after its duration', async () => {
+    expect.assertions(1);
+    await withClock(async (clock) => {
+      await recordFailure([{ key: 'test', max: 1 }]);
+
+      clock.tick(31 * 1000);
+
+      expect(await getLockout(['test'])).toBe(0);
+    });
+  });
+
+  it('forgets failures fifteen minutes after the last one', async () => {
+    expect.assertions(1);
+    await withClock(async (clock) => {
+      const counters = [{ key: 'test', max: 2 }];
+      await recordFailure(counters);
+
+      clock.tick(15 * 60 * 1000 + 1000);
+
+      expect(await recordFailure(counters)).toBe(0);
+    });
+  });
+
+  it('locks an email after CONNECT_MAX_FAILURES failures, from any address', async () => {
+    expect.assertions(3);
+    await withClock(async () => {
+      for (let failure = 1; failure < CONNECT_MAX_FAILURES; failure += 1) {
+        // Each address fails once
+        // eslint-disable-next-line no-await-in-loop
+        await recordConnectFailure('bob@example.com', `10.0.0.${failure}`);
+      }
+      const before = await getConnectLockout('bob@example.com', '10.0.1.1');
+
+      await recordConnectFailure('bob@example.com', '10.0.0.99');
+
+      expect(before).toBe(0);
+      expect(await getConnectLockout('BOB@example.com', '10.0.1.1')).toBeGreaterThan(0);
+      expect(await getConnectLockout('alice@example.com', '10.0.1.1')).toBe(0);
+    });
+  });
+
+  it('forgets the failures of an email after a successful sign-in', async () => {
+    expect.assertions(1);
+    await withClock(async () => {
+      for (let failure = 1; failure < CONNECT_MAX_FAILURES; failure += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await recordConnectFailure('bob@example.com', '10.0.0.1');
+      }
+
+      await clearConnectFailures('bob@example.com');
+      await recordConnectFailure('bob@example.com', '10.0.0.1');
+
+      expect(await getConnectLockout('bob@example.com', '10.0.0.2')).toBe(0);
+    });
+  });
+
+  it('refuses sign-ins to a locked email, even with the right password', async () => {
+    expect.assertions(3);
+    const user = {
+      _id: new ObjectId(), email: 'bob@example.com', password: await hashPassword('secret'),
+    };
+    await withFakes({ users: [user] }, async () => {
+      for (let failure = 0; failure < CONNECT_MAX_FAILURES; failure += 1) {
+        // Failures are counted one after the other
+        // eslint-disable-next-line no-await-in-loop
+        await chai.request(app).get('/connect').auth('bob@example.com', 'wrong');
+      }
+
+      const res = await chai.request(app).get('/connect').auth('bob@example.com', 'secret');
+
+      expect(res.status).toBe(429);
+      expect(res.body).toStrictEqual({ error: 'Too many failed attempts' });
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    });
+  });
+
+  it('sends the limit headers, and refuses requests over the limit', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const { limit, window } = RATE_LIMITS.auth;
+      const verify = () => chai.request(app).get('/users/verify/token');
+      const first = await verify();
+      for (let request = 1; request < limit; request += 1) {
+        // Requests are counted one after the other
+        // eslint-disable-next-line no-await-in-loop
+        await verify();
+      }
+
+      const res = await verify();
+
+      expect(first.headers).toMatchObject({
+        'ratelimit-limit': String(limit),
+        'ratelimit-remaining': String(limit - 1),
+        'ratelimit-reset': String(window),
+      });
+      expect(res.status).toBe(429);
+      expect(res.body).toStrictEqual({ error: 'Too many requests' });
+      expect(res.headers['retry-after']).toBe(String(window));
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// test/resumable.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+/**
+ * Sends a chunk of an upload session
+ *
+ * @param {Object} headers - Headers authenticating the user
+ * @param {string} id - ID of the session
+ * @param {number} offset - Offset of the chunk
+ * @param {string} chunk - Content of the chunk
+ * @returns {Promise<Object>} - The response
+ */
+function putChunk(headers, id, offset, chunk) {
+  return chai.request(app).put(`/uploads/${id}`).set(headers)
+    .set('Content-Type', 'application/octet-stream')
+    .set('Upload-Offset', String(offset))
+    .send(Buffer.from(chunk));
+}
+
+describe('resumable uploads', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Signs the user in and creates an upload session
+   *
+   * @param {Object} fields - Fields of the session
+   * @returns {Promise<Object>} - headers, and the session as returned
+   */
+  async function createSession(fields = {}) {
+    const headers = await signIn(userId);
+    const res = await chai.request(app).post('/uploads').set(headers).send({
+      name: 'big.txt', type: 'file', size: 10, ...fields,
+    });
+    return { headers, session: res.body };
+  }
+
+  it('create the file from its chunks once complete', async () => {
+    expect.assertions(6);
+    await withFakes({}, async () => {
+      const { headers, session } = await createSession();
+
+      const first = await putChunk(headers, session.id, 0, '01234');
+      const state = await chai.request(app).get(`/uploads/${session.id}`).set(headers);
+      const second = await putChunk(headers, session.id, 5, '56789');
+      const file = await chai.request(app).post(`/uploads/${session.id}/complete`).set(headers);
+      const data = await chai.request(app).get(`/files/${file.body.id}/data`).set(headers);
+
+      expect(session).toMatchObject({ size: 10, offset: 0 });
+      expect(first.body.offset).toBe(5);
+      expect(state.headers['upload-offset']).toBe('5');
+      expect(second.body.offset).toBe(10);
+      expect(file.body).toMatchObject({ name: 'big.txt', type: 'file', size: 10 });
+      expect(data.text).toBe('0123456789');
+    });
+  });
+
+  it('need the size of the file', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const fields = { name: 'big.txt', type: 'file' };
+
+      const missing = await chai.request(app).post('/uploads').set(headers).send(fields);
+      const invalid = await chai.request(app).post('/uploads').set(headers)
+        .send({ ...fields, size: -1 });
+
+      expect(missing.body).toStrictEqual({ error: 'Missing size' });
+      expect(invalid.body).toStrictEqual({ error: 'Invalid size' });
+    });
+  });
+
+  it('answer 409 with the offset to resume from to chunks out of place', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, session } = await createSession();
+      await putChunk(headers, session.id, 0, '01234');
+
+      const res = await putChunk(headers, session.id, 3, '34567');
+
+      expect(res.status).toBe(409);
+      expect(res.body).toStrictEqual({ error: 'Offset mismatch', offset: 5 });
+    });
+  });
+
+  it('refuse chunks past the declared size', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, session } = await createSession({ size: 4 });
+
+      const res = await putChunk(headers, session.id, 0, '01234');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Chunk exceeds declared size');
+    });
+  });
+
+  it('are only completed once all of the size was received', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, session } = await createSession();
+      await putChunk(headers, session.id, 0, '01234');
+
+      const res = await chai.request(app).post(`/uploads/${session.id}/complete`).set(headers);
+
+      expect(res.status).toBe(400);
+      expect(res.body).toStrictEqual({ error: 'Upload incomplete', offset: 5 });
+    });
+  });
+
+  it('can be cancelled', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, session } = await createSession();
+
+      const res = await chai.request(app).delete(`/uploads/${session.id}`).set(headers);
+      const after = await chai.request(app).get(`/uploads/${session.id}`).set(headers);
+
+      expect(res.status).toBe(204);
+      expect(after.status).toBe(404);
+    });
+  });
+
+  it('belong to the user who created them', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { session } = await createSession();
+
+      const res = await chai.request(app).get(`/uploads/${session.id}`)
+        .set(await signIn(new ObjectId()));
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// test/search.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('file search', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Returns a file document of the user
+   *
+   * @param {string} name - Name of the file
+   * @param {Object} fields - Other fields of the document
+   * @returns {Object} - The document
+   */
+  function file(name, fields = {}) {
+    return {
+      _id: new ObjectId(),
+      userId,
+      name,
+      type: 'file',
+      parentId: 0,
+      isPublic: false,
+      size: 10,
+      ...fields,
+    };
+  }
+
+  /**
+   * Searches the files of the user
+   *
+   * @param {Object} files - The file documents
+   * @param {string} query - Query string of GET /files/search
+   * @returns {Promise<Object>} - The response
+   */
+  async function search(files, query) {
+    return withFakes({ files }, async () => chai.request(app).get(`/files/search?${query}`)
+      .set(await signIn(userId)));
+  }
+
+  /**
+   * Returns the names of the files found
+   *
+   * @param {Object} res - The response
+   * @returns {Array} - The names
+   */
+  function names(res) {
+    return res.body.map(({ name }) => name).sort();
+  }
+
+  it('matches parts and starts of names, ignoring case', async () => {
+    expect.assertions(2);
+    const files = [file('Report 2024.pdf'), file('old-report.txt'), file('notes.txt')];
+
+    const byName = await search(files, 'name=REPORT');
+    const byPrefix = await search(files, 'prefix=rep');
+
+    expect(names(byName)).toStrictEqual(['Report 2024.pdf', 'old-report.txt']);
+    expect(names(byPrefix)).toStrictEqual(['Report 2024.pdf']);
+  });
+
+  it('matches full words with the text index', async () => {
+    expect.assertions(1);
+    const files = [file('annual report.pdf'), file('reports.txt')];
+
+    const res = await search(files, 'q=report');
+
+    expect(names(res)).toStrictEqual(['annual report.pdf']);
+  });
+
+  it('only finds the files of the user that are not in the trash', async () => {
+    expect.assertions(1);
+    const files = [
+      file('a.txt'),
+      file('b.txt', { userId: new ObjectId() }),
+      file('c.txt', { deletedAt: new Date() }),
+    ];
+
+    const res = await search(files, 'name=txt');
+
+    expect(names(res)).toStrictEqual(['a.txt']);
+  });
+
+  it('filters on type, MIME type, visibility and size', async () => {
+    expect.assertions(4);
+    const files = [
+      file('docs', { type: 'folder', size: undefined }),
+      file('photo.png', { type: 'image', size: 500, isPublic: true }),
+      file('photo.JPG', { type: 'image', size: 50 }),
+      file('notes.txt', { size: 5 }),
+    ];
+
+    const byType = await search(files, 'type=folder');
+    const byMime = await search(files, 'mime=image/*');
+    const byVisibility = await search(files, 'isPublic=true');
+    const bySize = await search(files, 'minSize=10&maxSize=500');
+
+    expect(names(byType)).toStrictEqual(['docs']);
+    expect(names(byMime)).toStrictEqual(['photo.JPG', 'photo.png']);
+    expect(names(byVisibility)).toStrictEqual(['photo.png']);
+    expect(names(bySize)).toStrictEqual(['photo.JPG', 'photo.png']);
+  });
+
+  it('filters on the creation date', async () => {
+    expect.assertions(1);
+    const createdAt = (date) => ObjectId.createFromTime(Date.parse(date) / 1000);
+    const files = [
+      file('2023.txt', { _id: createdAt('2023-06-01') }),
+      file('2024.txt', { _id: createdAt('2024-06-01') }),
+      file('2025.txt', { _id: createdAt('2025-06-01') }),
+    ];
+
+    const res = await search(files, 'createdAfter=2024-01-01&createdBefore=2025-01-01');
+
+    expect(names(res)).toStrictEqual(['2024.txt']);
+  });
+
+  it('refuses invalid parameters', async () => {
+    expect.assertions(5);
+    const queries = [
+      'type=video', 'mime=unknown/type', 'minSize=-1', 'createdAfter=someday', 'name=a&name=b',
+    ];
+
+    const errors = [];
+    for (const query of queries) {
+      // eslint-disable-next-line no-await-in-loop
+      errors.push((await search([], query)).body.error);
+    }
+
+    expect(errors[0]).toBe('Invalid type');
+    expect(errors[1]).toBe('Invalid mime');
+    expect(errors[2]).toBe('Invalid minSize');
+    expect(errors[3]).toBe('Invalid createdAfter');
+    expect(errors[4]).toBe('Invalid name');
+  });
+
+  it('returns pages of 20 files, newest first', async () => {
+    expect.assertions(3);
+    const files = Array.from({ length: 25 }, (_, index) => file(`${index}.txt`, {
+      _id: ObjectId.createFromTime(1700000000 + index),
+    }));
+
+    const first = await search(files, 'name=txt');
+    const second = await search(files, 'name=txt&page=1');
+
+    expect(first.body).toHaveLength(20);
+    expect(first.body[0].name).toBe('24.txt');
+    expect(second.body.map(({ name }) => name)).toStrictEqual(['4.txt', '3.txt', '2.txt', '1.txt', '0.txt']);
+  });
+});
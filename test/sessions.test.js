@@ -0,0 +1,135 @@
+// test/sessions.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import redisClient from '../utils/redis';
+import { hashPassword } from '../utils/password';
+import { SESSION_TTL, getSessionId } from '../utils/sessions';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('sessions', () => {
+  const userId = new ObjectId();
+  const users = async () => [
+    { _id: userId, email: 'bob@example.com', password: await hashPassword('secret') },
+  ];
+
+  /**
+   * Signs the user in with GET /connect
+   *
+   * @param {string} userAgent - User agent of the client
+   * @returns {Promise<Object>} - The headers authenticating requests
+   */
+  async function connect(userAgent) {
+    const res = await chai.request(app).get('/connect').auth('bob@example.com', 'secret')
+      .set('User-Agent', userAgent);
+    return { 'X-Token': res.body.token };
+  }
+
+  /**
+   * Tells whether headers still authenticate the user
+   *
+   * @param {Object} headers - The headers
+   * @returns {Promise<number>} - Status of GET /users/me
+   */
+  async function meStatus(headers) {
+    return (await chai.request(app).get('/users/me').set(headers)).status;
+  }
+
+  it('are listed with their metadata', async () => {
+    expect.assertions(2);
+    await withFakes({ users: await users() }, async () => {
+      const laptop = await connect('laptop');
+      await connect('phone');
+
+      const res = await chai.request(app).get('/users/me/sessions').set(laptop);
+      const sessions = Object.fromEntries(res.body.map((session) => [session.userAgent, session]));
+
+      expect(res.body).toHaveLength(2);
+      expect(sessions.laptop).toStrictEqual({
+        id: getSessionId(laptop['X-Token']),
+        userId: userId.toString(),
+        createdAt: expect.any(String),
+        lastUsedAt: expect.any(String),
+        ip: expect.any(String),
+        userAgent: 'laptop',
+        current: true,
+      });
+    });
+  });
+
+  it('do not store their tokens', async () => {
+    expect.assertions(1);
+    await withFakes({ users: await users() }, async ({ redis }) => {
+      const headers = await connect('laptop');
+
+      // Sets, such as the sessions of the user, are listed with their members
+      const stored = JSON.stringify([...redis], (key, value) => (
+        value instanceof Set ? [...value] : value
+      ));
+
+      expect(stored).not.toContain(headers['X-Token']);
+    });
+  });
+
+  it('can be revoked one by one', async () => {
+    expect.assertions(4);
+    await withFakes({ users: await users() }, async () => {
+      const laptop = await connect('laptop');
+      const phone = await connect('phone');
+      const url = `/users/me/sessions/${getSessionId(phone['X-Token'])}`;
+
+      const byOther = await chai.request(app).delete(url).set(await signIn(new ObjectId()));
+      const res = await chai.request(app).delete(url).set(laptop);
+
+      expect(byOther.status).toBe(404);
+      expect(res.status).toBe(204);
+      expect(await meStatus(phone)).toBe(401);
+      expect(await meStatus(laptop)).toBe(200);
+    });
+  });
+
+  it('can all be revoked at once', async () => {
+    expect.assertions(3);
+    await withFakes({ users: await users() }, async () => {
+      const laptop = await connect('laptop');
+      const phone = await connect('phone');
+
+      const res = await chai.request(app).delete('/users/me/sessions').set(laptop);
+
+      expect(res.status).toBe(204);
+      expect(await meStatus(laptop)).toBe(401);
+      expect(await meStatus(phone)).toBe(401);
+    });
+  });
+
+  it('are extended when used', async () => {
+    expect.assertions(2);
+    await withFakes({ users: await users() }, async ({ redis }) => {
+      const headers = await connect('laptop');
+      const id = getSessionId(headers['X-Token']);
+      const session = JSON.parse(redis.get(`session_${id}`));
+      session.lastUsedAt = new Date(Date.now() - 120000).toISOString();
+      await redisClient.set(`session_${id}`, JSON.stringify(session), 60);
+      await redisClient.expire(`auth_${id}`, 60);
+
+      await chai.request(app).get('/users/me').set(headers);
+
+      expect(await redisClient.ttl(`auth_${id}`)).toBe(SESSION_TTL);
+      expect(JSON.parse(redis.get(`session_${id}`)).lastUsedAt).not.toBe(session.lastUsedAt);
+    });
+  });
+
+  it('no longer accept tokens stored as they are', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      await redisClient.set('auth_old-token', userId.toString(), SESSION_TTL);
+
+      expect(await meStatus({ 'X-Token': 'old-token' })).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+// test/shares.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+// Wrong passwords are counted by address, as the application sees them
+// behind a proxy
+const app = createApp();
+app.set('trust proxy', true);
+
+// Content of the shared file
+const CONTENT = '0123456789';
+
+describe('share links', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Uploads a file and creates a share link of it
+   *
+   * @param {Object} fields - Fields of POST /files/:id/shares
+   * @returns {Promise<Object>} - headers of the owner, fileId, the share
+   *   as returned, and its url
+   */
+  async function shareFile(fields = {}) {
+    const headers = await signIn(userId);
+    const file = await chai.request(app).post('/files').set(headers).send({
+      name: 'notes.txt', type: 'file', data: Buffer.from(CONTENT).toString('base64'),
+    });
+    const res = await chai.request(app).post(`/files/${file.body.id}/shares`).set(headers)
+      .send(fields);
+    return {
+      headers, fileId: file.body.id, share: res.body, url: res.body.url,
+    };
+  }
+
+  /**
+   * Returns the stored share link
+   *
+   * @returns {Object} - The share document
+   */
+  function storedShare() {
+    return dbClient.db.collection('shares').documents[0];
+  }
+
+  it('are created with a token that is not stored', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { fileId, share } = await shareFile({ password: 'secret', maxDownloads: 2 });
+
+      expect(share).toMatchObject({
+        fileId, hasPassword: true, maxDownloads: 2, downloads: 0, url: `/s/${share.token}`,
+      });
+      expect(JSON.stringify(storedShare())).not.toContain(share.token);
+      expect(JSON.stringify(storedShare())).not.toContain('secret');
+    });
+  });
+
+  it('are listed and revoked by the owner of the file', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const {
+        headers, fileId, share, url,
+      } = await shareFile();
+      const sharesUrl = `/files/${fileId}/shares`;
+
+      const list = await chai.request(app).get(sharesUrl).set(headers);
+      const other = await chai.request(app).get(sharesUrl).set(await signIn(new ObjectId()));
+      const revoked = await chai.request(app).delete(`${sharesUrl}/${share.id}`).set(headers);
+      const res = await chai.request(app).get(url);
+
+      expect(list.body.map(({ id }) => id)).toStrictEqual([share.id]);
+      expect(other.status).toBe(404);
+      expect(revoked.status).toBe(204);
+      expect(res.status).toBe(404);
+    });
+  });
+
+  it('refuse invalid options', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { share: expired } = await shareFile({ expiresAt: 'tomorrow' });
+      const { share: password } = await shareFile({ password: 12 });
+      const { share: downloads } = await shareFile({ maxDownloads: 0 });
+
+      expect(expired).toStrictEqual({ error: 'Invalid expiresAt' });
+      expect(password).toStrictEqual({ error: 'Invalid password' });
+      expect(downloads).toStrictEqual({ error: 'Invalid maxDownloads' });
+    });
+  });
+
+  it('count every download and answer 410 once the limit is reached', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ maxDownloads: 2 });
+
+      const first = await chai.request(app).get(url);
+      const second = await chai.request(app).get(url);
+      const third = await chai.request(app).get(url);
+
+      expect(first.text).toBe(CONTENT);
+      expect(second.status).toBe(200);
+      expect(third.status).toBe(410);
+      expect(storedShare()).toMatchObject({ downloads: 2, remainingDownloads: 0 });
+    });
+  });
+
+  it('count range requests that do not continue a download', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ maxDownloads: 1 });
+
+      const res = await chai.request(app).get(url).set('Range', 'bytes=5-');
+      const again = await chai.request(app).get(url).set('Range', 'bytes=5-');
+
+      expect(res.status).toBe(206);
+      expect(res.text).toBe('56789');
+      expect(again.status).toBe(410);
+    });
+  });
+
+  it('do not count a download resumed with its ticket', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ maxDownloads: 1 });
+
+      const first = await chai.request(app).get(url).set('Range', 'bytes=0-3');
+      const ticket = first.headers['x-share-download'];
+      const resumed = await chai.request(app).get(url)
+        .set('Range', 'bytes=4-')
+        .set('X-Share-Download', ticket);
+
+      expect(first.headers['set-cookie']).toStrictEqual([
+        expect.stringContaining(`share_download=${ticket}`),
+      ]);
+      expect(resumed.status).toBe(206);
+      expect(resumed.text).toBe('456789');
+      expect(storedShare()).toMatchObject({ downloads: 1, remainingDownloads: 0 });
+    });
+  });
+
+  it('count again once a ticket sent twice the content', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { url } = await shareFile();
+
+      const first = await chai.request(app).get(url);
+      const ticket = first.headers['x-share-download'];
+      await chai.request(app).get(url).set('X-Share-Download', ticket);
+      await chai.request(app).get(url).set('X-Share-Download', ticket);
+
+      expect(storedShare().downloads).toBe(2);
+    });
+  });
+
+  it('do not count HEAD requests and 304 responses', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ maxDownloads: 1 });
+
+      const head = await chai.request(app).head(url);
+      const cached = await chai.request(app).get(url).set('If-None-Match', head.headers.etag);
+
+      expect(head.status).toBe(200);
+      expect(cached.status).toBe(304);
+      expect(storedShare()).toMatchObject({ downloads: 0, remainingDownloads: 1 });
+    });
+  });
+
+  it('answer 410 once expired', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ expiresAt: new Date(Date.now() + 60000).toISOString() });
+      storedShare().expiresAt = new Date(Date.now() - 1000);
+
+      const res = await chai.request(app).get(url);
+
+      expect(res.status).toBe(410);
+    });
+  });
+
+  it('require their password', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ password: 'secret' });
+
+      const missing = await chai.request(app).get(url);
+      const wrong = await chai.request(app).get(url).set('X-Share-Password', 'nope');
+      const right = await chai.request(app).get(url).set('X-Share-Password', 'secret');
+
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+      expect(right.text).toBe(CONTENT);
+    });
+  });
+
+  it('are locked for an address after five wrong passwords, not for others', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { url } = await shareFile({ password: 'secret' });
+      const from = (address) => chai.request(app).get(url).set('X-Forwarded-For', address);
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        // Failures are counted one after the other
+        // eslint-disable-next-line no-await-in-loop
+        await from('192.0.2.1').set('X-Share-Password', 'nope');
+      }
+
+      const locked = await from('192.0.2.1').set('X-Share-Password', 'secret');
+      const other = await from('192.0.2.2').set('X-Share-Password', 'secret');
+
+      expect(locked.status).toBe(429);
+      expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+      expect(other.text).toBe(CONTENT);
+    });
+  });
+});
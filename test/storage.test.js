@@ -0,0 +1,215 @@
+// test/storage.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expect } from 'expect';
+import LocalStorage from '../utils/storage/local';
+import S3Storage from '../utils/storage/s3';
+import { getDefaultDriver, getDriver, locate } from '../utils/storage';
+import startS3Server from './helpers/s3server';
+
+/**
+ * Reads a stream to the end
+ *
+ * @param {stream.Readable} stream - The stream
+ * @returns {Promise<Buffer>} - Everything read
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Starts what each storage driver needs, by driver name
+ *
+ * Each returns the settings to put in the environment and a function
+ * stopping what was started.
+ */
+const BACKENDS = {
+  local: async (tmp) => ({
+    env: { FOLDER_PATH: path.join(tmp, 'storage') },
+    create: () => new LocalStorage(),
+    stop: async () => {},
+  }),
+  s3: async () => {
+    const server = await startS3Server();
+    return {
+      server,
+      env: {
+        S3_BUCKET: 'files',
+        S3_ENDPOINT: server.endpoint,
+        S3_ACCESS_KEY_ID: 'minio',
+        S3_SECRET_ACCESS_KEY: 'minio-secret',
+      },
+      create: () => new S3Storage(),
+      stop: () => server.close(),
+    };
+  },
+};
+
+/**
+ * Runs a callback with a storage driver and a folder for temporary
+ * files, restoring the environment and removing the folder afterwards
+ *
+ * @param {string} name - Name of the driver, a key of BACKENDS
+ * @param {Function} callback - Called with driver, tmp and the backend
+ * @returns {Promise<void>}
+ */
+async function withDriver(name, callback) {
+  const env = { ...process.env };
+  const tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'files-manager-'));
+  const backend = await BACKENDS[name](tmp);
+  try {
+    Object.assign(process.env, backend.env);
+    await callback({ driver: backend.create(), tmp, backend });
+  } finally {
+    process.env = env;
+    await backend.stop();
+    await fs.promises.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+describe('storage drivers', () => {
+  /**
+   * Checks the behaviour shared by every storage driver
+   *
+   * @param {string} name - Name of the driver, a key of BACKENDS
+   */
+  function behavesLikeStorage(name) {
+    it('stores a file and removes the source', async () => {
+      expect.assertions(2);
+      await withDriver(name, async ({ driver, tmp }) => {
+        const source = path.join(tmp, 'source');
+        await fs.promises.writeFile(source, 'hello world');
+
+        await driver.put('a/key', source);
+
+        expect(fs.existsSync(source)).toBe(false);
+        expect((await driver.getBuffer('a/key')).toString()).toBe('hello world');
+      });
+    });
+
+    it('stores a buffer and returns its size', async () => {
+      expect.assertions(2);
+      await withDriver(name, async ({ driver }) => {
+        await driver.putBuffer('buffer', Buffer.from('12345'));
+
+        const stats = await driver.stat('buffer');
+
+        expect(stats.size).toBe(5);
+        expect(stats.lastModified).toBeInstanceOf(Date);
+      });
+    });
+
+    it('returns null for the stats of a missing content', async () => {
+      expect.assertions(1);
+      await withDriver(name, async ({ driver }) => {
+        expect(await driver.stat('missing')).toBeNull();
+      });
+    });
+
+    it('streams a whole content or a byte range of it', async () => {
+      expect.assertions(2);
+      await withDriver(name, async ({ driver }) => {
+        await driver.putBuffer('range', Buffer.from('0123456789'));
+
+        const whole = await readAll(await driver.createReadStream('range'));
+        const range = await readAll(await driver.createReadStream('range', { start: 2, end: 5 }));
+
+        expect(whole.toString()).toBe('0123456789');
+        expect(range.toString()).toBe('2345');
+      });
+    });
+
+    it('downloads a content to a local file', async () => {
+      expect.assertions(1);
+      await withDriver(name, async ({ driver, tmp }) => {
+        await driver.putBuffer('download', Buffer.from('downloaded'));
+        const destination = path.join(tmp, 'downloaded');
+
+        await driver.download('download', destination);
+
+        expect(await fs.promises.readFile(destination, 'utf8')).toBe('downloaded');
+      });
+    });
+
+    it('removes a content, ignoring missing ones', async () => {
+      expect.assertions(1);
+      await withDriver(name, async ({ driver }) => {
+        await driver.putBuffer('removed', Buffer.from('x'));
+
+        await driver.remove('removed');
+        await driver.remove('removed');
+
+        expect(await driver.stat('removed')).toBeNull();
+      });
+    });
+  }
+
+  describe('local', () => behavesLikeStorage('local'));
+
+  describe('s3', () => behavesLikeStorage('s3'));
+
+  describe('local storage', () => {
+    it('keeps contents in the blobs folder of FOLDER_PATH', async () => {
+      expect.assertions(1);
+      await withDriver('local', async ({ driver, tmp }) => {
+        await driver.putBuffer('key', Buffer.from('x'));
+
+        expect(fs.existsSync(path.join(tmp, 'storage', 'blobs', 'key'))).toBe(true);
+      });
+    });
+
+    it('reads legacy contents from their absolute path', async () => {
+      expect.assertions(2);
+      await withDriver('local', async ({ tmp }) => {
+        const legacy = path.join(tmp, 'legacy');
+        await fs.promises.writeFile(legacy, 'old');
+
+        const location = locate({ localPath: legacy });
+
+        expect(location.driver.name).toBe('local');
+        expect((await location.driver.getBuffer(location.key)).toString()).toBe('old');
+      });
+    });
+  });
+
+  describe('s3 storage', () => {
+    it('stores contents in the bucket under their key', async () => {
+      expect.assertions(1);
+      await withDriver('s3', async ({ driver, backend }) => {
+        await driver.putBuffer('some/key', Buffer.from('x'));
+
+        expect([...backend.server.objects.keys()]).toStrictEqual(['files/some/key']);
+      });
+    });
+
+    it('requires S3_BUCKET', async () => {
+      expect.assertions(1);
+      await withDriver('s3', async () => {
+        delete process.env.S3_BUCKET;
+
+        expect(() => new S3Storage()).toThrow('S3_BUCKET is not set');
+      });
+    });
+  });
+
+  describe('selection', () => {
+    it('uses STORAGE_DRIVER for new contents and the storage of each file', async () => {
+      expect.assertions(4);
+      await withDriver('s3', async () => {
+        const local = locate({ storageKey: 'key' });
+        const s3 = locate({ storage: 's3', storageKey: 'key' });
+        process.env.STORAGE_DRIVER = 's3';
+
+        expect(getDefaultDriver().name).toBe('s3');
+        expect(local).toStrictEqual({ driver: getDriver('local'), key: 'key' });
+        expect(s3.driver.name).toBe('s3');
+        expect(() => getDriver('ftp')).toThrow('Unknown storage driver: ftp');
+      });
+    });
+  });
+});
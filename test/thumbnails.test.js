@@ -0,0 +1,88 @@
+// test/thumbnails.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { locate, thumbnailKey } from '../utils/storage';
+import {
+  createApp, signIn, withFakes,
+} from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+/**
+ * Uploads a file as a JSON body
+ *
+ * @param {Object} headers - Headers authenticating the owner
+ * @param {Object} fields - name and type of the file
+ * @returns {Promise<Object>} - The response
+ */
+function upload(headers, fields) {
+  return chai.request(app).post('/files').set(headers).send({
+    data: Buffer.from('original').toString('base64'), ...fields,
+  });
+}
+
+describe('thumbnails', () => {
+  const userId = new ObjectId();
+
+  it('are queued and pending for uploaded images', async () => {
+    expect.assertions(3);
+    await withFakes({}, async ({ jobs }) => {
+      const res = await upload(await signIn(userId), { name: 'photo.png', type: 'image' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.thumbnails).toStrictEqual({ 100: 'pending', 250: 'pending', 500: 'pending' });
+      expect(jobs.map(({ queue, data }) => ({ queue, data }))).toStrictEqual([{
+        queue: 'fileQueue',
+        data: { userId: userId.toString(), fileId: res.body.id },
+      }]);
+    });
+  });
+
+  it('are not generated for other files', async () => {
+    expect.assertions(3);
+    await withFakes({}, async ({ jobs }) => {
+      const res = await upload(await signIn(userId), { name: 'notes.txt', type: 'file' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).not.toHaveProperty('thumbnails');
+      expect(jobs).toHaveLength(0);
+    });
+  });
+
+  it('are served once the worker stored them', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const { body: { id } } = await upload(headers, { name: 'photo.png', type: 'image' });
+      const url = `/files/${id}/data?size=100`;
+
+      const missing = await chai.request(app).get(url).set(headers);
+      const { driver, key } = locate(dbClient.db.collection('files').documents[0]);
+      await driver.putBuffer(thumbnailKey(key, 100), Buffer.from('thumbnail'));
+      const ready = await chai.request(app).get(url).set(headers);
+
+      expect(missing.status).toBe(404);
+      expect(ready.status).toBe(200);
+      expect(ready.body.toString()).toBe('thumbnail');
+    });
+  });
+
+  it('only exist in the sizes of THUMBNAIL_SIZES', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const { body: { id } } = await upload(headers, { name: 'photo.png', type: 'image' });
+
+      const responses = await Promise.all(['42', '500abc'].map((size) => (
+        chai.request(app).get(`/files/${id}/data?size=${size}`).set(headers)
+      )));
+
+      responses.forEach((res) => expect(res.body).toStrictEqual({ error: 'Invalid size parameter' }));
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// test/trash.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { TRASH_RETENTION_DAYS, purgeExpiredTrash } from '../utils/trash';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('trash', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Creates a file or folder
+   *
+   * @param {Object} headers - Headers authenticating the owner
+   * @param {Object} fields - Fields of POST /files
+   * @returns {Promise<string>} - ID of the new item
+   */
+  async function createItem(headers, fields) {
+    const res = await chai.request(app).post('/files').set(headers).send({
+      type: 'file', data: Buffer.from('content').toString('base64'), ...fields,
+    });
+    return res.body.id;
+  }
+
+  it('holds deleted folders, with everything below them', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const folderId = await createItem(headers, { name: 'docs', type: 'folder' });
+      const fileId = await createItem(headers, { name: 'a.txt', parentId: folderId });
+
+      const res = await chai.request(app).delete(`/files/${folderId}`).set(headers);
+      const file = await chai.request(app).get(`/files/${fileId}`).set(headers);
+      const trash = await chai.request(app).get('/files/trash').set(headers);
+
+      expect(res.status).toBe(204);
+      expect(file.status).toBe(404);
+      expect(trash.body.map(({ id }) => id)).toStrictEqual([folderId]);
+    });
+  });
+
+  it('gives back restored items with what was deleted with them', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const folderId = await createItem(headers, { name: 'docs', type: 'folder' });
+      const fileId = await createItem(headers, { name: 'a.txt', parentId: folderId });
+      await chai.request(app).delete(`/files/${folderId}`).set(headers);
+
+      const res = await chai.request(app).post(`/files/${folderId}/restore`).set(headers);
+      const file = await chai.request(app).get(`/files/${fileId}`).set(headers);
+
+      expect(res.status).toBe(200);
+      expect(file.body).toMatchObject({ id: fileId, parentId: folderId });
+    });
+  });
+
+  it('restores items at the root when their folder is gone', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const folderId = await createItem(headers, { name: 'docs', type: 'folder' });
+      const fileId = await createItem(headers, { name: 'a.txt', parentId: folderId });
+      await chai.request(app).delete(`/files/${fileId}`).set(headers);
+      await chai.request(app).delete(`/files/${folderId}`).set(headers);
+
+      const res = await chai.request(app).post(`/files/${fileId}/restore`).set(headers);
+
+      expect(res.body).toMatchObject({ id: fileId, parentId: 0 });
+    });
+  });
+
+  it('deletes purged items for good', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+      const fileId = await createItem(headers, { name: 'a.txt' });
+      await chai.request(app).delete(`/files/${fileId}`).set(headers);
+
+      const res = await chai.request(app).delete(`/files/trash/${fileId}`).set(headers);
+      const restore = await chai.request(app).post(`/files/${fileId}/restore`).set(headers);
+
+      expect(res.status).toBe(204);
+      expect(restore.status).toBe(404);
+      expect(dbClient.db.collection('files').documents).toHaveLength(0);
+    });
+  });
+
+  it('is emptied of the items older than TRASH_RETENTION_DAYS', async () => {
+    expect.assertions(2);
+    const day = 24 * 60 * 60 * 1000;
+    const item = (age) => {
+      const _id = new ObjectId();
+      return {
+        _id, userId, type: 'folder', trashRootId: _id, deletedAt: new Date(Date.now() - age),
+      };
+    };
+    const files = [item((TRASH_RETENTION_DAYS + 1) * day), item((TRASH_RETENTION_DAYS - 1) * day)];
+    const kept = files[1];
+
+    await withFakes({ files }, async () => {
+      expect(await purgeExpiredTrash()).toBe(1);
+      expect(files).toStrictEqual([kept]);
+    });
+  });
+});
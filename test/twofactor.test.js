@@ -0,0 +1,233 @@
+// test/twofactor.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { hashPassword } from '../utils/password';
+import {
+  generateRecoveryCodes, generateSecret, hashRecoveryCode, provisioningUri, verifyTotp,
+} from '../utils/totp';
+import {
+  claimChallenge, completeChallenge, createChallenge, failChallenge, useSecondFactor,
+} from '../utils/twofactor';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+// Secret of the RFC 6238 test vectors ("12345678901234567890"), in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Time of one of the test vectors, and its code
+const RFC_TIME = 1111111109 * 1000;
+const RFC_CODE = '081804';
+
+describe('two-factor authentication', () => {
+  /**
+   * Returns a user with two-factor authentication enabled
+   *
+   * @returns {Object} - The user document, and its recovery codes
+   */
+  function enrolledUser() {
+    const { codes, hashes } = generateRecoveryCodes();
+    const user = {
+      _id: new ObjectId(),
+      email: 'bob@example.com',
+      twoFactor: {
+        secret: RFC_SECRET, enabled: true, lastCounter: 0, recoveryCodes: hashes,
+      },
+    };
+    return { user, codes };
+  }
+
+  describe('totp codes', () => {
+    it('are accepted for the RFC 6238 test vectors', () => {
+      expect.assertions(3);
+      expect(verifyTotp(RFC_SECRET, '287082', 59 * 1000)).toBe(1);
+      expect(verifyTotp(RFC_SECRET, RFC_CODE, RFC_TIME)).toBe(37037036);
+      expect(verifyTotp(RFC_SECRET, '005924', 1234567890 * 1000)).toBe(41152263);
+    });
+
+    it('are accepted for the previous and next time steps only', () => {
+      expect.assertions(3);
+      expect(verifyTotp(RFC_SECRET, RFC_CODE, RFC_TIME - 30 * 1000)).toBe(37037036);
+      expect(verifyTotp(RFC_SECRET, RFC_CODE, RFC_TIME + 30 * 1000)).toBe(37037036);
+      expect(verifyTotp(RFC_SECRET, RFC_CODE, RFC_TIME + 60 * 1000)).toBeNull();
+    });
+
+    it('may have spaces but are refused when malformed', () => {
+      expect.assertions(4);
+      expect(verifyTotp(RFC_SECRET, '081 804', RFC_TIME)).toBe(37037036);
+      expect(verifyTotp(RFC_SECRET, '81804', RFC_TIME)).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', RFC_TIME)).toBeNull();
+      expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+    });
+
+    it('come from base32 secrets with a provisioning URI', () => {
+      expect.assertions(2);
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(provisioningUri(secret, 'bob@example.com'))
+        .toMatch(/^otpauth:\/\/totp\/Files%20Manager%3Abob%40example\.com\?secret=/);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('are distinct and stored as hashes', () => {
+      expect.assertions(3);
+      const { codes, hashes } = generateRecoveryCodes();
+
+      expect(new Set(codes).size).toBe(10);
+      expect(codes).toStrictEqual(codes.map(() => expect.stringMatching(/^[0-9a-f]{5}-[0-9a-f]{5}$/)));
+      expect(hashes).toStrictEqual(codes.map(hashRecoveryCode));
+    });
+
+    it('are hashed regardless of case and dash', () => {
+      expect.assertions(1);
+      expect(hashRecoveryCode('ABCDE12345')).toBe(hashRecoveryCode('abcde-12345'));
+    });
+  });
+
+  describe('second factor', () => {
+    it('accepts a totp code once', async () => {
+      expect.assertions(3);
+      const { user } = enrolledUser();
+      await withFakes({ users: [user] }, async ({ sandbox }) => {
+        sandbox.useFakeTimers(RFC_TIME);
+
+        expect(await useSecondFactor(user, RFC_CODE)).toBe(true);
+        expect(await useSecondFactor(user, RFC_CODE)).toBe(false);
+        expect(user.twoFactor.lastCounter).toBe(37037036);
+      });
+    });
+
+    it('uses up a recovery code', async () => {
+      expect.assertions(3);
+      const { user, codes: [code] } = enrolledUser();
+      await withFakes({ users: [user] }, async () => {
+        expect(await useSecondFactor(user, code.toUpperCase())).toBe(true);
+        expect(await useSecondFactor(user, code)).toBe(false);
+        expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+      });
+    });
+
+    it('refuses wrong codes', async () => {
+      expect.assertions(3);
+      const { user } = enrolledUser();
+      await withFakes({ users: [user] }, async () => {
+        expect(await useSecondFactor(user, '000000')).toBe(false);
+        expect(await useSecondFactor(user, 'fffff-fffff')).toBe(false);
+        expect(dbClient.db.collection('users').documents[0].twoFactor.recoveryCodes)
+          .toHaveLength(10);
+      });
+    });
+  });
+
+  describe('sign-in challenges', () => {
+    it('are claimed by a single request', async () => {
+      expect.assertions(2);
+      await withFakes({}, async () => {
+        const challenge = await createChallenge('user-id');
+
+        const claims = await Promise.all([claimChallenge(challenge), claimChallenge(challenge)]);
+
+        expect(claims.filter(Boolean)).toHaveLength(1);
+        expect(claims.find(Boolean).userId).toBe('user-id');
+      });
+    });
+
+    it('are put back after a wrong code, until five were wrong', async () => {
+      expect.assertions(2);
+      await withFakes({}, async () => {
+        const challenge = await createChallenge('user-id');
+
+        const claims = [];
+        for (let attempt = 1; attempt <= 5; attempt += 1) {
+          // Each attempt needs the challenge put back by the previous one
+          /* eslint-disable no-await-in-loop */
+          const claim = await claimChallenge(challenge);
+          claims.push(claim);
+          await failChallenge(challenge, claim);
+          /* eslint-enable no-await-in-loop */
+        }
+
+        expect(claims.every(Boolean)).toBe(true);
+        expect(await claimChallenge(challenge)).toBeNull();
+      });
+    });
+
+    it('end once completed', async () => {
+      expect.assertions(1);
+      await withFakes({}, async () => {
+        const challenge = await createChallenge('user-id');
+
+        await claimChallenge(challenge);
+        await completeChallenge(challenge);
+
+        expect(await claimChallenge(challenge)).toBeNull();
+      });
+    });
+  });
+
+  describe('routes', () => {
+    it('enable two-factor authentication with a first code', async () => {
+      expect.assertions(4);
+      const user = { _id: new ObjectId(), email: 'bob@example.com' };
+      await withFakes({ users: [user] }, async ({ sandbox }) => {
+        sandbox.useFakeTimers({ now: RFC_TIME, toFake: ['Date'] });
+        const headers = await signIn(user._id);
+
+        const enroll = await chai.request(app).post('/users/me/2fa').set(headers);
+        user.twoFactor.secret = RFC_SECRET;
+        const wrong = await chai.request(app).post('/users/me/2fa/verify').set(headers)
+          .send({ code: '000000' });
+        const res = await chai.request(app).post('/users/me/2fa/verify').set(headers)
+          .send({ code: RFC_CODE });
+
+        expect(enroll.body.uri).toContain(`secret=${enroll.body.secret}`);
+        expect(wrong.body).toStrictEqual({ error: 'Invalid code' });
+        expect(res.body.recoveryCodes).toHaveLength(10);
+        expect(user.twoFactor).toMatchObject({ enabled: true, lastCounter: 37037036 });
+      });
+    });
+
+    it('ask for a code after the password at sign-in', async () => {
+      expect.assertions(3);
+      const { user } = enrolledUser();
+      user.password = await hashPassword('secret');
+      await withFakes({ users: [user] }, async ({ sandbox }) => {
+        sandbox.useFakeTimers({ now: RFC_TIME, toFake: ['Date'] });
+
+        const connect = await chai.request(app).get('/connect').auth('bob@example.com', 'secret');
+        const { challenge } = connect.body;
+        const wrong = await chai.request(app).post('/connect/2fa').send({ challenge, code: '000000' });
+        const res = await chai.request(app).post('/connect/2fa').send({ challenge, code: RFC_CODE });
+
+        expect(connect.body).toMatchObject({
+          twoFactorRequired: true, challenge: expect.any(String),
+        });
+        expect(wrong.body).toStrictEqual({ error: 'Invalid code' });
+        expect(res.body.token).toStrictEqual(expect.any(String));
+      });
+    });
+
+    it('disable two-factor authentication with a code', async () => {
+      expect.assertions(3);
+      const { user, codes: [code] } = enrolledUser();
+      await withFakes({ users: [user] }, async () => {
+        const headers = await signIn(user._id);
+
+        const wrong = await chai.request(app).delete('/users/me/2fa').set(headers)
+          .send({ code: '000000' });
+        const res = await chai.request(app).delete('/users/me/2fa').set(headers).send({ code });
+
+        expect(wrong.body).toStrictEqual({ error: 'Invalid code' });
+        expect(res.status).toBe(204);
+        expect(user).not.toHaveProperty('twoFactor');
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// test/upload.test.js
+import fs from 'fs';
+import path from 'path';
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+// Content of the uploaded files
+const CONTENT = 'streamed content';
+
+/**
+ * Lists the temporary files left in the storage folder
+ *
+ * @returns {Promise<Array>} - Names of the files
+ */
+async function listTempFiles() {
+  const folder = path.join(process.env.FOLDER_PATH, 'tmp');
+  return fs.existsSync(folder) ? fs.promises.readdir(folder) : [];
+}
+
+describe('streamed uploads', () => {
+  const userId = new ObjectId();
+
+  it('store the file part of multipart bodies with the form fields', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+
+      const res = await chai.request(app).post('/files').set(headers)
+        .field('name', 'notes.txt')
+        .field('type', 'file')
+        .field('isPublic', 'true')
+        .attach('file', Buffer.from(CONTENT), 'upload.bin');
+      const data = await chai.request(app).get(`/files/${res.body.id}/data`).set(headers);
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        name: 'notes.txt', type: 'file', isPublic: true, parentId: 0,
+      });
+      expect(data.text).toBe(CONTENT);
+    });
+  });
+
+  it('name multipart files after their part without a name field', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const res = await chai.request(app).post('/files').set(await signIn(userId))
+        .field('type', 'file')
+        .attach('file', Buffer.from(CONTENT), 'report.txt');
+
+      expect(res.status).toBe(201);
+      expect(res.body.name).toBe('report.txt');
+    });
+  });
+
+  it('store raw binary bodies with the fields in the query string', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const headers = await signIn(userId);
+
+      const res = await chai.request(app).post('/files').set(headers)
+        .query({ name: 'raw.txt', type: 'file' })
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from(CONTENT));
+      const data = await chai.request(app).get(`/files/${res.body.id}/data`).set(headers);
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ name: 'raw.txt', isPublic: false });
+      expect(data.text).toBe(CONTENT);
+    });
+  });
+
+  it('remove the streamed content of invalid uploads', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const res = await chai.request(app).post('/files').set(await signIn(userId))
+        .query({ name: 'raw.txt', type: 'unknown' })
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from(CONTENT));
+
+      expect(res.body).toStrictEqual({ error: 'Missing type' });
+      expect(await listTempFiles()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// test/verification.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import {
+  VERIFICATION_TOKEN_TTL, createVerificationToken, isEmailVerified, sendWelcomeMail,
+} from '../utils/verification';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('email verification', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Returns the user, who didn't verify their email yet
+   *
+   * @returns {Object} - The user document
+   */
+  function createUser() {
+    return {
+      _id: userId, email: 'bob@example.com', password: 'hash', emailVerified: false,
+    };
+  }
+
+  /**
+   * Sends the welcome email of the user, as the worker does, and returns
+   * the token of its link
+   *
+   * @param {Array} mail - The messages sent so far
+   * @returns {Promise<string>} - The token
+   */
+  async function welcome(mail) {
+    const user = createUser();
+    await sendWelcomeMail(user, await createVerificationToken(user));
+    return mail[mail.length - 1].text.match(/\/users\/verify\/(\S+)/)[1];
+  }
+
+  it('refuse signups with an invalid email', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const responses = await Promise.all(['bob', 'bob@example', 'bob @example.com']
+        .map((email) => chai.request(app).post('/users').send({ email, password: 'secret' })));
+
+      expect(responses.map(({ status }) => status)).toStrictEqual([400, 400, 400]);
+      expect(responses[0].body).toStrictEqual({ error: 'Invalid email' });
+    });
+  });
+
+  it('queue the welcome email of new users', async () => {
+    expect.assertions(2);
+    await withFakes({}, async ({ jobs }) => {
+      const res = await chai.request(app).post('/users')
+        .send({ email: 'bob@example.com', password: 'secret' });
+      const [created] = dbClient.db.collection('users').documents;
+
+      expect(created.emailVerified).toBe(false);
+      expect(jobs).toMatchObject([{ queue: 'userQueue', data: { userId: res.body.id } }]);
+    });
+  });
+
+  it('verify the email with the link of the welcome email once', async () => {
+    expect.assertions(4);
+    await withFakes({ users: [createUser()] }, async ({ mail }) => {
+      const token = await welcome(mail);
+
+      const res = await chai.request(app).get(`/users/verify/${token}`);
+      const again = await chai.request(app).get(`/users/verify/${token}`);
+      const [verified] = dbClient.db.collection('users').documents;
+
+      expect(mail[0]).toMatchObject({ to: 'bob@example.com', subject: 'Welcome to Files Manager' });
+      expect(res.body).toStrictEqual({ emailVerified: true });
+      expect(again.body).toStrictEqual({ error: 'Invalid token' });
+      expect(isEmailVerified(verified)).toBe(true);
+    });
+  });
+
+  it('refuse expired links', async () => {
+    expect.assertions(1);
+    await withFakes({ users: [createUser()] }, async ({ sandbox, mail }) => {
+      const clock = sandbox.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      const token = await welcome(mail);
+      clock.tick(VERIFICATION_TOKEN_TTL * 1000);
+
+      const res = await chai.request(app).get(`/users/verify/${token}`);
+
+      expect(res.body).toStrictEqual({ error: 'Invalid token' });
+    });
+  });
+
+  it('can be asked again until the email is verified', async () => {
+    expect.assertions(3);
+    await withFakes({ users: [createUser()] }, async ({ jobs }) => {
+      const headers = await signIn(userId);
+
+      const res = await chai.request(app).post('/users/me/verification').set(headers);
+      await dbClient.db.collection('users').updateOne(
+        { _id: userId },
+        { $set: { emailVerified: true } },
+      );
+      const again = await chai.request(app).post('/users/me/verification').set(headers);
+
+      expect(res.status).toBe(202);
+      expect(jobs).toMatchObject([{ queue: 'userQueue', data: { userId: userId.toString() } }]);
+      expect(again.body).toStrictEqual({ error: 'Email already verified' });
+    });
+  });
+
+  it('count users from before verification existed as verified', async () => {
+    expect.assertions(2);
+    expect(isEmailVerified({ email: 'bob@example.com' })).toBe(true);
+    expect(isEmailVerified(createUser())).toBe(false);
+  });
+
+  it('is not needed to upload unless REQUIRE_VERIFIED_EMAIL is set', async () => {
+    expect.assertions(1);
+    await withFakes({ users: [createUser()] }, async () => {
+      const res = await chai.request(app).post('/files').set(await signIn(userId))
+        .send({ name: 'a.txt', type: 'file', data: Buffer.from('a').toString('base64') });
+
+      expect(res.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// test/versions.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { MAX_FILE_VERSIONS, addVersion } from '../utils/versions';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+/**
+ * Returns the Base64 encoding of a text
+ *
+ * @param {string} text - The text
+ * @returns {string} - Its Base64 encoding
+ */
+function base64(text) {
+  return Buffer.from(text).toString('base64');
+}
+
+describe('file versions', () => {
+  const userId = new ObjectId();
+
+  /**
+   * Signs the user in and uploads a file
+   *
+   * @returns {Promise<Object>} - headers, and url of the file
+   */
+  async function uploadFile() {
+    const headers = await signIn(userId);
+    const res = await chai.request(app).post('/files').set(headers).send({
+      name: 'notes.txt', type: 'file', data: base64('first'),
+    });
+    return { headers, url: `/files/${res.body.id}` };
+  }
+
+  it('keep the previous content when a new one is uploaded', async () => {
+    expect.assertions(4);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+
+      const res = await chai.request(app).put(`${url}/data`).set(headers).send({ data: base64('second') });
+      const versions = await chai.request(app).get(`${url}/versions`).set(headers);
+      const current = await chai.request(app).get(`${url}/data`).set(headers);
+      const previous = await chai.request(app).get(`${url}/versions/1/data`).set(headers);
+
+      expect(res.body).toMatchObject({ version: 2, size: 6 });
+      expect(versions.body.map(({ version, current: isCurrent }) => [version, isCurrent]))
+        .toStrictEqual([[2, true], [1, false]]);
+      expect(current.text).toBe('second');
+      expect(previous.text).toBe('first');
+    });
+  });
+
+  it('restore a previous version as a new one', async () => {
+    expect.assertions(3);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+      await chai.request(app).put(`${url}/data`).set(headers).send({ data: base64('second') });
+
+      const res = await chai.request(app).post(`${url}/versions/1/restore`).set(headers);
+      const current = await chai.request(app).get(`${url}/data`).set(headers);
+      const again = await chai.request(app).post(`${url}/versions/3/restore`).set(headers);
+
+      expect(res.body.version).toBe(3);
+      expect(current.text).toBe('first');
+      expect(again.body).toStrictEqual({ error: 'Version is already current' });
+    });
+  });
+
+  it('are limited to MAX_FILE_VERSIONS', async () => {
+    expect.assertions(2);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+      for (let version = 2; version <= MAX_FILE_VERSIONS + 2; version += 1) {
+        // Each version replaces the previous one
+        // eslint-disable-next-line no-await-in-loop
+        await chai.request(app).put(`${url}/data`).set(headers).send({ data: base64(`v${version}`) });
+      }
+
+      const versions = await chai.request(app).get(`${url}/versions`).set(headers);
+      const oldest = versions.body[versions.body.length - 1].version;
+
+      expect(versions.body).toHaveLength(MAX_FILE_VERSIONS);
+      expect(oldest).toBe(3);
+    });
+  });
+
+  it('are not added to a file changed in the meantime', async () => {
+    expect.assertions(1);
+    await withFakes({}, async () => {
+      const { headers, url } = await uploadFile();
+      const [file] = dbClient.db.collection('files').documents;
+      const outdated = { ...file };
+      await chai.request(app).put(`${url}/data`).set(headers).send({ data: base64('second') });
+
+      expect(await addVersion(outdated, { size: 5, checksum: 'checksum' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// test/workspaces.test.js
+import chai from 'chai';
+import chaiHttp from 'chai-http';
+import { expect } from 'expect';
+import { ObjectId } from 'mongodb';
+import dbClient from '../utils/db';
+import { createApp, signIn, withFakes } from './helpers/fakes';
+
+chai.use(chaiHttp);
+
+const app = createApp();
+
+describe('workspaces', () => {
+  const ownerId = new ObjectId();
+  const adminId = new ObjectId();
+  const memberId = new ObjectId();
+  const users = () => [
+    { _id: ownerId, email: 'owner@example.com' },
+    { _id: adminId, email: 'admin@example.com' },
+    { _id: memberId, email: 'member@example.com' },
+  ];
+
+  /**
+   * Invites a user to a workspace and accepts the invitation
+   *
+   * @param {Object} headers - Headers authenticating the inviting user
+   * @param {string} workspaceId - ID of the workspace
+   * @param {ObjectId} userId - ID of the invited user
+   * @param {Object} body - email and role of the invitation
+   * @returns {Promise<Object>} - Headers authenticating the new member
+   */
+  async function join(headers, workspaceId, userId, body) {
+    const invitation = await chai.request(app).post(`/workspaces/${workspaceId}/invitations`)
+      .set(headers)
+      .send(body);
+    const member = await signIn(userId);
+    await chai.request(app).post(`/invitations/${invitation.body.id}/accept`).set(member);
+    return member;
+  }
+
+  /**
+   * Creates a workspace with an admin, a member and a file
+   *
+   * @returns {Promise<Object>} - owner, admin and member headers, and the
+   *   IDs of workspace and file
+   */
+  async function createWorkspace() {
+    const owner = await signIn(ownerId);
+    const workspace = await chai.request(app).post('/workspaces').set(owner)
+      .send({ name: 'Team' });
+    const workspaceId = workspace.body.id;
+    const admin = await join(owner, workspaceId, adminId, {
+      email: 'admin@example.com', role: 'admin',
+    });
+    const member = await join(admin, workspaceId, memberId, { email: 'member@example.com' });
+    const file = await chai.request(app).post('/files').set(member).send({
+      name: 'a.txt', type: 'file', workspaceId, data: Buffer.from('abc').toString('base64'),
+    });
+    return {
+      owner, admin, member, workspaceId, file: file.body.id,
+    };
+  }
+
+  it('are created and joined through invitations', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { owner, member, workspaceId } = await createWorkspace();
+
+      const show = await chai.request(app).get(`/workspaces/${workspaceId}`).set(owner);
+      const list = await chai.request(app).get('/workspaces').set(member);
+      const outsider = await chai.request(app).get(`/workspaces/${workspaceId}`)
+        .set(await signIn(new ObjectId()));
+
+      expect(show.body).toMatchObject({
+        id: workspaceId, name: 'Team', role: 'owner', memberCount: 3,
+      });
+      expect(list.body).toStrictEqual([expect.objectContaining({ id: workspaceId, role: 'member' })]);
+      expect(outsider.status).toBe(404);
+    });
+  });
+
+  it('only take invitations of existing users from owners and admins', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { admin, member, workspaceId } = await createWorkspace();
+      const invite = (headers, email) => chai.request(app)
+        .post(`/workspaces/${workspaceId}/invitations`)
+        .set(headers)
+        .send({ email });
+
+      const unknown = await invite(admin, 'nobody@example.com');
+      const again = await invite(admin, 'member@example.com');
+      const byMember = await invite(member, 'nobody@example.com');
+
+      expect(unknown.body).toStrictEqual({ error: 'User not found' });
+      expect(again.body).toStrictEqual({ error: 'Already a member' });
+      expect(byMember.status).toBe(403);
+    });
+  });
+
+  it('own the files their members upload to them', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { owner, workspaceId, file } = await createWorkspace();
+
+      const list = await chai.request(app).get(`/files?workspaceId=${workspaceId}`).set(owner);
+      const outsider = await chai.request(app).get(`/files?workspaceId=${workspaceId}`)
+        .set(await signIn(new ObjectId()));
+
+      expect(dbClient.db.collection('files').documents[0].userId.toString()).toBe(workspaceId);
+      expect(list.body.map(({ id }) => id)).toStrictEqual([file]);
+      expect(outsider.body).toStrictEqual({ error: 'Workspace not found' });
+    });
+  });
+
+  it('let members copy their files, and admins publish them', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { admin, member, file } = await createWorkspace();
+
+      const copy = await chai.request(app).post(`/files/${file}/copy`).set(member).send({});
+      const byMember = await chai.request(app).put(`/files/${file}/publish`).set(member);
+      const byAdmin = await chai.request(app).put(`/files/${file}/publish`).set(admin);
+
+      // Copies at the root go to the drive of the member
+      expect(copy.body).toMatchObject({ name: 'a.txt', userId: memberId.toString() });
+      expect(byMember.status).toBe(404);
+      expect(byAdmin.body.isPublic).toBe(true);
+    });
+  });
+
+  it('keep the owner role to the owner', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { owner, admin, workspaceId } = await createWorkspace();
+      const members = `/workspaces/${workspaceId}/members`;
+
+      const demote = await chai.request(app).patch(`${members}/${ownerId}`).set(owner)
+        .send({ role: 'member' });
+      const remove = await chai.request(app).delete(`${members}/${ownerId}`).set(admin);
+      const removed = await chai.request(app).delete(`${members}/${memberId}`).set(admin);
+
+      expect(demote.body).toStrictEqual({ error: 'Cannot change the owner role' });
+      expect(remove.body).toStrictEqual({ error: 'Cannot remove the owner' });
+      expect(removed.status).toBe(204);
+    });
+  });
+
+  it('have their own storage usage', async () => {
+    expect.assertions(1);
+    await withFakes({ users: users() }, async () => {
+      const { member, workspaceId } = await createWorkspace();
+
+      const res = await chai.request(app).get(`/workspaces/${workspaceId}/usage`).set(member);
+
+      expect(res.body).toMatchObject({ used: 3, byType: { file: { size: 3, count: 1 } } });
+    });
+  });
+
+  it('are deleted with their files by their owner', async () => {
+    expect.assertions(3);
+    await withFakes({ users: users() }, async () => {
+      const { owner, admin, workspaceId } = await createWorkspace();
+
+      const byAdmin = await chai.request(app).delete(`/workspaces/${workspaceId}`).set(admin);
+      const res = await chai.request(app).delete(`/workspaces/${workspaceId}`).set(owner);
+
+      expect(byAdmin.status).toBe(403);
+      expect(res.status).toBe(204);
+      expect(dbClient.db.collection('files').documents).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// utils/apikeys.mjs
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import { findAncestors } from './files';
+import { hashToken } from './password';
+
+/**
+ * Scopes that can be given to an API key
+ *
+ * files:read reads files, files:write creates, changes and deletes them,
+ * files:publish changes their visibility.
+ */
+export const API_KEY_SCOPES = ['files:read', 'files:write', 'files:publish'];
+
+// Prefix of every key, so leaked keys are easy to recognize
+const KEY_PREFIX = 'fm_';
+
+/**
+ * Generates a new API key
+ *
+ * @returns {Object} - key, its hash to store and a short prefix to display
+ */
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyHash: hashToken(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Formats an API key document for API responses
+ *
+ * The key itself is only known when it is created.
+ *
+ * @param {Object} apiKey - API key document from the database
+ * @returns {Object} - Public representation of the key
+ */
+export function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    folderId: apiKey.folderId ? apiKey.folderId.toString() : null,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey._id.getTimestamp(),
+  };
+}
+
+/**
+ * Finds the API key sent in the Authorization header of a request
+ *
+ * Expired and revoked keys are not found. The last use of the key is
+ * recorded.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - The API key document, or null
+ */
+export async function findApiKey(req) {
+  const { authorization } = req.headers;
+  if (!authorization || !authorization.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const apiKeys = dbClient.db.collection('apiKeys');
+  const apiKey = await apiKeys.findOne({ keyHash: hashToken(authorization.slice(7).trim()) });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  await apiKeys.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+  return apiKey;
+}
+
+/**
+ * Checks whether a file is inside the folder an API key is restricted to
+ *
+ * The folder itself and everything below it are inside. Keys without a
+ * folder are not restricted.
+ *
+ * @param {Object} apiKey - API key document
+ * @param {string|number} fileId - ID of the file or folder, 0 for the root
+ * @returns {Promise<boolean>} - True if the key can access the file
+ */
+export async function isInKeyFolder(apiKey, fileId) {
+  if (!apiKey.folderId) {
+    return true;
+  }
+
+  if (!fileId || fileId === '0' || !ObjectId.isValid(String(fileId))) {
+    return false;
+  }
+
+  if (apiKey.folderId.toString() === String(fileId)) {
+    return true;
+  }
+
+  const ancestors = await findAncestors(fileId);
+  return ancestors.some((ancestor) => ancestor._id.equals(apiKey.folderId));
+}
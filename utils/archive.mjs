@@ -0,0 +1,145 @@
+// utils/archive.mjs
+import { once } from 'events';
+import path from 'path';
+import archiver from 'archiver';
+import { findDescendants } from './files';
+import { locate } from './storage';
+
+/**
+ * Returns a path for an item of an archive that no other item uses
+ *
+ * Slashes in names are replaced so a name can't create sub-folders, and
+ * duplicate names in a folder get a number, as in `report (2).pdf`.
+ *
+ * @param {Set} used - Paths already used in the archive, updated
+ * @param {string} folderPath - Path of the parent folder, empty for the root
+ * @param {string} name - Name of the item
+ * @returns {string} - Path of the item in the archive
+ */
+function uniquePath(used, folderPath, name) {
+  let safeName = String(name).replace(/[/\\]/g, '_');
+  if (safeName === '' || safeName === '.' || safeName === '..') {
+    safeName = '_';
+  }
+
+  const { name: base, ext } = path.parse(safeName);
+  let itemPath = folderPath ? `${folderPath}/${safeName}` : safeName;
+  for (let number = 2; used.has(itemPath.toLowerCase()); number += 1) {
+    const numbered = `${base} (${number})${ext}`;
+    itemPath = folderPath ? `${folderPath}/${numbered}` : numbered;
+  }
+
+  used.add(itemPath.toLowerCase());
+  return itemPath;
+}
+
+/**
+ * Lists the entries of a ZIP archive of files and folders
+ *
+ * Folders are archived with everything below them, keeping their
+ * structure. Items in the trash are left out, as are items the
+ * requester can't read, along with everything below them.
+ *
+ * @param {Array} roots - Readable file and folder documents to archive
+ * @param {Function} isReadable - Tells whether the requester can read a
+ *   document, given the document and the root it was found under
+ * @returns {Promise<Array>} - path and file document of each entry;
+ *   folder paths end with a slash
+ */
+export async function listArchiveEntries(roots, isReadable) {
+  const entries = [];
+  const used = new Set();
+
+  for (const root of roots) {
+    const rootPath = uniquePath(used, '', root.name);
+    if (root.type !== 'folder') {
+      entries.push({ path: rootPath, file: root });
+    } else {
+      entries.push({ path: `${rootPath}/`, file: root });
+
+      // Descendants come level by level, so parents are seen first
+      // eslint-disable-next-line no-await-in-loop
+      const descendants = await findDescendants(root._id, { deletedAt: null });
+      const folderPaths = new Map([[root._id.toString(), rootPath]]);
+      descendants.forEach((item) => {
+        const parentPath = folderPaths.get(String(item.parentId));
+        if (parentPath === undefined || !isReadable(item, root)) {
+          return;
+        }
+
+        const itemPath = uniquePath(used, parentPath, item.name);
+        if (item.type === 'folder') {
+          folderPaths.set(item._id.toString(), itemPath);
+          entries.push({ path: `${itemPath}/`, file: item });
+        } else {
+          entries.push({ path: itemPath, file: item });
+        }
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Streams a ZIP archive of entries listed by listArchiveEntries
+ *
+ * Contents are read from their storage one at a time, while the archive
+ * is being sent. Errors after the response started abort the download.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} name - File name of the archive, without extension
+ * @param {Array} entries - Entries of the archive
+ * @returns {Promise<void>}
+ */
+export async function sendArchive(res, name, entries) {
+  const archive = archiver('zip');
+  const closed = new Promise((resolve) => res.on('close', resolve));
+  let failed = false;
+
+  archive.on('error', (error) => {
+    console.error(`Error creating archive: ${error.message}`);
+    failed = true;
+    res.destroy(error);
+  });
+
+  res.status(200).attachment(`${name}.zip`);
+  archive.pipe(res);
+
+  for (const entry of entries) {
+    if (failed || res.destroyed) {
+      archive.abort();
+      return;
+    }
+
+    const options = {
+      name: entry.path,
+      date: entry.file.updatedAt || entry.file._id.getTimestamp(),
+    };
+
+    /* eslint-disable no-await-in-loop */
+    try {
+      let source = null;
+      if (entry.file.type === 'folder') {
+        options.type = 'directory';
+      } else {
+        const { driver, key } = locate(entry.file);
+        source = await driver.createReadStream(key);
+      }
+
+      const written = once(archive, 'entry');
+      archive.append(source, options);
+      await Promise.race([written, closed]);
+    } catch (error) {
+      // Errors of the archive itself were already handled
+      if (!failed) {
+        archive.emit('error', error);
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+
+  if (!failed && !res.destroyed) {
+    await archive.finalize();
+  }
+}
@@ -0,0 +1,126 @@
+// utils/auth.mjs
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import { getSessionUserId, touchSession } from './sessions';
+import { findApiKey, isInKeyFolder } from './apikeys';
+import { decodeCursor } from './pagination';
+import { REQUIRE_VERIFIED_EMAIL, isEmailVerified } from './verification';
+
+/**
+ * Returns the ID of the user authenticated by the X-Token header
+ *
+ * Using a token extends its session (see utils/sessions). On routes
+ * guarded by requireScope, the user can also be authenticated by an API
+ * key.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} - The user ID, or null if not authenticated
+ */
+export async function getUserId(req) {
+  if (req.apiKey) {
+    return req.apiKey.userId.toString();
+  }
+
+  const token = req.headers['x-token'];
+  if (!token) {
+    return null;
+  }
+
+  const userId = await getSessionUserId(token);
+  if (userId) {
+    await touchSession(token, req);
+  }
+  return userId;
+}
+
+/**
+ * Returns a middleware accepting API keys with a scope on a route
+ *
+ * Requests with an `Authorization: Bearer <key>` header are checked:
+ * the key must be valid and have the scope. Keys restricted to a folder
+ * must target files inside it, through the id route parameter, the
+ * parentId in the query string, in a listing cursor or in the body, or
+ * the ids in the body; other requests are forbidden, as are all requests
+ * to routes acting on the whole account. Requests without the header go
+ * through, to be authenticated by their X-Token.
+ *
+ * @param {string} scope - Scope needed on the route
+ * @param {Object} options - wholeAccount: true if the route ignores the
+ *   targets above, such as search or the trash; routeChecksFolder: true
+ *   if the route checks the folder of restricted keys itself, with
+ *   req.apiKey, such as upload sessions
+ * @returns {Function} - Express middleware
+ */
+export function requireScope(scope, { wholeAccount = false, routeChecksFolder = false } = {}) {
+  return async (req, res, next) => {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
+      return next();
+    }
+
+    try {
+      const apiKey = await findApiKey(req);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: 'Insufficient scope' });
+      }
+
+      if (apiKey.folderId && !routeChecksFolder) {
+        if (wholeAccount) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        // A cursor continues the listing of its own parentId; invalid
+        // cursors are refused by the route
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        const body = req.body || {};
+        const targets = [req.params.id, req.query.parentId, body.parentId]
+          .concat(cursor ? [cursor.parentId] : [])
+          .concat(Array.isArray(body.ids) ? body.ids : [])
+          .filter((target) => target !== undefined);
+        const allowed = await Promise.all(targets.map((target) => isInKeyFolder(apiKey, target)));
+        if (targets.length === 0 || allowed.includes(false)) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
+      }
+
+      req.apiKey = apiKey;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+/**
+ * Middleware refusing uploads from users who didn't verify their email
+ *
+ * Only active with REQUIRE_VERIFIED_EMAIL=true. Requests that aren't
+ * authenticated go through, for the route to answer them.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ * @returns {Promise<void>}
+ */
+export async function requireVerifiedEmail(req, res, next) {
+  if (!REQUIRE_VERIFIED_EMAIL) {
+    return next();
+  }
+
+  try {
+    const userId = await getUserId(req);
+    const user = userId
+      && await dbClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+    if (user && !isEmailVerified(user)) {
+      return res.status(403).json({ error: 'Email not verified' });
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+export default getUserId;
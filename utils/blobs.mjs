@@ -0,0 +1,217 @@
+// utils/blobs.mjs
+import fs from 'fs';
+import { promisify } from 'util';
+import dbClient from './db';
+import { THUMBNAIL_SIZES } from './queue';
+import { getTempPath, hashFile } from './upload';
+import { getDefaultDriver, locate, thumbnailKey } from './storage';
+
+const sleep = promisify(setTimeout);
+
+// Attempts (and delay in ms between them) to store content whose blob is
+// being deleted, waiting for the deletion to end
+const STORE_ATTEMPTS = 5;
+const STORE_RETRY_DELAY = 200;
+
+/**
+ * Returns where a blob is stored, as fields for file documents
+ *
+ * Blobs stored before storage drivers existed only have a localPath;
+ * they are given a key on the local driver the first time they are used.
+ *
+ * @param {Object} blob - Document of the blobs collection
+ * @returns {Promise<Object>} - storage and storageKey of the blob
+ */
+async function blobLocation(blob) {
+  if (!blob.key) {
+    await dbClient.db.collection('blobs').updateOne(
+      { _id: blob._id, key: { $exists: false } },
+      { $set: { storage: 'local', key: blob.localPath } },
+    );
+    return { storage: 'local', storageKey: blob.localPath };
+  }
+
+  return { storage: blob.storage, storageKey: blob.key };
+}
+
+/**
+ * Returns the filter matching the blob referenced by a file or version entry
+ *
+ * @param {Object} entry - File document or version entry
+ * @returns {Object} - Filter on the blobs collection
+ */
+function blobFilter(entry) {
+  if (entry.storageKey) {
+    return { _id: entry.checksum, storage: entry.storage, key: entry.storageKey };
+  }
+  return { _id: entry.checksum, localPath: entry.localPath };
+}
+
+/**
+ * Adds a reference to the blob of a checksum, creating it if missing
+ *
+ * Blobs marked as deleting are not reused: the upsert then fails on the
+ * duplicate checksum, and is tried again once the deletion ended.
+ *
+ * @param {string} checksum - SHA-256 checksum of the content
+ * @param {number} size - Size of the content in bytes
+ * @param {number} attempt - Number of the attempt, from 1
+ * @returns {Promise<Object>} - The blob document, after the update
+ */
+async function referenceBlob(checksum, size, attempt = 1) {
+  try {
+    const result = await dbClient.db.collection('blobs').findOneAndUpdate(
+      { _id: checksum, deleting: { $ne: true } },
+      {
+        $inc: { refCount: 1 },
+        $setOnInsert: { storage: getDefaultDriver().name, key: checksum, size },
+      },
+      { upsert: true, returnDocument: 'after' },
+    );
+    return result.value;
+  } catch (error) {
+    // 11000: duplicate key, the blob is being deleted
+    if (error.code !== 11000 || attempt >= STORE_ATTEMPTS) {
+      throw error;
+    }
+    await sleep(STORE_RETRY_DELAY);
+    return referenceBlob(checksum, size, attempt + 1);
+  }
+}
+
+/**
+ * Removes stored content and its thumbnails, ignoring missing contents
+ *
+ * @param {Object} location - driver and key of the content
+ * @returns {Promise<void>}
+ */
+async function removeContent({ driver, key }) {
+  const keys = [key, ...THUMBNAIL_SIZES.map((size) => thumbnailKey(key, size))];
+  await Promise.all(keys.map((entry) => driver.remove(entry)));
+}
+
+/**
+ * Stores temporary content as a content-addressed blob
+ *
+ * Blobs are keyed by the SHA-256 checksum of their content and shared
+ * by every file document with the same content. The blobs collection
+ * counts the references to each blob. If the blob already exists, the
+ * temporary file is removed instead of being stored a second time.
+ * New blobs go to the driver selected by STORAGE_DRIVER.
+ *
+ * @param {Object} content - localPath (temporary file), size and checksum
+ * @returns {Promise<Object>} - storage, storageKey, size and checksum of the blob
+ */
+export async function storeBlob(content) {
+  const { size, checksum } = content;
+
+  const blob = await referenceBlob(checksum, size);
+  const location = await blobLocation(blob);
+  const { driver, key } = locate(location);
+
+  // The content is only stored if the blob is missing
+  if (blob.refCount === 1 || !await driver.stat(key)) {
+    await driver.put(key, content.localPath);
+  } else {
+    await fs.promises.rm(content.localPath, { force: true });
+  }
+
+  return { ...location, size, checksum };
+}
+
+/**
+ * Adds a reference to the content of a file or version entry
+ *
+ * Used when a document starts sharing existing content (copies and
+ * restored versions). Content stored before blobs existed is first
+ * copied into a blob.
+ *
+ * @param {Object} entry - File document or version entry
+ * @returns {Promise<Object>} - storage, storageKey, size and checksum of the blob
+ */
+export async function acquireBlob(entry) {
+  if (entry.checksum) {
+    const result = await dbClient.db.collection('blobs').findOneAndUpdate(
+      { ...blobFilter(entry), deleting: { $ne: true } },
+      { $inc: { refCount: 1 } },
+      { returnDocument: 'after' },
+    );
+    if (result.value) {
+      const location = await blobLocation(result.value);
+      return { ...location, size: entry.size, checksum: entry.checksum };
+    }
+  }
+
+  // Legacy content: copy it to a temporary file, then store it
+  const { driver, key } = locate(entry);
+  const tempPath = await getTempPath();
+  await driver.download(key, tempPath);
+  const stats = await fs.promises.stat(tempPath);
+  return storeBlob({
+    localPath: tempPath,
+    size: stats.size,
+    checksum: entry.checksum || await hashFile(tempPath),
+  });
+}
+
+/**
+ * Removes a reference to the content of a file or version entry
+ *
+ * The blob and its thumbnails are deleted from storage with the last
+ * reference. Content stored before blobs existed is not shared and is
+ * deleted right away.
+ *
+ * @param {Object} entry - File document or version entry
+ * @returns {Promise<void>}
+ */
+export async function releaseBlob(entry) {
+  const location = locate(entry);
+  if (!location) {
+    return;
+  }
+
+  const blobs = dbClient.db.collection('blobs');
+  const result = entry.checksum
+    ? await blobs.findOneAndUpdate(
+      blobFilter(entry),
+      { $inc: { refCount: -1 } },
+      { returnDocument: 'after' },
+    )
+    : { value: null };
+
+  if (!result.value) {
+    await removeContent(location);
+    return;
+  }
+
+  if (result.value.refCount > 0) {
+    return;
+  }
+
+  // Claim the deletion: uploads of the same content wait for it to end
+  // instead of referencing a blob whose content is being removed
+  const claimed = await blobs.updateOne(
+    { _id: entry.checksum, refCount: { $lte: 0 }, deleting: { $ne: true } },
+    { $set: { deleting: true } },
+  );
+  if (claimed.matchedCount !== 1) {
+    return;
+  }
+
+  // A new blob stores the content again, even if the removal failed halfway
+  try {
+    await removeContent(location);
+  } finally {
+    await blobs.deleteOne({ _id: entry.checksum, deleting: true });
+  }
+}
+
+/**
+ * Releases the content of a file document and of all its versions
+ *
+ * @param {Object} file - File document from the database
+ * @returns {Promise<void>}
+ */
+export async function releaseFileContent(file) {
+  await Promise.all([file, ...(file.versions || [])].map(releaseBlob));
+}
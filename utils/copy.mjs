@@ -0,0 +1,112 @@
+// utils/copy.mjs
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import { findDescendants } from './files';
+import { THUMBNAIL_SIZES, addThumbnailJob, pendingThumbnails } from './queue';
+import { acquireBlob } from './blobs';
+
+/**
+ * Maximum number of items copied during the request; larger copies run
+ * as a background job
+ */
+export const COPY_SYNC_MAX_FILES = parseInt(process.env.COPY_SYNC_MAX_FILES || 100, 10);
+
+/**
+ * Maximum number of bytes copied during the request; larger copies run
+ * as a background job
+ */
+export const COPY_SYNC_MAX_BYTES = parseInt(process.env.COPY_SYNC_MAX_BYTES || 104857600, 10);
+
+/**
+ * Inserts a copy of one file document, owned by the given user
+ *
+ * The copy shares the content blob (and its thumbnails) of the original.
+ * Images whose thumbnails were not all generated get a new thumbnail job.
+ *
+ * @param {Object} file - The document to copy
+ * @param {string|number} parentId - Parent folder of the copy, or 0
+ * @param {string} userId - ID of the owner of the copy
+ * @returns {Promise<Object>} - The new document
+ */
+async function copyDocument(file, parentId, userId) {
+  const copy = {
+    userId: ObjectId(userId),
+    name: file.name,
+    type: file.type,
+    isPublic: file.isPublic,
+    parentId,
+  };
+
+  let sharesBlob = false;
+  if (file.type !== 'folder') {
+    const content = await acquireBlob(file);
+    copy.storage = content.storage;
+    copy.storageKey = content.storageKey;
+    copy.size = content.size;
+    copy.checksum = content.checksum;
+    sharesBlob = content.storageKey === (file.storageKey || file.localPath);
+  }
+
+  // Legacy content gets a new blob, without thumbnails yet
+  const thumbnailsReady = sharesBlob && file.thumbnails
+    && THUMBNAIL_SIZES.every((size) => file.thumbnails[size] === 'ready');
+  if (file.thumbnails) {
+    copy.thumbnails = sharesBlob ? { ...file.thumbnails } : pendingThumbnails();
+  }
+
+  await dbClient.db.collection('files').insertOne(copy);
+
+  if (file.type === 'image' && !thumbnailsReady) {
+    await addThumbnailJob(userId, copy._id);
+  }
+
+  return copy;
+}
+
+/**
+ * Lists a file, or a folder and everything below it, for copying
+ *
+ * Parents always come before their children in the returned array.
+ *
+ * @param {Object} file - The file or folder to copy
+ * @returns {Promise<Object>} - items to copy and their total size in bytes
+ */
+export async function planCopy(file) {
+  const items = [file];
+  if (file.type === 'folder') {
+    items.push(...await findDescendants(file._id, { deletedAt: null }));
+  }
+
+  const size = items.reduce((total, item) => total + (item.size || 0), 0);
+  return { items, size };
+}
+
+/**
+ * Copies a file or a whole folder tree
+ *
+ * @param {Array} items - Items returned by planCopy
+ * @param {string|number} parentId - Destination folder, or 0 for the root
+ * @param {string} userId - ID of the owner of the copies
+ * @param {Function} onProgress - Called with the percentage of items copied
+ * @returns {Promise<Object>} - The copy of the first item
+ */
+export async function copyItems(items, parentId, userId, onProgress = () => {}) {
+  const newIds = new Map();
+  let root = null;
+
+  for (const [index, item] of items.entries()) {
+    // The first item goes to the destination, the others under their copied parent
+    const newParentId = index === 0 ? parentId : newIds.get(item.parentId.toString());
+    // Copies are made in order so that each parent exists before its children
+    // eslint-disable-next-line no-await-in-loop
+    const copy = await copyDocument(item, newParentId, userId);
+    newIds.set(item._id.toString(), copy._id.toString());
+    if (index === 0) {
+      root = copy;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await onProgress(Math.round(((index + 1) * 100) / items.length));
+  }
+
+  return root;
+}
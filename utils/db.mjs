@@ -15,6 +15,41 @@ class DBClient {
         this.db = client.db(DB_DATABASE);
         this.users = this.db.collection('users');
         this.files = this.db.collection('files');
+        // Full-word search on file names (GET /files/search)
+        this.files.createIndex({ name: 'text' }).catch((indexError) => {
+          console.error('Error creating text index:', indexError.message);
+        });
+        // Listings (GET /files) sort on a field then _id, in a folder or
+        // across all the files of a user (see utils/pagination)
+        ['name', 'size', 'type', null].forEach((field) => {
+          const sortKeys = field ? { [field]: 1, _id: 1 } : { _id: 1 };
+          [{ userId: 1, parentId: 1 }, { userId: 1 }].forEach((prefix) => {
+            this.files.createIndex({ ...prefix, ...sortKeys }).catch((indexError) => {
+              console.error('Error creating listing index:', indexError.message);
+            });
+          });
+        });
+        // Share links are looked up by the hash of their token
+        this.db.collection('shares').createIndex({ tokenHash: 1 }, { unique: true })
+          .catch((indexError) => {
+            console.error('Error creating shares index:', indexError.message);
+          });
+        // A user has at most one grant per file
+        this.db.collection('grants').createIndex({ fileId: 1, userId: 1 }, { unique: true })
+          .catch((indexError) => {
+            console.error('Error creating grants index:', indexError.message);
+          });
+        // API keys are looked up by the hash of the key
+        this.db.collection('apiKeys').createIndex({ keyHash: 1 }, { unique: true })
+          .catch((indexError) => {
+            console.error('Error creating API keys index:', indexError.message);
+          });
+        // A user has at most one pending invitation per workspace
+        this.db.collection('invitations')
+          .createIndex({ workspaceId: 1, userId: 1 }, { unique: true })
+          .catch((indexError) => {
+            console.error('Error creating invitations index:', indexError.message);
+          });
       } else {
         console.log(error.message);
         this.db = false;
@@ -51,6 +86,54 @@ class DBClient {
       return 0;
     }
   }
+
+  async nbWorkspaces() {
+    if (!this.isAlive()) {
+      return 0;
+    }
+    try {
+      const workspaceCount = await this.db.collection('workspaces').countDocuments();
+      return workspaceCount;
+    } catch (error) {
+      console.error('Error counting workspaces:', error.message);
+      return 0;
+    }
+  }
+
+  async filesSize() {
+    if (!this.isAlive() || !this.files) {
+      return 0;
+    }
+    try {
+      const [result] = await this.files.aggregate([
+        {
+          $group: {
+            _id: null,
+            size: { $sum: { $add: [{ $ifNull: ['$size', 0] }, { $sum: '$versions.size' }] } },
+          },
+        },
+      ]).toArray();
+      return result ? result.size : 0;
+    } catch (error) {
+      console.error('Error summing file sizes:', error.message);
+      return 0;
+    }
+  }
+
+  async storedSize() {
+    if (!this.isAlive()) {
+      return 0;
+    }
+    try {
+      const [result] = await this.db.collection('blobs').aggregate([
+        { $group: { _id: null, size: { $sum: '$size' } } },
+      ]).toArray();
+      return result ? result.size : 0;
+    } catch (error) {
+      console.error('Error summing blob sizes:', error.message);
+      return 0;
+    }
+  }
 }
 
 const dbClient = new DBClient();
@@ -0,0 +1,266 @@
+// utils/extract.mjs
+import fs from 'fs';
+import { promisify } from 'util';
+import { ObjectId } from 'mongodb';
+import mime from 'mime-types';
+import yauzl from 'yauzl';
+import dbClient from './db';
+import { addThumbnailJob, pendingThumbnails } from './queue';
+import { releaseBlob, releaseFileContent, storeBlob } from './blobs';
+import { saveStream } from './upload';
+import { hasSpace } from './quota';
+
+/**
+ * Maximum number of entries in an extracted archive
+ */
+export const EXTRACT_MAX_ENTRIES = parseInt(process.env.EXTRACT_MAX_ENTRIES || 10000, 10);
+
+/**
+ * Maximum total size in bytes of the extracted content of an archive
+ */
+export const EXTRACT_MAX_BYTES = parseInt(process.env.EXTRACT_MAX_BYTES || 1073741824, 10);
+
+/**
+ * Maximum ratio between the extracted and compressed size of an entry
+ */
+export const EXTRACT_MAX_RATIO = parseInt(process.env.EXTRACT_MAX_RATIO || 100, 10);
+
+// Entries smaller than this are never considered as zip bombs
+const RATIO_MIN_SIZE = 1048576;
+
+const openZip = promisify(yauzl.open);
+
+/**
+ * Checks whether a file starts like a ZIP archive
+ *
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<boolean>} - True for a ZIP archive, including an empty one
+ */
+export async function isZipFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    const signature = buffer.toString('hex');
+    return bytesRead === 4 && ['504b0304', '504b0506'].includes(signature);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Reads the list of entries of an open archive
+ *
+ * @param {Object} zipfile - yauzl archive opened with lazyEntries
+ * @returns {Promise<Array>} - The entries
+ */
+function readEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', (entry) => {
+      entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+}
+
+/**
+ * Splits the path of an archive entry into folder and file names
+ *
+ * Absolute paths and paths leaving the extraction folder (zip-slip)
+ * are rejected.
+ *
+ * @param {string} fileName - Path of the entry in the archive
+ * @returns {Array|null} - Names of the path, or null if the path is unsafe
+ */
+function splitEntryPath(fileName) {
+  if (fileName.startsWith('/') || fileName.includes('\\') || /^[a-zA-Z]:/.test(fileName)) {
+    return null;
+  }
+
+  const names = fileName.split('/').filter((name) => name !== '' && name !== '.');
+  if (names.length === 0 || names.includes('..')) {
+    return null;
+  }
+  return names;
+}
+
+/**
+ * Tells whether an archive entry is left out of the extraction
+ *
+ * Symbolic links and the metadata folders added by macOS are skipped.
+ *
+ * @param {Object} entry - yauzl entry
+ * @returns {boolean} - True if the entry is skipped
+ */
+function isSkipped(entry) {
+  // eslint-disable-next-line no-bitwise
+  const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+  return mode === 0o120000 || /(^|\/)__MACOSX\//.test(entry.fileName);
+}
+
+/**
+ * Checks the entries of an archive before extracting it
+ *
+ * Rejects archives with too many entries, too much content, entries
+ * compressed suspiciously well (zip bombs), unsafe paths or encrypted
+ * entries. The sizes announced by the archive are enforced while
+ * reading the content.
+ *
+ * @param {Array} entries - yauzl entries of the archive
+ * @returns {string|null} - Error message, or null if the archive can be extracted
+ */
+function checkEntries(entries) {
+  if (entries.length > EXTRACT_MAX_ENTRIES) {
+    return 'Too many entries in archive';
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    if (!splitEntryPath(entry.fileName)) {
+      return `Invalid path in archive: ${entry.fileName}`;
+    }
+
+    if (entry.isEncrypted()) {
+      return 'Encrypted archives are not supported';
+    }
+
+    const { compressedSize, uncompressedSize } = entry;
+    if (uncompressedSize > RATIO_MIN_SIZE
+      && uncompressedSize > compressedSize * EXTRACT_MAX_RATIO) {
+      return 'Archive compression ratio is too high';
+    }
+
+    total += uncompressedSize;
+  }
+
+  if (total > EXTRACT_MAX_BYTES) {
+    return 'Archive content is too large';
+  }
+
+  return null;
+}
+
+/**
+ * Extracts a ZIP archive into a folder of a user
+ *
+ * Folders of the archive are created as folder documents, and files
+ * as file or image documents depending on their MIME type; images get
+ * a thumbnail job. If anything fails, the documents created so far
+ * are removed and an error is thrown.
+ *
+ * @param {string} archivePath - Path of the archive on disk
+ * @param {Object} target - userId, parentId and isPublic of the new documents
+ * @param {Function} onProgress - Called with the percentage of entries extracted
+ * @returns {Promise<Object>} - Number of folders and files created
+ */
+export async function extractArchive(archivePath, target, onProgress = () => {}) {
+  const { userId, parentId, isPublic } = target;
+  const files = dbClient.db.collection('files');
+  const zipfile = await openZip(archivePath, { lazyEntries: true, autoClose: false });
+  const created = [];
+
+  try {
+    const entries = (await readEntries(zipfile)).filter((entry) => !isSkipped(entry));
+
+    const error = checkEntries(entries);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const size = entries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+    if (!await hasSpace(userId, size)) {
+      throw new Error('Storage quota exceeded');
+    }
+
+    // Folder IDs by path in the archive; the root is the target folder
+    const folderIds = new Map([['', parentId]]);
+    const insert = async (document) => {
+      await files.insertOne(document);
+      created.push(document);
+      return document;
+    };
+
+    // Archives don't always have entries for folders, so they are
+    // created as soon as a path goes through them
+    const ensureFolder = async (names) => {
+      let folderPath = '';
+      for (const name of names) {
+        const parentPath = folderPath;
+        folderPath = folderPath ? `${folderPath}/${name}` : name;
+        if (!folderIds.has(folderPath)) {
+          // eslint-disable-next-line no-await-in-loop
+          const folder = await insert({
+            userId: ObjectId(userId),
+            name,
+            type: 'folder',
+            isPublic,
+            parentId: folderIds.get(parentPath),
+          });
+          folderIds.set(folderPath, folder._id.toString());
+        }
+      }
+      return folderIds.get(folderPath);
+    };
+
+    const openReadStream = promisify(zipfile.openReadStream.bind(zipfile));
+    let fileCount = 0;
+
+    /* eslint-disable no-await-in-loop */
+    for (const [index, entry] of entries.entries()) {
+      const names = splitEntryPath(entry.fileName);
+
+      if (entry.fileName.endsWith('/')) {
+        await ensureFolder(names);
+      } else {
+        const folderId = await ensureFolder(names.slice(0, -1));
+        const name = names[names.length - 1];
+        const type = (mime.lookup(name) || '').startsWith('image/') ? 'image' : 'file';
+
+        const content = await storeBlob(await saveStream(await openReadStream(entry)));
+        const document = {
+          userId: ObjectId(userId),
+          name,
+          type,
+          isPublic,
+          parentId: folderId,
+          storage: content.storage,
+          storageKey: content.storageKey,
+          size: content.size,
+          checksum: content.checksum,
+        };
+        if (type === 'image') {
+          document.thumbnails = pendingThumbnails();
+        }
+
+        try {
+          await insert(document);
+        } catch (insertError) {
+          await releaseBlob(content);
+          throw insertError;
+        }
+
+        if (type === 'image') {
+          await addThumbnailJob(userId, document._id);
+        }
+        fileCount += 1;
+      }
+
+      await onProgress(Math.floor(((index + 1) * 100) / entries.length));
+    }
+    /* eslint-enable no-await-in-loop */
+
+    return { folders: created.length - fileCount, files: fileCount };
+  } catch (error) {
+    // Remove what was extracted before the failure
+    if (created.length > 0) {
+      await files.deleteMany({ _id: { $in: created.map((document) => document._id) } });
+      await Promise.all(created.map(releaseFileContent));
+    }
+    throw error;
+  } finally {
+    zipfile.close();
+  }
+}
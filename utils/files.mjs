@@ -0,0 +1,289 @@
+// utils/files.mjs
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import { getMemberRole, hasMemberRole } from './workspaces';
+
+/**
+ * Formats a file document for API responses
+ *
+ * Converts ObjectIds to strings and leaves out internal fields such
+ * as the storage location. Size, checksum and version are only present
+ * for stored content, the thumbnails status only for images and
+ * deletedAt only for items in the trash.
+ *
+ * @param {Object} file - File document from the database
+ * @returns {Object} - Public representation of the file
+ */
+export function formatFile(file) {
+  const formatted = {
+    id: file._id.toString(),
+    userId: file.userId.toString(),
+    name: file.name,
+    type: file.type,
+    isPublic: file.isPublic,
+    parentId: file.parentId,
+  };
+
+  if (file.size !== undefined) {
+    formatted.size = file.size;
+    formatted.checksum = file.checksum;
+    formatted.version = file.version || 1;
+  }
+
+  if (file.thumbnails) {
+    formatted.thumbnails = file.thumbnails;
+  }
+
+  if (file.deletedAt) {
+    formatted.deletedAt = file.deletedAt;
+  }
+
+  return formatted;
+}
+
+/**
+ * Finds the folders above a file, from its parent up to the root
+ *
+ * @param {string|number} parentId - ID of the parent folder, or 0
+ * @returns {Promise<Array>} - The ancestor folder documents
+ */
+export async function findAncestors(parentId) {
+  const ancestors = [];
+  const seen = new Set();
+  let currentId = parentId;
+
+  // The seen set protects against cycles in inconsistent data
+  while (currentId && currentId !== 0 && !seen.has(currentId.toString())) {
+    seen.add(currentId.toString());
+    let parent;
+    try {
+      // Each level depends on the parentId of the previous one
+      // eslint-disable-next-line no-await-in-loop
+      parent = await dbClient.db.collection('files').findOne({ _id: ObjectId(currentId) });
+    } catch (error) {
+      parent = null;
+    }
+
+    if (!parent) {
+      break;
+    }
+
+    ancestors.push(parent);
+    currentId = parent.parentId;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Roles that can be granted to other users on a file or folder
+ *
+ * Viewers can read; editors can also upload into shared folders.
+ */
+export const GRANT_ROLES = ['viewer', 'editor'];
+
+// Rank of each role, the owner having every right
+const ROLE_RANKS = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * Returns the role of a user on a file or folder
+ *
+ * Grants on a folder apply to everything below it, so the grants on
+ * the file and on all its ancestors are considered, the highest role
+ * winning. Files owned by a workspace are editable by all its members,
+ * and its owner and admins have the rights of an owner on them.
+ *
+ * @param {Object} file - File document from the database
+ * @param {string|null} userId - ID of the user, if authenticated
+ * @returns {Promise<string|null>} - owner, editor, viewer, or null without access
+ */
+export async function getRole(file, userId) {
+  if (!userId) {
+    return null;
+  }
+
+  if (file.userId.toString() === userId) {
+    return 'owner';
+  }
+
+  const memberRole = await getMemberRole(file.userId, userId);
+  if (memberRole) {
+    return hasMemberRole(memberRole, 'admin') ? 'owner' : 'editor';
+  }
+
+  const ids = [file._id];
+  if (file.parentId !== 0) {
+    const ancestors = await findAncestors(file.parentId);
+    ids.push(...ancestors.map((ancestor) => ancestor._id));
+  }
+
+  const grants = await dbClient.db.collection('grants').find({
+    userId: ObjectId(userId),
+    fileId: { $in: ids },
+  }).toArray();
+
+  return grants.reduce((role, grant) => (
+    !role || ROLE_RANKS[grant.role] > ROLE_RANKS[role] ? grant.role : role
+  ), null);
+}
+
+/**
+ * Checks whether a role gives at least the rights of another
+ *
+ * @param {string|null} role - Role of the user, as returned by getRole
+ * @param {string} required - The minimum role
+ * @returns {boolean} - True if the role is sufficient
+ */
+export function hasRole(role, required) {
+  return !!role && ROLE_RANKS[role] >= ROLE_RANKS[required];
+}
+
+/**
+ * Finds a file owned by a user, outside of the trash
+ *
+ * @param {string} fileId - ID of the file from the request
+ * @param {string} userId - ID of the authenticated user
+ * @returns {Promise<Object|null>} - The file document, or null
+ */
+export async function findOwnedFile(fileId, userId) {
+  try {
+    return await dbClient.db.collection('files').findOne({
+      _id: ObjectId(fileId),
+      userId: ObjectId(userId),
+      deletedAt: null,
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validates the parent folder of a file
+ *
+ * The parent must exist, be a folder, not be in the trash, and the user
+ * must have at least the given role on it. The root (parentId 0) is
+ * always valid.
+ *
+ * @param {string|number} parentId - ID of the parent folder, or 0
+ * @param {string} userId - ID of the user creating or moving the file
+ * @param {string} role - Minimum role of the user on the parent
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+export async function validateParent(parentId, userId, role = 'owner') {
+  if (parentId === 0) {
+    return null;
+  }
+
+  let parent;
+  try {
+    parent = await dbClient.db.collection('files').findOne({
+      _id: ObjectId(parentId),
+      deletedAt: null,
+    });
+  } catch (error) {
+    return 'Parent not found';
+  }
+
+  if (!parent || !hasRole(await getRole(parent, userId), role)) {
+    return 'Parent not found';
+  }
+
+  if (parent.type !== 'folder') {
+    return 'Parent is not a folder';
+  }
+
+  return null;
+}
+
+/**
+ * Validates the fields of an upload
+ *
+ * Files can be uploaded into folders shared with the user as editor,
+ * and at the root of the workspaces the user is a member of.
+ *
+ * @param {Object} upload - name, type, parentId, workspaceId, userId and
+ *   whether content was sent
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+export async function validateUpload({
+  name, type, parentId, workspaceId, userId, hasContent,
+}) {
+  // Validate required fields
+  if (!name) {
+    return 'Missing name';
+  }
+
+  // Validate file type
+  const acceptedTypes = ['folder', 'file', 'image'];
+  if (!type || !acceptedTypes.includes(type)) {
+    return 'Missing type';
+  }
+
+  // Validate data for file and image types
+  if (!hasContent && type !== 'folder') {
+    return 'Missing data';
+  }
+
+  // A workspace is only targeted for its root; folders have an owner
+  if (workspaceId) {
+    if (parentId !== 0) {
+      return 'Parent not found';
+    }
+    if (!await getMemberRole(workspaceId, userId)) {
+      return 'Workspace not found';
+    }
+  }
+
+  // If parentId is provided, verify parent exists and is a folder
+  return validateParent(parentId, userId, 'editor');
+}
+
+/**
+ * Finds all the files and folders below a folder
+ *
+ * The tree is walked one level at a time, following the parentId of
+ * each document.
+ *
+ * @param {ObjectId|string} folderId - ID of the folder
+ * @param {Object} query - Additional filter applied at every level
+ * @returns {Promise<Array>} - The descendant documents
+ */
+export async function findDescendants(folderId, query = {}) {
+  const descendants = [];
+  let parentIds = [folderId.toString()];
+
+  while (parentIds.length > 0) {
+    // Each level depends on the folders found in the previous one
+    // eslint-disable-next-line no-await-in-loop
+    const children = await dbClient.db.collection('files')
+      .find({ ...query, parentId: { $in: parentIds } })
+      .toArray();
+
+    descendants.push(...children);
+    parentIds = children
+      .filter((child) => child.type === 'folder')
+      .map((child) => child._id.toString());
+  }
+
+  return descendants;
+}
+
+/**
+ * Returns the user or workspace owning new files created in a folder
+ *
+ * Files uploaded by editors into a shared folder belong to the owner of
+ * the folder, like the rest of the tree.
+ *
+ * @param {string|number} parentId - ID of a valid parent folder, or 0
+ * @param {string} userId - ID of the user creating the file
+ * @param {string|null} workspaceId - Workspace targeted at the root, if any
+ * @returns {Promise<string>} - ID of the owner of the new file
+ */
+export async function getOwnerForParent(parentId, userId, workspaceId = null) {
+  if (parentId === 0) {
+    return workspaceId ? String(workspaceId) : userId;
+  }
+
+  const parent = await dbClient.db.collection('files').findOne({ _id: ObjectId(parentId) });
+  return parent ? parent.userId.toString() : userId;
+}
@@ -0,0 +1,26 @@
+// utils/mail/console.mjs
+
+/**
+ * ConsoleTransport - Mail transport printing messages to the console
+ *
+ * Meant for local development, where no mail server is available; it is
+ * the default transport with NODE_ENV=development.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+    this.stream = process.stdout;
+  }
+
+  /**
+   * Prints a message
+   *
+   * @param {Object} message - from, to, subject and text of the message
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    this.stream.write(`Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+  }
+}
+
+export default ConsoleTransport;
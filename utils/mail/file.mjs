@@ -0,0 +1,33 @@
+// utils/mail/file.mjs
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * FileTransport - Mail transport writing messages to files
+ *
+ * Each message is a JSON file in MAIL_FOLDER_PATH (by default the
+ * `mail` sub-folder of FOLDER_PATH), for local testing.
+ */
+class FileTransport {
+  constructor() {
+    this.name = 'file';
+    this.root = process.env.MAIL_FOLDER_PATH
+      || path.join(process.env.FOLDER_PATH || '/tmp/files_manager', 'mail');
+  }
+
+  /**
+   * Writes a message to a new file
+   *
+   * @param {Object} message - from, to, subject and text of the message
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    const fileName = `${Date.now()}-${uuidv4()}.json`;
+    const content = JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2);
+    await fs.promises.writeFile(path.join(this.root, fileName), content);
+  }
+}
+
+export default FileTransport;
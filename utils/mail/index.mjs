@@ -0,0 +1,59 @@
+// utils/mail/index.mjs
+import ConsoleTransport from './console';
+import FileTransport from './file';
+import SmtpTransport from './smtp';
+
+// Available mail transports, by name
+const transports = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  smtp: SmtpTransport,
+};
+
+// Transport instances, created on first use
+const instances = {};
+
+/**
+ * Address the messages are sent from
+ */
+export const MAIL_FROM = process.env.MAIL_FROM || 'Files Manager <no-reply@localhost>';
+
+/**
+ * Returns the transport used to send messages, set by MAIL_TRANSPORT
+ *
+ * The console transport prints the tokens sent by mail, so it is only
+ * the default with NODE_ENV=development; elsewhere, sending fails until
+ * a transport is chosen.
+ *
+ * @returns {Object} - The transport instance
+ */
+export function getTransport() {
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'development' ? 'console' : null);
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT is not set');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new transports[name]();
+  }
+
+  return instances[name];
+}
+
+/**
+ * Sends a plain text message
+ *
+ * @param {string} to - Address of the recipient
+ * @param {string} subject - Subject of the message
+ * @param {string} text - Body of the message
+ * @returns {Promise<void>}
+ */
+export async function sendMail(to, subject, text) {
+  await getTransport().send({
+    from: MAIL_FROM, to, subject, text,
+  });
+}
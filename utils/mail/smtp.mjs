@@ -0,0 +1,35 @@
+// utils/mail/smtp.mjs
+import nodemailer from 'nodemailer';
+
+/**
+ * SmtpTransport - Mail transport sending messages through an SMTP server
+ *
+ * The server is set by SMTP_HOST and SMTP_PORT (587 by default), with
+ * SMTP_SECURE=true for TLS from the start of the connection, and
+ * SMTP_USER and SMTP_PASSWORD when it needs authentication.
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || 587, 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  /**
+   * Sends a message
+   *
+   * @param {Object} message - from, to, subject and text of the message
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+export default SmtpTransport;
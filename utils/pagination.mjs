@@ -0,0 +1,221 @@
+// utils/pagination.mjs
+import { ObjectId } from 'mongodb';
+
+/**
+ * Number of items per page when no limit is given
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Largest number of items a client can ask for in one page
+ */
+export const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE || 100, 10);
+
+// Field sorted on for each sort option, then _id; createdAt sorts on _id
+// only. Each has a compound index (see utils/db).
+const SORT_FIELDS = {
+  name: 'name',
+  size: 'size',
+  type: 'type',
+  createdAt: null,
+};
+
+/**
+ * Parses the listing options of GET /files
+ *
+ * - sort: name, createdAt (default), size or type
+ * - order: asc (default) or desc
+ * - foldersFirst: true to list folders before files
+ * - limit: items per page, capped to MAX_PAGE_SIZE
+ *
+ * @param {Object} params - Query string parameters
+ * @returns {Object} - options, or error message
+ */
+export function parseListing(params) {
+  const {
+    sort = 'createdAt', order = 'asc', foldersFirst = 'false', limit,
+  } = params;
+
+  if (!Object.keys(SORT_FIELDS).includes(sort)) {
+    return { error: 'Invalid sort' };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order' };
+  }
+
+  let pageSize = DEFAULT_PAGE_SIZE;
+  if (limit !== undefined) {
+    pageSize = parseInt(limit, 10);
+    if (!(pageSize > 0)) {
+      return { error: 'Invalid limit' };
+    }
+  }
+
+  return {
+    options: {
+      sort,
+      order,
+      foldersFirst: foldersFirst === 'true',
+      limit: Math.min(pageSize, MAX_PAGE_SIZE),
+    },
+  };
+}
+
+/**
+ * Encodes the position after an item into an opaque cursor
+ *
+ * The cursor also holds the query and listing options, so a client only
+ * needs to send it back to get the next page.
+ *
+ * @param {Object} state - Query parameters and options of the listing
+ * @param {Object} item - Last file document of the page
+ * @returns {string} - The cursor
+ */
+export function encodeCursor(state, item) {
+  const field = SORT_FIELDS[state.sort];
+  const after = {
+    id: item._id.toString(),
+    folder: item.type === 'folder' ? 0 : 1,
+    value: field && item[field] !== undefined ? item[field] : null,
+  };
+  return Buffer.from(JSON.stringify({ ...state, after })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor returned by encodeCursor
+ *
+ * The options are validated again, as a client could have altered them.
+ *
+ * @param {string} cursor - The cursor
+ * @returns {Object|null} - Query parameters, options and position, or null if invalid
+ */
+export function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  const { after } = state || {};
+  if (!after || typeof after.id !== 'string' || !ObjectId.isValid(after.id)
+    || ![0, 1, undefined].includes(after.folder)
+    || !(after.value === null || ['string', 'number'].includes(typeof after.value))) {
+    return null;
+  }
+
+  const { options, error } = parseListing({
+    sort: state.sort,
+    order: state.order,
+    foldersFirst: String(state.foldersFirst),
+    limit: String(state.limit),
+  });
+  if (error) {
+    return null;
+  }
+
+  return {
+    parentId: typeof state.parentId === 'string' ? state.parentId : 0,
+    workspaceId: typeof state.workspaceId === 'string' ? state.workspaceId : null,
+    ...options,
+    after,
+  };
+}
+
+/**
+ * Builds the filter selecting the items after a cursor position
+ *
+ * Items come after the position if their sort field is past its value,
+ * or equal to it with a later _id. Missing values (the size of folders)
+ * sort as null: first in ascending order, last in descending order.
+ *
+ * @param {Object} options - Listing options
+ * @param {Object} after - Position decoded from a cursor
+ * @returns {Object} - Filter on the files collection
+ */
+function afterFilter(options, after) {
+  const operator = options.order === 'desc' ? '$lt' : '$gt';
+  const idFilter = { _id: { [operator]: ObjectId(after.id) } };
+  const field = SORT_FIELDS[options.sort];
+  if (!field) {
+    return idFilter;
+  }
+
+  const value = after.value === undefined ? null : after.value;
+  const beyond = [];
+  if (value === null) {
+    if (operator === '$gt') {
+      beyond.push({ [field]: { $ne: null } });
+    }
+  } else {
+    beyond.push({ [field]: { [operator]: value } });
+    if (operator === '$lt') {
+      beyond.push({ [field]: null });
+    }
+  }
+
+  return { $or: [...beyond, { [field]: value, ...idFilter }] };
+}
+
+/**
+ * Reads one page of files in the order of the listing options
+ *
+ * @param {Object} collection - The files collection
+ * @param {Object} query - Filter selecting the files to list
+ * @param {Object} options - Listing options from parseListing
+ * @param {Object} position - after (decoded cursor position), skip and limit
+ * @returns {Promise<Array>} - The file documents
+ */
+function readPage(collection, query, options, { after, skip, limit }) {
+  const direction = options.order === 'desc' ? -1 : 1;
+  const field = SORT_FIELDS[options.sort];
+  const sort = field ? { [field]: direction, _id: direction } : { _id: direction };
+  const filter = after ? { $and: [query, afterFilter(options, after)] } : query;
+
+  return collection.find(filter).sort(sort).skip(skip).limit(limit)
+    .toArray();
+}
+
+/**
+ * Finds one page of files
+ *
+ * Files are sorted on stored fields, so pages are read from the
+ * compound indexes instead of sorting whole folders in memory. With
+ * foldersFirst, the folders are read first and the other files after
+ * them, as two separate queries.
+ *
+ * @param {Object} collection - The files collection
+ * @param {Object} query - Filter selecting the files to list
+ * @param {Object} options - Listing options from parseListing
+ * @param {Object} position - after (decoded cursor position) or skip
+ * @returns {Promise<Array>} - The file documents
+ */
+export async function findPage(collection, query, options, { after, skip = 0 }) {
+  const { limit } = options;
+  if (!options.foldersFirst) {
+    return readPage(collection, query, options, { after, skip, limit });
+  }
+
+  const folderQuery = { ...query, type: 'folder' };
+  let folders = [];
+  if (!after || after.folder === 0) {
+    folders = await readPage(collection, folderQuery, options, { after, skip, limit });
+    if (folders.length === limit) {
+      return folders;
+    }
+  }
+
+  // Pages by number may start among the files, past all the folders
+  let fileSkip = 0;
+  if (skip > 0 && folders.length === 0) {
+    fileSkip = Math.max(skip - await collection.countDocuments(folderQuery), 0);
+  }
+
+  const files = await readPage(collection, { ...query, type: { $ne: 'folder' } }, options, {
+    after: after && after.folder === 1 ? after : null,
+    skip: fileSkip,
+    limit: limit - folders.length,
+  });
+  return folders.concat(files);
+}
@@ -0,0 +1,120 @@
+// utils/password.mjs
+import crypto from 'crypto';
+import { promisify } from 'util';
+import sha1 from 'sha1';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * CPU and memory cost of scrypt for new hashes, a power of 2
+ *
+ * Hashes keep the cost they were created with, so it can be raised
+ * without invalidating stored passwords.
+ */
+export const PASSWORD_HASH_COST = parseInt(process.env.PASSWORD_HASH_COST || 16384, 10);
+
+// Length in bytes of the random salt and of the derived key
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Derives a key from a password with scrypt
+ *
+ * @param {string} password - The password in clear
+ * @param {Buffer} salt - The salt
+ * @param {number} length - Length of the key in bytes
+ * @param {number} cost - scrypt cost parameter (N)
+ * @returns {Promise<Buffer>} - The derived key
+ */
+function deriveKey(password, salt, length, cost) {
+  // scrypt needs about 128 * N * r bytes (r is 8); leave room above it
+  return scrypt(String(password), salt, length, { N: cost, maxmem: 256 * cost * 8 });
+}
+
+/**
+ * Splits a hash returned by hashPassword into its parts
+ *
+ * @param {string} hash - The stored hash
+ * @returns {Object|null} - cost, salt and key, or null if not a scrypt hash
+ */
+function parseHash(hash) {
+  const parts = String(hash).split('$');
+  if (parts[0] !== 'scrypt' || parts.length !== 4) {
+    return null;
+  }
+
+  const [, costPart, salt, key] = parts;
+  const cost = parseInt(costPart, 10);
+  if (!Number.isInteger(cost) || cost < 2 || !salt || !key) {
+    return null;
+  }
+
+  return {
+    cost,
+    salt: Buffer.from(salt, 'hex'),
+    key: Buffer.from(key, 'hex'),
+  };
+}
+
+/**
+ * Hashes a password with scrypt and a random salt
+ *
+ * @param {string} password - The password in clear
+ * @returns {Promise<string>} - `scrypt$<cost>$<salt>$<key>`, hex-encoded
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(password, salt, KEY_LENGTH, PASSWORD_HASH_COST);
+  return `scrypt$${PASSWORD_HASH_COST}$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash returned by hashPassword
+ *
+ * The unsalted SHA1 hashes that user passwords used to be stored with
+ * are still accepted, until needsRehash replaces them.
+ *
+ * @param {string} password - The password in clear
+ * @param {string} hash - The stored hash
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+export async function verifyPassword(password, hash) {
+  if (/^[0-9a-f]{40}$/.test(String(hash))) {
+    return crypto.timingSafeEqual(Buffer.from(sha1(String(password))), Buffer.from(hash));
+  }
+
+  const parsed = parseHash(hash);
+  if (!parsed || parsed.key.length === 0) {
+    return false;
+  }
+
+  const key = await deriveKey(password, parsed.salt, parsed.key.length, parsed.cost);
+  return crypto.timingSafeEqual(key, parsed.key);
+}
+
+/**
+ * Tells whether a hash should be replaced after a successful check
+ *
+ * Legacy SHA1 hashes and hashes with another cost than the current one
+ * are rehashed, so stored passwords migrate as users sign in.
+ *
+ * @param {string} hash - The stored hash
+ * @returns {boolean} - True if the password should be hashed again
+ */
+export function needsRehash(hash) {
+  const parsed = parseHash(hash);
+  return !parsed || parsed.cost !== PASSWORD_HASH_COST;
+}
+
+/**
+ * Returns the SHA-256 hash of a random token, as stored in the database
+ *
+ * Tokens are long and random, so a fast hash is enough to keep them
+ * unusable if the database leaks.
+ *
+ * @param {string} token - The token
+ * @returns {string} - Hexadecimal hash
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
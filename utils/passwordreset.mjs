@@ -0,0 +1,66 @@
+// utils/passwordreset.mjs
+import crypto from 'crypto';
+import redisClient from './redis';
+import { hashToken } from './password';
+import { sendMail } from './mail';
+
+/**
+ * Number of seconds a password reset token stays valid
+ */
+export const RESET_TOKEN_TTL = parseInt(process.env.RESET_TOKEN_TTL || 3600, 10);
+
+/**
+ * Creates a password reset token for a user
+ *
+ * Only the hash of the token is kept, in `reset_<hash>`.
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<string>} - The token
+ */
+export async function createResetToken(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await redisClient.set(`reset_${hashToken(token)}`, userId, RESET_TOKEN_TTL);
+  return token;
+}
+
+/**
+ * Uses up a password reset token
+ *
+ * @param {string} token - The token
+ * @returns {Promise<string|null>} - The user ID, or null if expired, unknown or used
+ */
+export async function consumeResetToken(token) {
+  const key = `reset_${hashToken(token)}`;
+  const userId = await redisClient.get(key);
+
+  // Only the request deleting the key gets to use the token
+  if (!userId || await redisClient.del(key) !== 1) {
+    return null;
+  }
+  return userId;
+}
+
+/**
+ * Sends a password reset token to a user
+ *
+ * The link points to PASSWORD_RESET_URL when set, otherwise the token
+ * is given as is.
+ *
+ * @param {Object} user - User document
+ * @param {string} token - The token
+ * @returns {Promise<void>}
+ */
+export async function sendResetToken(user, token) {
+  const minutes = Math.round(RESET_TOKEN_TTL / 60);
+  const url = process.env.PASSWORD_RESET_URL;
+  const instructions = url
+    ? `Open this link to choose a new password:\n${url}?token=${encodeURIComponent(token)}`
+    : `Use this token to choose a new password:\n${token}`;
+
+  await sendMail(
+    user.email,
+    'Reset your password',
+    `${instructions}\n\nIt expires in ${minutes} minutes and can only be used once. `
+      + 'If you did not ask to reset your password, ignore this message.',
+  );
+}
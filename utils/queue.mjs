@@ -0,0 +1,87 @@
+// utils/queue.mjs
+import Queue from 'bull';
+
+/**
+ * Thumbnail widths (in pixels) generated for every image upload
+ */
+export const THUMBNAIL_SIZES = [500, 250, 100];
+
+// Number of attempts (and the base backoff delay in ms) for thumbnail jobs
+const THUMBNAIL_ATTEMPTS = parseInt(process.env.THUMBNAIL_ATTEMPTS || 3, 10);
+const THUMBNAIL_BACKOFF = parseInt(process.env.THUMBNAIL_BACKOFF || 5000, 10);
+
+/**
+ * Bull queue consumed by worker.js to generate image thumbnails
+ */
+export const fileQueue = new Queue('fileQueue');
+
+/**
+ * Bull queue consumed by worker.js to copy large folder trees
+ */
+export const copyQueue = new Queue('copyQueue');
+
+/**
+ * Bull queue consumed by worker.js to extract uploaded ZIP archives
+ */
+export const extractQueue = new Queue('extractQueue');
+
+/**
+ * Bull queue consumed by worker.js to send the welcome email of new users
+ */
+export const userQueue = new Queue('userQueue');
+
+/**
+ * Bull queue for periodic clean-up jobs scheduled by worker.js
+ */
+export const maintenanceQueue = new Queue('maintenanceQueue');
+
+/**
+ * Returns the initial thumbnail status stored on a new image document
+ *
+ * @returns {Object} - Map of thumbnail width to 'pending'
+ */
+export function pendingThumbnails() {
+  return THUMBNAIL_SIZES.reduce((statuses, size) => ({
+    ...statuses,
+    [size]: 'pending',
+  }), {});
+}
+
+/**
+ * Adds a thumbnail generation job for an image to the file queue
+ *
+ * Failed jobs are retried with an exponential backoff before the worker
+ * marks the remaining thumbnails as failed.
+ *
+ * @param {string} userId - ID of the owner of the image
+ * @param {string} fileId - ID of the image document
+ * @returns {Promise<Object>} - The created Bull job
+ */
+export function addThumbnailJob(userId, fileId) {
+  return fileQueue.add(
+    { userId: userId.toString(), fileId: fileId.toString() },
+    {
+      attempts: THUMBNAIL_ATTEMPTS,
+      backoff: { type: 'exponential', delay: THUMBNAIL_BACKOFF },
+      removeOnComplete: true,
+    },
+  );
+}
+
+/**
+ * Adds a job sending the welcome email, with its verification link, to
+ * a user
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object>} - The created Bull job
+ */
+export function addWelcomeJob(userId) {
+  return userQueue.add(
+    { userId: userId.toString() },
+    {
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 60000 },
+      removeOnComplete: true,
+    },
+  );
+}
@@ -0,0 +1,161 @@
+// utils/quota.mjs
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+
+/**
+ * Default number of bytes a user can store; 0 means unlimited
+ *
+ * A `quota` field on a user document overrides it for that user.
+ */
+export const USER_QUOTA = parseInt(process.env.USER_QUOTA || 1073741824, 10);
+
+/**
+ * Default number of bytes a workspace can store; 0 means unlimited
+ *
+ * A `quota` field on a workspace document overrides it for that workspace.
+ */
+export const WORKSPACE_QUOTA = parseInt(process.env.WORKSPACE_QUOTA || 10737418240, 10);
+
+// Bytes held by a file document: its content and its previous versions
+const SIZE_EXPRESSION = {
+  $add: [{ $ifNull: ['$size', 0] }, { $sum: '$versions.size' }],
+};
+
+// True for documents in the trash
+const TRASHED_EXPRESSION = { $gt: [{ $ifNull: ['$deletedAt', null] }, null] };
+
+/**
+ * Returns the quota of a user or workspace
+ *
+ * Files belong to a user or to a workspace, and both have their own
+ * quota; the functions below take the ID of either.
+ *
+ * @param {string} userId - ID of the user or workspace
+ * @returns {Promise<number>} - Quota in bytes, 0 when unlimited
+ */
+export async function getQuota(userId) {
+  const user = await dbClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+  if (user) {
+    return typeof user.quota === 'number' ? user.quota : USER_QUOTA;
+  }
+
+  const workspace = await dbClient.db.collection('workspaces').findOne({ _id: ObjectId(userId) });
+  if (workspace) {
+    return typeof workspace.quota === 'number' ? workspace.quota : WORKSPACE_QUOTA;
+  }
+  return USER_QUOTA;
+}
+
+/**
+ * Returns the number of bytes stored by a user or workspace
+ *
+ * Every version of every file counts, including items in the trash,
+ * until they are purged. Content shared with other files counts for
+ * each of them.
+ *
+ * @param {string} userId - ID of the user or workspace
+ * @returns {Promise<number>} - Number of bytes
+ */
+export async function getUsedBytes(userId) {
+  const [result] = await dbClient.db.collection('files').aggregate([
+    { $match: { userId: ObjectId(userId) } },
+    { $group: { _id: null, size: { $sum: SIZE_EXPRESSION } } },
+  ]).toArray();
+  return result ? result.size : 0;
+}
+
+/**
+ * Returns the number of bytes a user or workspace can still store
+ *
+ * @param {string} userId - ID of the user or workspace
+ * @returns {Promise<number>} - Number of bytes, Infinity when unlimited
+ */
+export async function getAvailableSpace(userId) {
+  const quota = await getQuota(userId);
+  if (!quota) {
+    return Infinity;
+  }
+  return Math.max(quota - await getUsedBytes(userId), 0);
+}
+
+/**
+ * Checks whether a user or workspace can store more bytes within its quota
+ *
+ * @param {string} userId - ID of the user or workspace
+ * @param {number} size - Number of bytes to add
+ * @returns {Promise<boolean>} - True if the bytes fit in the quota
+ */
+export async function hasSpace(userId, size) {
+  return size <= await getAvailableSpace(userId);
+}
+
+/**
+ * Computes the storage usage of a user or workspace, by type and by folder
+ *
+ * Folder sizes include their sub-folders. Items in the trash are only
+ * counted in the trash total.
+ *
+ * @param {string} userId - ID of the user or workspace
+ * @returns {Promise<Object>} - used, quota, available, byType, byFolder and trash
+ */
+export async function getUsage(userId) {
+  const groups = await dbClient.db.collection('files').aggregate([
+    { $match: { userId: ObjectId(userId) } },
+    {
+      $group: {
+        _id: { type: '$type', parentId: '$parentId', trashed: TRASHED_EXPRESSION },
+        size: { $sum: SIZE_EXPRESSION },
+        count: { $sum: 1 },
+      },
+    },
+  ]).toArray();
+
+  const folders = await dbClient.db.collection('files').find(
+    { userId: ObjectId(userId), type: 'folder', deletedAt: null },
+    { projection: { name: 1, parentId: 1 } },
+  ).toArray();
+  const foldersById = new Map(folders.map((folder) => [folder._id.toString(), {
+    id: folder._id.toString(),
+    name: folder.name,
+    parentId: folder.parentId,
+    size: 0,
+    count: 0,
+  }]));
+
+  let used = 0;
+  const byType = {};
+  const trash = { size: 0, count: 0 };
+
+  groups.forEach(({ _id: group, size, count }) => {
+    used += size;
+    if (group.trashed) {
+      trash.size += size;
+      trash.count += count;
+      return;
+    }
+
+    byType[group.type] = byType[group.type] || { size: 0, count: 0 };
+    byType[group.type].size += size;
+    byType[group.type].count += count;
+
+    // Add the group to its folder and to every folder above it
+    const visited = new Set();
+    let folder = foldersById.get(String(group.parentId));
+    while (folder && !visited.has(folder.id)) {
+      visited.add(folder.id);
+      folder.size += size;
+      folder.count += count;
+      folder = foldersById.get(String(folder.parentId));
+    }
+  });
+
+  const quota = await getQuota(userId);
+  return {
+    used,
+    quota: quota || null,
+    available: quota ? Math.max(quota - used, 0) : null,
+    byType,
+    byFolder: [...foldersById.values()].sort((a, b) => b.size - a.size),
+    trash,
+  };
+}
@@ -0,0 +1,217 @@
+// utils/ratelimit.mjs
+import redisClient from './redis';
+import { hashToken } from './password';
+
+/**
+ * Request limits by route group: number of requests allowed per window
+ * of seconds, counted both per IP address and per account
+ */
+export const RATE_LIMITS = {
+  // Every request
+  api: {
+    limit: parseInt(process.env.RATE_LIMIT_API || 600, 10),
+    window: parseInt(process.env.RATE_LIMIT_API_WINDOW || 60, 10),
+  },
+  // Routes storing new content, also counted as api
+  upload: {
+    limit: parseInt(process.env.RATE_LIMIT_UPLOAD || 60, 10),
+    window: parseInt(process.env.RATE_LIMIT_UPLOAD_WINDOW || 60, 10),
+  },
+  // Sign-in and password reset routes, also counted as api
+  auth: {
+    limit: parseInt(process.env.RATE_LIMIT_AUTH || 20, 10),
+    window: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW || 60, 10),
+  },
+};
+
+/**
+ * Failed sign-ins allowed for an email before GET /connect is locked for it
+ */
+export const CONNECT_MAX_FAILURES = parseInt(process.env.CONNECT_MAX_FAILURES || 5, 10);
+
+/**
+ * Failed sign-ins allowed from an IP address before GET /connect is
+ * locked for it
+ */
+export const CONNECT_MAX_IP_FAILURES = parseInt(process.env.CONNECT_MAX_IP_FAILURES || 50, 10);
+
+// Number of seconds failed attempts are remembered after the last one
+const FAILURE_WINDOW = 15 * 60;
+
+// First lockout in seconds, doubled by each further failure up to the maximum
+const LOCKOUT_BASE = 30;
+const LOCKOUT_MAX = 60 * 60;
+
+/**
+ * Counts a hit on a counter expiring at the end of its window
+ *
+ * @param {string} key - The key of the counter
+ * @param {number} window - Length of the window in seconds
+ * @returns {Promise<Object>} - count of hits and seconds left (reset)
+ */
+async function hit(key, window) {
+  const count = await redisClient.incr(key);
+
+  // Also covers a counter left without expiration by an interrupted request
+  let reset = await redisClient.ttl(key);
+  if (reset < 0) {
+    await redisClient.expire(key, window);
+    reset = window;
+  }
+
+  return { count, reset };
+}
+
+/**
+ * Returns who a request is counted for, besides its IP address
+ *
+ * Tokens and API keys are hashed, and not checked: an invalid one is
+ * refused by the route anyway.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Account identifier, or null for anonymous requests
+ */
+function getAccountKey(req) {
+  const { authorization } = req.headers;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return `key_${hashToken(authorization.slice(7))}`;
+  }
+
+  const token = req.headers['x-token'];
+  return token ? `token_${hashToken(token)}` : null;
+}
+
+/**
+ * Returns a middleware limiting the requests of a route group
+ *
+ * Requests are counted per IP address and, when authenticated, per
+ * token or API key, in fixed windows. Responses carry the
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers of
+ * the counter closest to its limit; requests over the limit get a 429
+ * with a Retry-After header.
+ *
+ * @param {string} group - Name of the limit in RATE_LIMITS
+ * @returns {Function} - Express middleware
+ */
+export function rateLimit(group) {
+  const { limit, window } = RATE_LIMITS[group];
+
+  return async (req, res, next) => {
+    try {
+      const keys = [`rate_${group}_ip_${req.ip}`];
+      const account = getAccountKey(req);
+      if (account) {
+        keys.push(`rate_${group}_${account}`);
+      }
+
+      const hits = await Promise.all(keys.map((key) => hit(key, window)));
+      const closest = hits.reduce((a, b) => (b.count > a.count ? b : a));
+
+      res.set({
+        'RateLimit-Limit': limit,
+        'RateLimit-Remaining': Math.max(limit - closest.count, 0),
+        'RateLimit-Reset': closest.reset,
+      });
+
+      const exceeded = hits.filter(({ count }) => count > limit);
+      if (exceeded.length > 0) {
+        res.set('Retry-After', Math.max(...exceeded.map(({ reset }) => reset)));
+        return res.status(429).json({ error: 'Too many requests' });
+      }
+
+      return next();
+    } catch (error) {
+      // Requests aren't refused because Redis is unavailable
+      console.error(`Rate limiting error: ${error.message}`);
+      return next();
+    }
+  };
+}
+
+/**
+ * Returns how long attempts are still locked for any of some counters
+ *
+ * @param {Array} keys - Keys of the failure counters
+ * @returns {Promise<number>} - Seconds left, 0 if not locked
+ */
+export async function getLockout(keys) {
+  const ttls = await Promise.all(keys.map((key) => redisClient.ttl(`lock_${key}`)));
+  return Math.max(0, ...ttls);
+}
+
+/**
+ * Records a failed attempt, locking further attempts once too many failed
+ *
+ * Each counter is locked once it reaches its maximum; each further
+ * failure doubles the lockout, from LOCKOUT_BASE up to LOCKOUT_MAX
+ * seconds. Failures are forgotten FAILURE_WINDOW seconds after the last.
+ *
+ * @param {Array} counters - key and max (failures allowed) of each counter
+ * @returns {Promise<number>} - Seconds the attempts are now locked, 0 if not
+ */
+export async function recordFailure(counters) {
+  const lockouts = await Promise.all(counters.map(async ({ key, max }) => {
+    const failures = await redisClient.incr(key);
+    await redisClient.expire(key, FAILURE_WINDOW);
+    if (failures < max) {
+      return 0;
+    }
+
+    const lockout = Math.min(LOCKOUT_BASE * 2 ** (failures - max), LOCKOUT_MAX);
+    await redisClient.set(`lock_${key}`, failures, lockout);
+    return lockout;
+  }));
+
+  return Math.max(...lockouts);
+}
+
+/**
+ * Returns the keys of the sign-in counters of an email and IP address
+ *
+ * @param {string} email - Email of the sign-in attempt
+ * @param {string} ip - IP address of the request
+ * @returns {Object} - email and ip keys
+ */
+function connectKeys(email, ip) {
+  return {
+    email: `connect_email_${hashToken(String(email).toLowerCase())}`,
+    ip: `connect_ip_${ip}`,
+  };
+}
+
+/**
+ * Returns how long sign-ins are still locked for an email or IP address
+ *
+ * @param {string} email - Email of the sign-in attempt
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<number>} - Seconds left, 0 if not locked
+ */
+export async function getConnectLockout(email, ip) {
+  const keys = connectKeys(email, ip);
+  return getLockout([keys.email, keys.ip]);
+}
+
+/**
+ * Records a failed sign-in for an email and IP address
+ *
+ * @param {string} email - Email of the sign-in attempt
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<number>} - Seconds the sign-ins are now locked, 0 if not
+ */
+export async function recordConnectFailure(email, ip) {
+  const keys = connectKeys(email, ip);
+  return recordFailure([
+    { key: keys.email, max: CONNECT_MAX_FAILURES },
+    { key: keys.ip, max: CONNECT_MAX_IP_FAILURES },
+  ]);
+}
+
+/**
+ * Forgets the failed sign-ins of an email after a successful one
+ *
+ * @param {string} email - Email of the user
+ * @returns {Promise<void>}
+ */
+export async function clearConnectFailures(email) {
+  await redisClient.del(connectKeys(email, '').email);
+}
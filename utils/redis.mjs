@@ -29,7 +29,15 @@ class RedisClient {
     // Promisify Redis methods to work with modern async/await syntax
     this.getAsync = promisify(this.client.get).bind(this.client);
     this.setexAsync = promisify(this.client.setex).bind(this.client);
+    this.setAsync = promisify(this.client.set).bind(this.client);
     this.delAsync = promisify(this.client.del).bind(this.client);
+    this.expireAsync = promisify(this.client.expire).bind(this.client);
+    this.saddAsync = promisify(this.client.sadd).bind(this.client);
+    this.sremAsync = promisify(this.client.srem).bind(this.client);
+    this.smembersAsync = promisify(this.client.smembers).bind(this.client);
+    this.incrAsync = promisify(this.client.incr).bind(this.client);
+    this.incrbyAsync = promisify(this.client.incrby).bind(this.client);
+    this.ttlAsync = promisify(this.client.ttl).bind(this.client);
   }
 
   /**
@@ -63,6 +71,21 @@ class RedisClient {
     return this.setexAsync(key, duration, value);
   }
 
+  /**
+   * Stores a value with automatic expiration only if the key does not exist
+   *
+   * Useful as a simple lock shared between server instances.
+   *
+   * @param {string} key - The key under which to store the value
+   * @param {*} value - The value to store
+   * @param {number} duration - Time in seconds before the key expires
+   * @returns {Promise<boolean>} - True if the value was stored
+   */
+  async setIfAbsent(key, value, duration) {
+    const reply = await this.setAsync(key, value, 'EX', duration, 'NX');
+    return reply === 'OK';
+  }
+
   /**
    * Removes a value from Redis
    *
@@ -72,6 +95,80 @@ class RedisClient {
   async del(key) {
     return this.delAsync(key);
   }
+
+  /**
+   * Sets a new expiration on a key
+   *
+   * @param {string} key - The key
+   * @param {number} duration - Time in seconds before the key expires
+   * @returns {Promise<number>} - 1 if the key exists, 0 otherwise
+   */
+  async expire(key, duration) {
+    return this.expireAsync(key, duration);
+  }
+
+  /**
+   * Adds a member to a set
+   *
+   * @param {string} key - The key of the set
+   * @param {string} member - The member to add
+   * @returns {Promise<number>} - 1 if the member was added, 0 if already present
+   */
+  async sadd(key, member) {
+    return this.saddAsync(key, member);
+  }
+
+  /**
+   * Removes a member from a set
+   *
+   * @param {string} key - The key of the set
+   * @param {string} member - The member to remove
+   * @returns {Promise<number>} - 1 if the member was removed, 0 otherwise
+   */
+  async srem(key, member) {
+    return this.sremAsync(key, member);
+  }
+
+  /**
+   * Retrieves the members of a set
+   *
+   * @param {string} key - The key of the set
+   * @returns {Promise<Array>} - The members, empty if the set doesn't exist
+   */
+  async smembers(key) {
+    return this.smembersAsync(key);
+  }
+
+  /**
+   * Increments a counter, created at 0 if missing (without expiration)
+   *
+   * @param {string} key - The key of the counter
+   * @returns {Promise<number>} - The new value
+   */
+  async incr(key) {
+    return this.incrAsync(key);
+  }
+
+  /**
+   * Adds an amount to a counter, created at 0 if missing (without expiration)
+   *
+   * @param {string} key - The key of the counter
+   * @param {number} amount - The amount to add
+   * @returns {Promise<number>} - The new value
+   */
+  async incrby(key, amount) {
+    return this.incrbyAsync(key, amount);
+  }
+
+  /**
+   * Returns the time left before a key expires
+   *
+   * @param {string} key - The key
+   * @returns {Promise<number>} - Seconds left, -1 without expiration, -2 if missing
+   */
+  async ttl(key) {
+    return this.ttlAsync(key);
+  }
 }
 
 // Create a singleton instance of RedisClient to be used throughout the application
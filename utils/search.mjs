@@ -0,0 +1,166 @@
+// utils/search.mjs
+import { ObjectId } from 'mongodb';
+import mime from 'mime-types';
+
+// Parameters of GET /files/search; each must be given at most once
+const SEARCH_PARAMS = [
+  'q', 'name', 'prefix', 'type', 'mime', 'isPublic',
+  'minSize', 'maxSize', 'createdAfter', 'createdBefore',
+];
+
+/**
+ * Escapes a string to match it literally in a regular expression
+ *
+ * @param {string} value - The string to escape
+ * @returns {string} - The escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the file extensions of a MIME type
+ *
+ * A type ending with `/*` (e.g. `image/*`) matches every subtype.
+ *
+ * @param {string} type - The MIME type
+ * @returns {Array} - Extensions without the dot, empty for unknown types
+ */
+function mimeExtensions(type) {
+  const lowerType = type.toLowerCase();
+  if (lowerType.endsWith('/*')) {
+    const prefix = lowerType.slice(0, -1);
+    return Object.keys(mime.extensions)
+      .filter((name) => name.startsWith(prefix))
+      .reduce((all, name) => all.concat(mime.extensions[name]), []);
+  }
+  return mime.extensions[lowerType] || [];
+}
+
+/**
+ * Converts a date parameter to the smallest ObjectId created at that time
+ *
+ * ObjectIds start with their creation time in seconds, so creation
+ * dates can be filtered on _id.
+ *
+ * @param {string} value - Date in a format understood by Date.parse
+ * @returns {ObjectId|null} - The ObjectId, or null if the date is invalid
+ */
+function dateToObjectId(value) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time) || time < 0) {
+    return null;
+  }
+  return ObjectId.createFromTime(Math.floor(time / 1000));
+}
+
+/**
+ * Parses a size parameter
+ *
+ * @param {string} value - The parameter value
+ * @returns {number|null} - The size in bytes, or null if invalid
+ */
+function parseSize(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Builds the database query for GET /files/search
+ *
+ * Supported parameters:
+ * - q: full words searched with the text index on names
+ * - name: case-insensitive substring of the name
+ * - prefix: case-insensitive start of the name
+ * - type: folder, file or image
+ * - mime: MIME type matched on the name extension, such as image/png or image/*
+ * - isPublic: true or false
+ * - minSize, maxSize: size range in bytes, inclusive
+ * - createdAfter, createdBefore: creation date range (second precision)
+ *
+ * @param {string} userId - ID of the user whose files are searched
+ * @param {Object} params - Query string parameters
+ * @returns {Object} - query for the files collection, or error message
+ */
+export function buildSearchQuery(userId, params) {
+  // Repeated parameters arrive as arrays, and nested ones as objects
+  const invalid = SEARCH_PARAMS.find((param) => (
+    params[param] !== undefined && typeof params[param] !== 'string'
+  ));
+  if (invalid) {
+    return { error: `Invalid ${invalid}` };
+  }
+
+  const query = {
+    userId: ObjectId(userId),
+    deletedAt: null,
+  };
+  const nameFilters = [];
+
+  if (params.q) {
+    query.$text = { $search: params.q };
+  }
+
+  if (params.name) {
+    nameFilters.push({ $regex: escapeRegExp(params.name), $options: 'i' });
+  }
+
+  if (params.prefix) {
+    nameFilters.push({ $regex: `^${escapeRegExp(params.prefix)}`, $options: 'i' });
+  }
+
+  if (params.type) {
+    if (!['folder', 'file', 'image'].includes(params.type)) {
+      return { error: 'Invalid type' };
+    }
+    query.type = params.type;
+  }
+
+  if (params.mime) {
+    const extensions = mimeExtensions(params.mime);
+    if (extensions.length === 0) {
+      return { error: 'Invalid mime' };
+    }
+    nameFilters.push({ $regex: `\\.(${extensions.map(escapeRegExp).join('|')})$`, $options: 'i' });
+  }
+
+  if (params.isPublic !== undefined) {
+    if (!['true', 'false'].includes(params.isPublic)) {
+      return { error: 'Invalid isPublic' };
+    }
+    query.isPublic = params.isPublic === 'true';
+  }
+
+  if (params.minSize !== undefined || params.maxSize !== undefined) {
+    query.size = {};
+    for (const [param, operator] of [['minSize', '$gte'], ['maxSize', '$lte']]) {
+      if (params[param] !== undefined) {
+        const size = parseSize(params[param]);
+        if (size === null) {
+          return { error: `Invalid ${param}` };
+        }
+        query.size[operator] = size;
+      }
+    }
+  }
+
+  if (params.createdAfter !== undefined || params.createdBefore !== undefined) {
+    query._id = {};
+    for (const [param, operator] of [['createdAfter', '$gte'], ['createdBefore', '$lt']]) {
+      if (params[param] !== undefined) {
+        const id = dateToObjectId(params[param]);
+        if (!id) {
+          return { error: `Invalid ${param}` };
+        }
+        query._id[operator] = id;
+      }
+    }
+  }
+
+  if (nameFilters.length > 0) {
+    query.$and = nameFilters.map((filter) => ({ name: filter }));
+  }
+
+  return { query };
+}
+
+export default buildSearchQuery;
@@ -0,0 +1,180 @@
+// utils/send.mjs
+import fresh from 'fresh';
+import mime from 'mime-types';
+import parseRange from 'range-parser';
+import { THUMBNAIL_SIZES } from './queue';
+import { locate, thumbnailKey } from './storage';
+
+/**
+ * Builds a weak ETag from the size and modification date of a content
+ *
+ * @param {Object} stats - size and lastModified, as returned by storage drivers
+ * @returns {string} - The ETag header value
+ */
+export function statEtag(stats) {
+  return `W/"${stats.size.toString(16)}-${stats.lastModified.getTime().toString(16)}"`;
+}
+
+/**
+ * Checks whether the If-Range header allows a partial response
+ *
+ * @param {Object} req - Express request object
+ * @param {string} etag - Current ETag of the content
+ * @param {Date} lastModified - Current modification date of the content
+ * @returns {boolean} - True if the Range header can be honored
+ */
+function isRangeFresh(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+
+  // Weak ETags never match in If-Range
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !etag.startsWith('W/') && ifRange === etag;
+  }
+
+  return Date.parse(ifRange) >= Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+/**
+ * Streams content to the client with HTTP caching and Range support
+ *
+ * Sets Content-Type, Content-Length, Accept-Ranges, ETag and
+ * Last-Modified, answers conditional requests (If-None-Match,
+ * If-Modified-Since) with 304, and a single byte range with 206 or 416.
+ * Requests for several ranges get the whole content.
+ *
+ * The optional beforeSend hook is called once the content is about to
+ * be sent (not for 304 and 416 responses) with the size of the content
+ * and the byte range sent. It resolves to null to go on, or to the
+ * status and error message of a response refusing the request.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} content - size, lastModified, etag, contentType, and
+ *   createReadStream({ start, end }) resolving to a stream of the content
+ * @param {Function} beforeSend - Optional hook, see above
+ * @returns {Promise<Object>} - The Express response
+ */
+export async function sendContent(req, res, content, beforeSend = null) {
+  const {
+    size, lastModified, etag, contentType, createReadStream,
+  } = content;
+  const cacheHeaders = { ETag: etag, 'Last-Modified': lastModified.toUTCString() };
+
+  // The client already has this version of the content
+  if (fresh(req.headers, { etag, 'last-modified': cacheHeaders['Last-Modified'] })) {
+    return res.set(cacheHeaders).status(304).end();
+  }
+
+  let start = 0;
+  let end = size - 1;
+  let partial = false;
+
+  if (req.headers.range && isRangeFresh(req, etag, lastModified)) {
+    const ranges = parseRange(size, req.headers.range, { combine: true });
+
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Range not satisfiable' });
+    }
+
+    // Malformed headers and multiple ranges are ignored
+    if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+      [{ start, end }] = ranges;
+      partial = true;
+    }
+  }
+
+  if (beforeSend) {
+    const refusal = await beforeSend({ size, start, end });
+    if (refusal) {
+      return res.status(refusal.status).json({ error: refusal.error });
+    }
+  }
+
+  res.set({ 'Accept-Ranges': 'bytes', ...cacheHeaders });
+  res.status(partial ? 206 : 200);
+  if (partial) {
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+
+  if (req.method === 'HEAD' || size === 0) {
+    return res.end();
+  }
+
+  let stream;
+  try {
+    stream = await createReadStream({ start, end });
+  } catch (error) {
+    console.error(`Error opening file: ${error.message}`);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  stream.on('error', (error) => {
+    console.error(`Error streaming file: ${error.message}`);
+    res.destroy(error);
+  });
+  return stream.pipe(res);
+}
+
+/**
+ * Streams stored content, with Range and conditional requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} name - File name, used for the MIME type
+ * @param {Object} location - driver and key of the content
+ * @param {string|null} checksum - Checksum of the content, used as ETag
+ * @param {Function} beforeSend - Optional hook, as in sendContent
+ * @returns {Promise<Object>} - The Express response
+ */
+export async function sendStoredContent(req, res, name, location, checksum, beforeSend = null) {
+  // Check if the content exists in its storage
+  const stats = location && await location.driver.stat(location.key);
+  if (!stats) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  // Stream the content with the MIME type based on the file name
+  return sendContent(req, res, {
+    size: stats.size,
+    lastModified: stats.lastModified,
+    etag: checksum ? `"${checksum}"` : statEtag(stats),
+    contentType: mime.lookup(name) || 'application/octet-stream',
+    createReadStream: (range) => location.driver.createReadStream(location.key, range),
+  }, beforeSend);
+}
+
+/**
+ * Streams the content of a file document, as for GET /files/:id/data
+ *
+ * For images, the size query parameter (one of THUMBNAIL_SIZES) selects
+ * a thumbnail instead of the original content.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} file - File document, not a folder
+ * @param {Function} beforeSend - Optional hook, as in sendContent
+ * @returns {Promise<Object>} - The Express response
+ */
+export async function sendFileContent(req, res, file, beforeSend = null) {
+  const location = locate(file);
+  const { size } = req.query;
+  if (size && file.type === 'image') {
+    // Exact match only: parseInt would accept values such as 500abc
+    if (!THUMBNAIL_SIZES.map(String).includes(size)) {
+      return res.status(400).json({ error: 'Invalid size parameter' });
+    }
+
+    // Thumbnails have no checksum; their ETag is built from their stats
+    const thumbnail = location
+      && { driver: location.driver, key: thumbnailKey(location.key, size) };
+    return sendStoredContent(req, res, file.name, thumbnail, null, beforeSend);
+  }
+
+  return sendStoredContent(req, res, file.name, location, file.checksum, beforeSend);
+}
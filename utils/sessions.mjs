@@ -0,0 +1,169 @@
+// utils/sessions.mjs
+import { v4 as uuidv4 } from 'uuid';
+import redisClient from './redis';
+import { hashToken } from './password';
+
+/**
+ * Number of seconds a session stays valid without being used
+ *
+ * Every authenticated request extends the session by this duration.
+ */
+export const SESSION_TTL = parseInt(process.env.SESSION_TTL || 86400, 10);
+
+// Minimum number of seconds between two updates of the last use of a session
+const TOUCH_INTERVAL = 60;
+
+/**
+ * Returns the ID of the session of a token
+ *
+ * Session IDs are listed to users and key the session in Redis, so they
+ * are hashes of the tokens: the tokens themselves are never stored.
+ *
+ * @param {string} token - The token of the session
+ * @returns {string} - The session ID
+ */
+export function getSessionId(token) {
+  return hashToken(token);
+}
+
+/**
+ * Returns the ID of the user signed in with a token
+ *
+ * Tokens issued before sessions were tracked were stored as they are,
+ * under `auth_<token>`; they are no longer accepted, so their users sign
+ * in again once.
+ *
+ * @param {string} token - The token of the session
+ * @returns {Promise<string|null>} - The user ID, or null if the session ended
+ */
+export function getSessionUserId(token) {
+  return redisClient.get(`auth_${getSessionId(token)}`);
+}
+
+/**
+ * Reads the metadata of a session
+ *
+ * @param {string} sessionId - ID of the session
+ * @returns {Promise<Object|null>} - The session, or null if it expired
+ */
+async function readSession(sessionId) {
+  const value = await redisClient.get(`session_${sessionId}`);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Opens a session for a user and returns its token
+ *
+ * The user ID is stored in `auth_<id>` and the metadata of the session
+ * in `session_<id>`, where the session ID is the hash of the token. The
+ * session ID is also added to the `sessions_<userId>` set that lists the
+ * sessions of the user.
+ *
+ * @param {string} userId - ID of the authenticated user
+ * @param {Object} req - Express request object, for the IP and user agent
+ * @returns {Promise<string>} - The token
+ */
+export async function createSession(userId, req) {
+  const token = uuidv4();
+  const id = getSessionId(token);
+  const now = new Date().toISOString();
+  const session = {
+    id,
+    userId,
+    createdAt: now,
+    lastUsedAt: now,
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+  };
+
+  await redisClient.set(`auth_${id}`, userId, SESSION_TTL);
+  await redisClient.set(`session_${id}`, JSON.stringify(session), SESSION_TTL);
+  await redisClient.sadd(`sessions_${userId}`, id);
+  await redisClient.expire(`sessions_${userId}`, SESSION_TTL);
+
+  return token;
+}
+
+/**
+ * Extends a session after it was used
+ *
+ * The last use is recorded at most once a minute, which is also when
+ * the expiration is pushed back.
+ *
+ * @param {string} token - The token of the session
+ * @param {Object} req - Express request object, for the IP and user agent
+ * @returns {Promise<void>}
+ */
+export async function touchSession(token, req) {
+  const session = await readSession(getSessionId(token));
+  if (!session || Date.now() - Date.parse(session.lastUsedAt) < TOUCH_INTERVAL * 1000) {
+    return;
+  }
+
+  session.lastUsedAt = new Date().toISOString();
+  session.ip = req.ip || session.ip;
+  session.userAgent = req.headers['user-agent'] || session.userAgent;
+
+  await redisClient.set(`session_${session.id}`, JSON.stringify(session), SESSION_TTL);
+  await redisClient.expire(`auth_${session.id}`, SESSION_TTL);
+  await redisClient.expire(`sessions_${session.userId}`, SESSION_TTL);
+}
+
+/**
+ * Lists the active sessions of a user, most recently used first
+ *
+ * Expired sessions are removed from the list of the user on the way.
+ *
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} - The sessions
+ */
+export async function listSessions(userId) {
+  const ids = await redisClient.smembers(`sessions_${userId}`);
+  const sessions = [];
+
+  await Promise.all(ids.map(async (id) => {
+    const session = await readSession(id);
+    if (!session || !await redisClient.get(`auth_${id}`)) {
+      await redisClient.srem(`sessions_${userId}`, id);
+      return;
+    }
+
+    sessions.push(session);
+  }));
+
+  return sessions.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+/**
+ * Ends a session of a user
+ *
+ * @param {string} userId - ID of the user
+ * @param {string} sessionId - ID of the session
+ * @returns {Promise<boolean>} - False if the user has no such session
+ */
+export async function revokeSession(userId, sessionId) {
+  const session = await readSession(sessionId);
+  if (!session || session.userId !== userId) {
+    return false;
+  }
+
+  await redisClient.del(`auth_${sessionId}`);
+  await redisClient.del(`session_${sessionId}`);
+  await redisClient.srem(`sessions_${userId}`, sessionId);
+  return true;
+}
+
+/**
+ * Ends the sessions of a user
+ *
+ * @param {string} userId - ID of the user
+ * @param {string|null} exceptId - ID of a session to keep, if any
+ * @returns {Promise<number>} - Number of sessions ended
+ */
+export async function revokeAllSessions(userId, exceptId = null) {
+  const ids = await redisClient.smembers(`sessions_${userId}`);
+  const revoked = await Promise.all(ids
+    .filter((id) => id !== exceptId)
+    .map((id) => revokeSession(userId, id)));
+  return revoked.filter(Boolean).length;
+}
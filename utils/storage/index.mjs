@@ -0,0 +1,82 @@
+// utils/storage/index.mjs
+import LocalStorage from './local';
+import S3Storage from './s3';
+
+// Available storage drivers, by name
+const drivers = {
+  local: LocalStorage,
+  s3: S3Storage,
+};
+
+// Driver instances, created on first use
+const instances = {};
+
+/**
+ * Returns a storage driver by name
+ *
+ * @param {string} name - Name of the driver ('local' or 's3')
+ * @returns {Object} - The driver instance
+ */
+export function getDriver(name) {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new drivers[name]();
+  }
+
+  return instances[name];
+}
+
+/**
+ * Returns the driver used to store new contents, set by STORAGE_DRIVER
+ *
+ * @returns {Object} - The driver instance
+ */
+export function getDefaultDriver() {
+  return getDriver(process.env.STORAGE_DRIVER || 'local');
+}
+
+/**
+ * Returns where the content of a file document or version entry is stored
+ *
+ * Contents stored before storage drivers existed only have a localPath
+ * and are on the local filesystem.
+ *
+ * @param {Object} entry - File document or version entry
+ * @returns {Object} - driver and key of the content, or null without content
+ */
+export function locate(entry) {
+  const key = entry.storageKey || entry.localPath;
+  if (!key) {
+    return null;
+  }
+
+  return { driver: getDriver(entry.storage || 'local'), key };
+}
+
+/**
+ * Returns the key of a thumbnail of a content
+ *
+ * @param {string} key - Key of the original content
+ * @param {number|string} size - Width of the thumbnail
+ * @returns {string} - Key of the thumbnail
+ */
+export function thumbnailKey(key, size) {
+  return `${key}_${size}`;
+}
+
+/**
+ * Returns the fields locating the content of a file document or version
+ * entry, to copy them to another document
+ *
+ * @param {Object} entry - File document or version entry
+ * @returns {Object} - storage and storageKey, or localPath for legacy content
+ */
+export function locationFields(entry) {
+  if (entry.storageKey) {
+    return { storage: entry.storage, storageKey: entry.storageKey };
+  }
+  return { localPath: entry.localPath };
+}
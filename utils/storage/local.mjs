@@ -0,0 +1,116 @@
+// utils/storage/local.mjs
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream';
+import { promisify } from 'util';
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * LocalStorage - Storage driver keeping contents on the local filesystem
+ *
+ * Keys are paths relative to the `blobs` sub-folder of FOLDER_PATH.
+ * Absolute keys are used as is, which covers files stored before
+ * storage drivers existed (their localPath).
+ */
+class LocalStorage {
+  constructor() {
+    this.name = 'local';
+    this.root = path.join(process.env.FOLDER_PATH || '/tmp/files_manager', 'blobs');
+  }
+
+  /**
+   * Returns the path on disk of a key
+   *
+   * @param {string} key - Key of the content
+   * @returns {string} - Absolute path
+   */
+  resolve(key) {
+    return path.isAbsolute(key) ? key : path.join(this.root, key);
+  }
+
+  /**
+   * Stores a local file under a key; the source file is moved
+   *
+   * @param {string} key - Key of the content
+   * @param {string} sourcePath - Path of the file to store
+   * @returns {Promise<void>}
+   */
+  async put(key, sourcePath) {
+    const destination = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.rename(sourcePath, destination);
+  }
+
+  /**
+   * Stores a buffer under a key
+   *
+   * @param {string} key - Key of the content
+   * @param {Buffer} buffer - The content
+   * @returns {Promise<void>}
+   */
+  async putBuffer(key, buffer) {
+    const destination = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.writeFile(destination, buffer);
+  }
+
+  /**
+   * Returns the size and modification date of a content
+   *
+   * @param {string} key - Key of the content
+   * @returns {Promise<Object|null>} - size and lastModified, or null if missing
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Opens a stream on a content, or on a byte range of it
+   *
+   * @param {string} key - Key of the content
+   * @param {Object} range - Optional start and end offsets (inclusive)
+   * @returns {Promise<stream.Readable>} - Stream of the content
+   */
+  async createReadStream(key, range = {}) {
+    return fs.createReadStream(this.resolve(key), range);
+  }
+
+  /**
+   * Reads a whole content in memory
+   *
+   * @param {string} key - Key of the content
+   * @returns {Promise<Buffer>} - The content
+   */
+  async getBuffer(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  /**
+   * Copies a content to a local file
+   *
+   * @param {string} key - Key of the content
+   * @param {string} filePath - Destination path
+   * @returns {Promise<void>}
+   */
+  async download(key, filePath) {
+    await pipelineAsync(await this.createReadStream(key), fs.createWriteStream(filePath));
+  }
+
+  /**
+   * Removes a content; missing contents are ignored
+   *
+   * @param {string} key - Key of the content
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalStorage;
@@ -0,0 +1,150 @@
+// utils/storage/s3.mjs
+import fs from 'fs';
+import { pipeline } from 'stream';
+import { promisify } from 'util';
+import {
+  DeleteObjectCommand, GetObjectCommand, HeadObjectCommand, PutObjectCommand, S3Client,
+} from '@aws-sdk/client-s3';
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * S3Storage - Storage driver for Amazon S3 and S3-compatible servers
+ *
+ * Configured with S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and
+ * S3_SECRET_ACCESS_KEY. Setting S3_ENDPOINT targets an S3-compatible
+ * server such as MinIO, with path-style URLs unless
+ * S3_FORCE_PATH_STYLE is 'false'.
+ */
+class S3Storage {
+  constructor() {
+    this.name = 's3';
+    this.bucket = process.env.S3_BUCKET;
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET is not set');
+    }
+
+    const config = { region: process.env.S3_REGION || 'us-east-1' };
+    if (process.env.S3_ENDPOINT) {
+      config.endpoint = process.env.S3_ENDPOINT;
+      config.forcePathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false';
+    }
+    if (process.env.S3_ACCESS_KEY_ID) {
+      config.credentials = {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      };
+    }
+    this.client = new S3Client(config);
+  }
+
+  /**
+   * Uploads a local file under a key; the source file is then removed
+   *
+   * @param {string} key - Key of the content
+   * @param {string} sourcePath - Path of the file to store
+   * @returns {Promise<void>}
+   */
+  async put(key, sourcePath) {
+    const stats = await fs.promises.stat(sourcePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: stats.size,
+    }));
+    await fs.promises.rm(sourcePath, { force: true });
+  }
+
+  /**
+   * Uploads a buffer under a key
+   *
+   * @param {string} key - Key of the content
+   * @param {Buffer} buffer - The content
+   * @returns {Promise<void>}
+   */
+  async putBuffer(key, buffer) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+    }));
+  }
+
+  /**
+   * Returns the size and modification date of a content
+   *
+   * @param {string} key - Key of the content
+   * @returns {Promise<Object|null>} - size and lastModified, or null if missing
+   */
+  async stat(key) {
+    try {
+      const result = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+      return { size: result.ContentLength, lastModified: result.LastModified };
+    } catch (error) {
+      if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Opens a stream on a content, or on a byte range of it
+   *
+   * @param {string} key - Key of the content
+   * @param {Object} range - Optional start and end offsets (inclusive)
+   * @returns {Promise<stream.Readable>} - Stream of the content
+   */
+  async createReadStream(key, range = {}) {
+    const params = { Bucket: this.bucket, Key: key };
+    if (range.start !== undefined) {
+      params.Range = `bytes=${range.start}-${range.end === undefined ? '' : range.end}`;
+    }
+    const result = await this.client.send(new GetObjectCommand(params));
+    return result.Body;
+  }
+
+  /**
+   * Reads a whole content in memory
+   *
+   * @param {string} key - Key of the content
+   * @returns {Promise<Buffer>} - The content
+   */
+  async getBuffer(key) {
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  }
+
+  /**
+   * Downloads a content to a local file
+   *
+   * @param {string} key - Key of the content
+   * @param {string} filePath - Destination path
+   * @returns {Promise<void>}
+   */
+  async download(key, filePath) {
+    await pipelineAsync(await this.createReadStream(key), fs.createWriteStream(filePath));
+  }
+
+  /**
+   * Removes a content; missing contents are ignored by S3
+   *
+   * @param {string} key - Key of the content
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+  }
+}
+
+export default S3Storage;
@@ -0,0 +1,157 @@
+// utils/totp.mjs
+import crypto from 'crypto';
+import { hashToken } from './password';
+
+/**
+ * Name of the service shown by authenticator apps
+ */
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Files Manager';
+
+// Time step in seconds and number of digits of the codes (RFC 6238 defaults)
+const STEP = 30;
+const DIGITS = 6;
+
+// Codes of the previous and next steps are accepted too, for clock drift
+const WINDOW = 1;
+
+// Number of recovery codes given when two-factor authentication is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes in base32 (RFC 4648, without padding)
+ *
+ * @param {Buffer} buffer - The bytes
+ * @returns {string} - The base32 string
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let encoded = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+}
+
+/**
+ * Decodes a base32 string (RFC 4648, padding and case ignored)
+ *
+ * @param {string} encoded - The base32 string
+ * @returns {Buffer} - The bytes
+ */
+function base32Decode(encoded) {
+  let bits = '';
+  encoded.toUpperCase().replace(/=+$/, '').split('').forEach((char) => {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value >= 0) {
+      bits += value.toString(2).padStart(5, '0');
+    }
+  });
+
+  const bytes = [];
+  for (let index = 0; index + 8 <= bits.length; index += 8) {
+    bytes.push(parseInt(bits.slice(index, index + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Computes the HOTP code of a counter (RFC 4226)
+ *
+ * @param {Buffer} key - The secret key
+ * @param {number} counter - The counter
+ * @returns {string} - The code, padded with zeros
+ */
+function hotp(key, counter) {
+  // 8-byte big-endian counter; time steps fit in the low 32 bits for now
+  const message = Buffer.alloc(8);
+  message.writeUInt32BE(Math.floor(counter / 2 ** 32), 0);
+  message.writeUInt32BE(counter % (2 ** 32), 4);
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+
+  // eslint-disable-next-line no-bitwise
+  const offset = digest[digest.length - 1] & 0x0f;
+  // eslint-disable-next-line no-bitwise
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Generates a new TOTP secret
+ *
+ * @returns {string} - The secret, base32-encoded
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Returns the otpauth:// URI that authenticator apps scan as a QR code
+ *
+ * @param {string} secret - The base32 secret
+ * @param {string} account - Name of the account, such as the email
+ * @returns {string} - The provisioning URI
+ */
+export function provisioningUri(secret, account) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret, issuer: TOTP_ISSUER, algorithm: 'SHA1', digits: DIGITS, period: STEP,
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Checks a TOTP code
+ *
+ * Returns the time step of the code, so the caller can refuse a code
+ * that was already used.
+ *
+ * @param {string} secret - The base32 secret
+ * @param {string} code - The code entered by the user
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - The time step of the code, or null if invalid
+ */
+export function verifyTotp(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP);
+  for (let counter = current - WINDOW; counter <= current + WINDOW; counter += 1) {
+    const expected = hotp(key, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the hash under which a recovery code is stored
+ *
+ * @param {string} code - The recovery code, with or without its dash
+ * @returns {string} - The hash
+ */
+export function hashRecoveryCode(code) {
+  return hashToken(String(code || '').toLowerCase().replace(/[^0-9a-f]/g, ''));
+}
+
+/**
+ * Generates one-time recovery codes
+ *
+ * @returns {Object} - codes to show once, and their hashes to store
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
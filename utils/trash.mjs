@@ -0,0 +1,101 @@
+// utils/trash.mjs
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+import { findDescendants } from './files';
+import { releaseFileContent } from './blobs';
+
+/**
+ * Number of days an item stays in the trash before it is purged
+ */
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || 30, 10);
+
+/**
+ * Moves a file, or a folder with everything below it, to the trash
+ *
+ * Every moved document gets the same deletedAt date and the ID of the
+ * item the user deleted (trashRootId), so they can be restored or
+ * purged together.
+ *
+ * @param {Object} file - The file or folder to trash
+ * @returns {Promise<Date>} - The deletion date
+ */
+export async function trashFile(file) {
+  const deletedAt = new Date();
+  const ids = [file._id];
+
+  if (file.type === 'folder') {
+    const descendants = await findDescendants(file._id, { deletedAt: null });
+    ids.push(...descendants.map((descendant) => descendant._id));
+  }
+
+  await dbClient.db.collection('files').updateMany(
+    { _id: { $in: ids } },
+    { $set: { deletedAt, trashRootId: file._id } },
+  );
+
+  return deletedAt;
+}
+
+/**
+ * Restores an item of the trash along with what was deleted with it
+ *
+ * If the original parent folder no longer exists (or is itself in the
+ * trash), the item is restored at the root.
+ *
+ * @param {Object} file - The trashed item, as listed in the trash
+ * @returns {Promise<Object>} - The restored document
+ */
+export async function restoreFile(file) {
+  const files = dbClient.db.collection('files');
+  let { parentId } = file;
+
+  if (parentId !== 0) {
+    const parent = await files.findOne({ _id: ObjectId(parentId), deletedAt: null });
+    if (!parent) {
+      parentId = 0;
+    }
+  }
+
+  await files.updateMany(
+    { trashRootId: file._id },
+    { $unset: { deletedAt: '', trashRootId: '' } },
+  );
+  await files.updateOne({ _id: file._id }, { $set: { parentId } });
+
+  return files.findOne({ _id: file._id });
+}
+
+/**
+ * Permanently deletes trashed items and releases their content
+ *
+ * The share links and grants of the items are deleted with them.
+ *
+ * @param {Object} query - Filter selecting the trashed documents to purge
+ * @returns {Promise<number>} - Number of deleted documents
+ */
+export async function purgeTrash(query) {
+  const files = dbClient.db.collection('files');
+  const trashed = await files.find({ deletedAt: { $ne: null }, ...query }).toArray();
+  if (trashed.length === 0) {
+    return 0;
+  }
+
+  // Remove the documents first so no request can serve a removed blob
+  const ids = trashed.map((file) => file._id);
+  await files.deleteMany({ _id: { $in: ids } });
+  await dbClient.db.collection('shares').deleteMany({ fileId: { $in: ids } });
+  await dbClient.db.collection('grants').deleteMany({ fileId: { $in: ids } });
+  await Promise.all(trashed.map(releaseFileContent));
+
+  return trashed.length;
+}
+
+/**
+ * Purges the items that stayed in the trash longer than the retention
+ *
+ * @returns {Promise<number>} - Number of deleted documents
+ */
+export function purgeExpiredTrash() {
+  const limit = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return purgeTrash({ deletedAt: { $lt: limit } });
+}
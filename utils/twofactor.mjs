@@ -0,0 +1,106 @@
+// utils/twofactor.mjs
+import crypto from 'crypto';
+import dbClient from './db';
+import redisClient from './redis';
+import { hashRecoveryCode, verifyTotp } from './totp';
+
+/**
+ * Number of seconds to complete a sign-in challenge with a code
+ */
+export const CHALLENGE_TTL = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL || 300, 10);
+
+// Wrong codes accepted for a challenge before it is dropped
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+/**
+ * Checks and uses up a second-factor code of a user
+ *
+ * The code is either a TOTP code from the authenticator app, or one of
+ * the recovery codes. A TOTP code can't be used twice, and a recovery
+ * code is removed once used.
+ *
+ * @param {Object} user - User document with two-factor authentication enabled
+ * @param {string} code - The code entered by the user
+ * @returns {Promise<boolean>} - True if the code was valid
+ */
+export async function useSecondFactor(user, code) {
+  const users = dbClient.db.collection('users');
+  const { twoFactor } = user;
+
+  const counter = verifyTotp(twoFactor.secret, code);
+  if (counter !== null) {
+    // The filter makes concurrent uses of the same code fail
+    const result = await users.updateOne(
+      { _id: user._id, 'twoFactor.lastCounter': { $lt: counter } },
+      { $set: { 'twoFactor.lastCounter': counter } },
+    );
+    return result.matchedCount === 1;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const result = await users.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } },
+  );
+  return result.matchedCount === 1;
+}
+
+/**
+ * Creates the challenge returned by /connect to users with two-factor
+ * authentication, completed with POST /connect/2fa
+ *
+ * @param {string} userId - ID of the user whose password was checked
+ * @returns {Promise<string>} - The challenge token
+ */
+export async function createChallenge(userId) {
+  const challenge = crypto.randomBytes(24).toString('base64url');
+  await redisClient.set(`2fa_${challenge}`, userId, CHALLENGE_TTL);
+  return challenge;
+}
+
+/**
+ * Takes a pending challenge, for a single request to check a code
+ *
+ * The challenge is removed until failChallenge puts it back, so
+ * concurrent requests can't use it, nor a code, at the same time.
+ *
+ * @param {string} challenge - The challenge token
+ * @returns {Promise<Object|null>} - userId and seconds left (ttl), or null
+ *   if expired, unknown or being checked
+ */
+export async function claimChallenge(challenge) {
+  const key = `2fa_${challenge}`;
+  const [userId, ttl] = await Promise.all([redisClient.get(key), redisClient.ttl(key)]);
+  if (!userId || await redisClient.del(key) !== 1) {
+    return null;
+  }
+  return { userId, ttl };
+}
+
+/**
+ * Records a wrong code for a claimed challenge, putting it back until
+ * too many codes were wrong
+ *
+ * @param {string} challenge - The challenge token
+ * @param {Object} claim - The claim returned by claimChallenge
+ * @returns {Promise<void>}
+ */
+export async function failChallenge(challenge, { userId, ttl }) {
+  const key = `2fa_attempts_${challenge}`;
+  const attempts = await redisClient.incr(key);
+  await redisClient.expire(key, CHALLENGE_TTL);
+
+  if (attempts < CHALLENGE_MAX_ATTEMPTS && ttl > 0) {
+    await redisClient.set(`2fa_${challenge}`, userId, ttl);
+  }
+}
+
+/**
+ * Ends a claimed challenge once completed
+ *
+ * @param {string} challenge - The challenge token
+ * @returns {Promise<void>}
+ */
+export async function completeChallenge(challenge) {
+  await redisClient.del(`2fa_attempts_${challenge}`);
+}
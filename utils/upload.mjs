@@ -0,0 +1,281 @@
+// utils/upload.mjs
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline, Transform } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import Busboy from 'busboy';
+
+/**
+ * Seconds of inactivity after which a resumable upload session expires
+ */
+export const UPLOAD_SESSION_TTL = parseInt(process.env.UPLOAD_SESSION_TTL || 86400, 10);
+
+/**
+ * Returns the folder where file contents are stored, creating it if needed
+ *
+ * @returns {Promise<string>} - Absolute path of the storage folder
+ */
+export async function getStorageFolder() {
+  const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
+  await fs.promises.mkdir(folderPath, { recursive: true });
+  return folderPath;
+}
+
+/**
+ * Returns a new path for temporary content in the storage folder
+ *
+ * Uploads are written there first, then moved to their blob once their
+ * checksum is known.
+ *
+ * @returns {Promise<string>} - Absolute path of a file that does not exist yet
+ */
+export async function getTempPath() {
+  const folderPath = path.join(await getStorageFolder(), 'tmp');
+  await fs.promises.mkdir(folderPath, { recursive: true });
+  return path.join(folderPath, uuidv4());
+}
+
+/**
+ * Creates a pass-through stream limiting the size of the data
+ *
+ * The stream fails with the EMAXSIZE error code as soon as more than
+ * maxBytes would go through; the chunks before that one are passed on.
+ *
+ * @param {number} maxBytes - Maximum number of bytes to pass on
+ * @param {Function} onChunk - Called with each chunk passed on
+ * @returns {stream.Transform} - The stream
+ */
+function limitSize(maxBytes, onChunk) {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (size + chunk.length > maxBytes) {
+        const error = new Error('Maximum size exceeded');
+        error.code = 'EMAXSIZE';
+        callback(error);
+        return;
+      }
+      size += chunk.length;
+      onChunk(chunk);
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Streams content to a temporary file in the storage folder
+ *
+ * The size and SHA-256 checksum are computed while the data is written,
+ * so the content never has to be held in memory. A partially written
+ * file is removed if the stream fails, including when it is longer than
+ * maxBytes (EMAXSIZE error code).
+ *
+ * @param {stream.Readable} source - Stream with the file content
+ * @param {number} maxBytes - Maximum size of the content
+ * @returns {Promise<Object>} - localPath, size and checksum of the stored file
+ */
+export async function saveStream(source, maxBytes = Infinity) {
+  const localPath = await getTempPath();
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  // Pass-through stream measuring the content on its way to disk
+  const meter = limitSize(maxBytes, (chunk) => {
+    size += chunk.length;
+    hash.update(chunk);
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(source, meter, fs.createWriteStream(localPath), (error) => {
+      if (error) {
+        fs.unlink(localPath, () => reject(error));
+        return;
+      }
+      resolve({ localPath, size, checksum: hash.digest('hex') });
+    });
+  });
+}
+
+/**
+ * Writes an in-memory buffer to a temporary file in the storage folder
+ *
+ * @param {Buffer} buffer - The file content
+ * @returns {Promise<Object>} - localPath, size and checksum of the stored file
+ */
+export async function saveBuffer(buffer) {
+  const localPath = await getTempPath();
+  await fs.promises.writeFile(localPath, buffer);
+  return {
+    localPath,
+    size: buffer.length,
+    checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+  };
+}
+
+/**
+ * Removes temporary content that will not be stored as a blob
+ *
+ * @param {Object} content - Object returned by saveStream or saveBuffer
+ * @returns {Promise<void>}
+ */
+export async function discardContent(content) {
+  try {
+    await fs.promises.unlink(content.localPath);
+  } catch (error) {
+    console.error(`Error removing file: ${error.message}`);
+  }
+}
+
+/**
+ * Parses a multipart/form-data request
+ *
+ * Text fields are collected in an object and the first file part is
+ * streamed to the storage folder. Any additional file part is ignored.
+ * The size of the file part is limited by getMaxBytes, called with the
+ * fields sent before it: the request fails with the EMAXSIZE error code
+ * as soon as the part is longer, and the rest of the body is discarded.
+ *
+ * @param {Object} req - Express request object
+ * @param {Function} getMaxBytes - Returns (a promise of) the maximum
+ *   size of the file part
+ * @returns {Promise<Object>} - fields, and content (null when no file was sent)
+ */
+export function parseMultipart(req, getMaxBytes = () => Infinity) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1 } });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const fields = {};
+    let saving = null;
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on('file', (name, stream, info) => {
+      saving = Promise.resolve(getMaxBytes({ ...fields }))
+        .then((maxBytes) => saveStream(stream, maxBytes))
+        .then((content) => ({ ...content, filename: info.filename }));
+      // Drain the part if it wasn't saved, and stop reading the request
+      // right away when the part is too long; the catch also avoids an
+      // unhandled rejection before 'close' is emitted
+      saving.catch((error) => {
+        stream.resume();
+        if (error.code === 'EMAXSIZE') {
+          req.unpipe(busboy);
+          req.resume();
+          reject(error);
+        }
+      });
+    });
+
+    busboy.on('error', (error) => {
+      if (saving) {
+        saving.then(discardContent, () => {});
+      }
+      reject(error);
+    });
+
+    busboy.on('close', () => {
+      Promise.resolve(saving)
+        .then((content) => resolve({ fields, content }))
+        .catch(reject);
+    });
+
+    req.pipe(busboy);
+  });
+}
+
+/**
+ * Returns the path of the partial file of a resumable upload session
+ *
+ * Partial files live in an `uploads` sub-folder of the storage folder, so
+ * they can be moved into place without copying once the upload completes.
+ *
+ * @param {string} sessionId - ID of the upload session
+ * @returns {Promise<string>} - Absolute path of the partial file
+ */
+export async function getPartPath(sessionId) {
+  const folderPath = path.join(await getStorageFolder(), 'uploads');
+  await fs.promises.mkdir(folderPath, { recursive: true });
+  return path.join(folderPath, sessionId);
+}
+
+/**
+ * Appends a stream to a file
+ *
+ * The stream fails with the EMAXSIZE error code as soon as more than
+ * maxBytes would be written; the data received before that chunk is kept.
+ *
+ * @param {stream.Readable} source - Stream with the data to append
+ * @param {string} filePath - File to append to
+ * @param {number} maxBytes - Maximum number of bytes to append
+ * @returns {Promise<number>} - Number of bytes appended
+ */
+export function appendStream(source, filePath, maxBytes = Infinity) {
+  let written = 0;
+  const limiter = limitSize(maxBytes, (chunk) => {
+    written += chunk.length;
+  });
+
+  return new Promise((resolve, reject) => {
+    pipeline(source, limiter, fs.createWriteStream(filePath, { flags: 'a' }), (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(written);
+    });
+  });
+}
+
+/**
+ * Computes the SHA-256 checksum of a file without loading it in memory
+ *
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>} - Hexadecimal checksum
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Removes partial files of upload sessions that were abandoned
+ *
+ * @param {number} maxAge - Age in seconds after which a partial file is removed
+ * @returns {Promise<number>} - Number of removed files
+ */
+export async function removeExpiredParts(maxAge) {
+  const folderPath = path.join(await getStorageFolder(), 'uploads');
+  let names;
+  try {
+    names = await fs.promises.readdir(folderPath);
+  } catch (error) {
+    return 0;
+  }
+
+  const limit = Date.now() - maxAge * 1000;
+  const removed = await Promise.all(names.map(async (name) => {
+    const filePath = path.join(folderPath, name);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.mtimeMs >= limit) {
+      return false;
+    }
+    await fs.promises.unlink(filePath);
+    return true;
+  }));
+
+  return removed.filter(Boolean).length;
+}
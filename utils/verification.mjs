@@ -0,0 +1,106 @@
+// utils/verification.mjs
+import crypto from 'crypto';
+import dbClient from './db';
+import { hashToken } from './password';
+import { sendMail } from './mail';
+
+/**
+ * Number of seconds an email verification link stays valid
+ */
+export const VERIFICATION_TOKEN_TTL = parseInt(process.env.VERIFICATION_TOKEN_TTL || 604800, 10);
+
+/**
+ * Whether users must verify their email before uploading, set by
+ * REQUIRE_VERIFIED_EMAIL=true
+ */
+export const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+// Loose check of the shape of an email: something@domain.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Tells whether a string looks like an email address
+ *
+ * @param {*} email - The value to check
+ * @returns {boolean} - True if it is a string shaped like an email
+ */
+export function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Tells whether a user verified their email
+ *
+ * Users created before email verification existed count as verified.
+ *
+ * @param {Object} user - User document
+ * @returns {boolean} - False only for users still to verify their email
+ */
+export function isEmailVerified(user) {
+  return user.emailVerified !== false;
+}
+
+/**
+ * Creates the email verification token of a user
+ *
+ * Only the hash of the token is stored on the user, replacing any
+ * previous one.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<string>} - The token
+ */
+export async function createVerificationToken(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await dbClient.db.collection('users').updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        emailVerification: {
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL * 1000),
+        },
+      },
+    },
+  );
+  return token;
+}
+
+/**
+ * Marks the email of a user as verified with a verification token
+ *
+ * @param {string} token - The token from the verification link
+ * @returns {Promise<boolean>} - False if the token is unknown, used or expired
+ */
+export async function verifyEmail(token) {
+  const result = await dbClient.db.collection('users').updateOne(
+    {
+      'emailVerification.tokenHash': hashToken(token),
+      'emailVerification.expiresAt': { $gt: new Date() },
+    },
+    { $set: { emailVerified: true }, $unset: { emailVerification: '' } },
+  );
+  return result.matchedCount === 1;
+}
+
+/**
+ * Sends the welcome email of a user, with their verification link
+ *
+ * The link points to GET /users/verify/:token on APP_URL.
+ *
+ * @param {Object} user - User document
+ * @param {string} token - The verification token
+ * @returns {Promise<void>}
+ */
+export async function sendWelcomeMail(user, token) {
+  const appUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`)
+    .replace(/\/$/, '');
+  const hours = Math.round(VERIFICATION_TOKEN_TTL / 3600);
+
+  await sendMail(
+    user.email,
+    'Welcome to Files Manager',
+    'Welcome to Files Manager!\n\n'
+      + `Open this link to verify your email:\n${appUrl}/users/verify/${token}\n\n`
+      + `It expires in ${hours} hours.`,
+  );
+}
@@ -0,0 +1,107 @@
+// utils/versions.mjs
+import dbClient from './db';
+import { addThumbnailJob, pendingThumbnails } from './queue';
+import { releaseBlob } from './blobs';
+import { locationFields } from './storage';
+
+/**
+ * Maximum number of versions kept for a file, including the current one
+ */
+export const MAX_FILE_VERSIONS = Math.max(parseInt(process.env.MAX_FILE_VERSIONS || 10, 10), 1);
+
+/**
+ * Returns the current version of a file as a version entry
+ *
+ * Files uploaded before versioning existed are at version 1.
+ *
+ * @param {Object} file - File document from the database
+ * @returns {Object} - version, location of the content, size, checksum and createdAt
+ */
+export function currentVersion(file) {
+  return {
+    version: file.version || 1,
+    ...locationFields(file),
+    size: file.size,
+    checksum: file.checksum,
+    createdAt: file.updatedAt || file._id.getTimestamp(),
+  };
+}
+
+/**
+ * Finds a version of a file, current or previous
+ *
+ * @param {Object} file - File document from the database
+ * @param {number} version - The version number
+ * @returns {Object|null} - The version entry, or null if it doesn't exist
+ */
+export function findVersion(file, version) {
+  const current = currentVersion(file);
+  if (version === current.version) {
+    return current;
+  }
+
+  return (file.versions || []).find((entry) => entry.version === version) || null;
+}
+
+/**
+ * Lists the versions of a file for API responses, newest first
+ *
+ * @param {Object} file - File document from the database
+ * @returns {Array} - version, size, checksum, createdAt and current flag
+ */
+export function formatVersions(file) {
+  const current = currentVersion(file);
+  return [current, ...(file.versions || []).slice().reverse()].map((entry) => ({
+    version: entry.version,
+    size: entry.size,
+    checksum: entry.checksum,
+    createdAt: entry.createdAt,
+    current: entry.version === current.version,
+  }));
+}
+
+/**
+ * Makes stored content the new current version of a file
+ *
+ * The previous content is kept in the versions history, and the oldest
+ * versions beyond MAX_FILE_VERSIONS are removed and their blobs released.
+ * The update only applies if the file was not changed concurrently.
+ *
+ * @param {Object} file - File document from the database
+ * @param {Object} content - storage, storageKey, size and checksum of the new content
+ * @returns {Promise<Object|null>} - The updated document, or null on conflict
+ */
+export async function addVersion(file, content) {
+  const versions = [...(file.versions || []), currentVersion(file)];
+  const removed = versions.splice(0, Math.max(versions.length - (MAX_FILE_VERSIONS - 1), 0));
+
+  const update = {
+    storage: content.storage,
+    storageKey: content.storageKey,
+    size: content.size,
+    checksum: content.checksum,
+    version: (file.version || 1) + 1,
+    updatedAt: new Date(),
+    versions,
+  };
+  if (file.type === 'image') {
+    update.thumbnails = pendingThumbnails();
+  }
+
+  const result = await dbClient.db.collection('files').findOneAndUpdate(
+    { _id: file._id, version: file.version || null },
+    { $set: update, $unset: { localPath: '' } },
+    { returnDocument: 'after' },
+  );
+  if (!result.value) {
+    return null;
+  }
+
+  await Promise.all(removed.map(releaseBlob));
+
+  if (file.type === 'image') {
+    await addThumbnailJob(file.userId, file._id);
+  }
+
+  return result.value;
+}
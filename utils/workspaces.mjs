@@ -0,0 +1,79 @@
+// utils/workspaces.mjs
+import { ObjectId } from 'mongodb';
+import dbClient from './db';
+
+/**
+ * Roles of the members of a workspace
+ *
+ * The owner manages roles, admins manage members and invitations, and
+ * every member can read and upload files.
+ */
+export const WORKSPACE_ROLES = ['owner', 'admin', 'member'];
+
+// Rank of each role, the owner having every right
+const ROLE_RANKS = { member: 1, admin: 2, owner: 3 };
+
+/**
+ * Finds a workspace that a user is a member of
+ *
+ * @param {ObjectId|string} workspaceId - ID of the workspace
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object|null>} - workspace document and role of the
+ *   user, or null if the user is not a member
+ */
+export async function findMembership(workspaceId, userId) {
+  if (!userId || !ObjectId.isValid(String(workspaceId))) {
+    return null;
+  }
+
+  const workspace = await dbClient.db.collection('workspaces').findOne({
+    _id: ObjectId(String(workspaceId)),
+    'members.userId': ObjectId(userId),
+  });
+  if (!workspace) {
+    return null;
+  }
+
+  const member = workspace.members.find((item) => item.userId.toString() === userId);
+  return { workspace, role: member.role };
+}
+
+/**
+ * Returns the role of a user in a workspace
+ *
+ * @param {ObjectId|string} workspaceId - ID of the workspace
+ * @param {string} userId - ID of the user
+ * @returns {Promise<string|null>} - Role of the user, or null if not a member
+ */
+export async function getMemberRole(workspaceId, userId) {
+  const membership = await findMembership(workspaceId, userId);
+  return membership ? membership.role : null;
+}
+
+/**
+ * Checks whether a workspace role gives at least the rights of another
+ *
+ * @param {string|null} role - Role of the user, as returned by getMemberRole
+ * @param {string} required - The minimum role
+ * @returns {boolean} - True if the role is sufficient
+ */
+export function hasMemberRole(role, required) {
+  return !!role && ROLE_RANKS[role] >= ROLE_RANKS[required];
+}
+
+/**
+ * Formats a workspace document for API responses
+ *
+ * @param {Object} workspace - Workspace document from the database
+ * @param {string} role - Role of the requesting user in the workspace
+ * @returns {Object} - Public representation of the workspace
+ */
+export function formatWorkspace(workspace, role) {
+  return {
+    id: workspace._id.toString(),
+    name: workspace.name,
+    role,
+    memberCount: workspace.members.length,
+    createdAt: workspace._id.getTimestamp(),
+  };
+}
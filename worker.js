@@ -1,498 +1,272 @@
-// controllers/FilesController.js
-import { v4 as uuidv4 } from 'uuid';
+// worker.js
 import fs from 'fs';
-import path from 'path';
-import mime from 'mime-types';
 import { ObjectId } from 'mongodb';
-import Queue from 'bull';
-import redisClient from '../utils/redis';
-import dbClient from '../utils/db';
-
-// Create a Bull queue for file processing
-const fileQueue = new Queue('fileQueue');
-
-class FilesController {
-  /**
-   * Uploads a new file or creates a new folder
-   * 
-   * This endpoint handles the creation of three types of items:
-   * 1. Folders - organizational units in the database
-   * 2. Files - text or binary files stored on disk
-   * 3. Images - specialized files specifically marked as images
-   * 
-   * Files and images are stored both in the database (metadata)
-   * and on disk (content), while folders exist only in the database.
-   * 
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Object} - JSON response with new file data or error message
-   */
-  static async postUpload(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Extract file information from request body
-    const { name, type, parentId = 0, isPublic = false, data } = req.body;
-
-    // Validate required fields
-    if (!name) {
-      return res.status(400).json({ error: 'Missing name' });
-    }
-
-    // Validate file type
-    const acceptedTypes = ['folder', 'file', 'image'];
-    if (!type || !acceptedTypes.includes(type)) {
-      return res.status(400).json({ error: 'Missing type' });
-    }
-
-    // Validate data for file and image types
-    if (!data && type !== 'folder') {
-      return res.status(400).json({ error: 'Missing data' });
-    }
-
-    // If parentId is provided, verify parent exists and is a folder
-    if (parentId !== 0) {
-      let parent;
-      try {
-        parent = await dbClient.db.collection('files').findOne({
-          _id: ObjectId(parentId),
-        });
-      } catch (error) {
-        return res.status(400).json({ error: 'Parent not found' });
-      }
-
-      if (!parent) {
-        return res.status(400).json({ error: 'Parent not found' });
-      }
-
-      if (parent.type !== 'folder') {
-        return res.status(400).json({ error: 'Parent is not a folder' });
-      }
-    }
+import imageThumbnail from 'image-thumbnail';
+import dbClient from './utils/db';
+import {
+  THUMBNAIL_SIZES, copyQueue, extractQueue, fileQueue, maintenanceQueue, userQueue,
+} from './utils/queue';
+import { UPLOAD_SESSION_TTL, getTempPath, removeExpiredParts } from './utils/upload';
+import { purgeExpiredTrash } from './utils/trash';
+import { copyItems, planCopy } from './utils/copy';
+import {
+  formatFile, getOwnerForParent, getRole, hasRole, validateParent,
+} from './utils/files';
+import { locate, thumbnailKey } from './utils/storage';
+import { releaseBlob } from './utils/blobs';
+import { extractArchive } from './utils/extract';
+import { createVerificationToken, isEmailVerified, sendWelcomeMail } from './utils/verification';
+
+// Interval in ms between two runs of each maintenance job
+const MAINTENANCE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Stores one thumbnail of an image and marks it as ready
+ *
+ * @param {Object} file - Image document from the database
+ * @param {Buffer} image - Content of the image
+ * @param {number} size - Width of the thumbnail in pixels
+ * @returns {Promise<void>}
+ */
+async function generateThumbnail(file, image, size) {
+  const { driver, key } = locate(file);
+  const thumbnail = await imageThumbnail(image, { width: size });
+  await driver.putBuffer(thumbnailKey(key, size), thumbnail);
+  await dbClient.db.collection('files').updateOne(
+    { _id: file._id },
+    { $set: { [`thumbnails.${size}`]: 'ready' } },
+  );
+}
 
-    // Create the file document for the database
-    const fileDocument = {
-      userId: ObjectId(userId),
-      name,
-      type,
-      isPublic,
-      parentId,
-    };
-
-    // If it's a folder, simply save to database
-    if (type === 'folder') {
-      const result = await dbClient.db.collection('files').insertOne(fileDocument);
-      // Return the new folder information
-      return res.status(201).json({
-        id: result.insertedId.toString(),
-        userId,
-        name,
-        type,
-        isPublic,
-        parentId,
-      });
-    }
+/**
+ * Generates the thumbnails of an image
+ *
+ * Each width in THUMBNAIL_SIZES is stored next to the original content,
+ * under `<key>_<width>` in the same storage, and marked as ready on the
+ * file document. Sizes that are already ready are skipped so that a
+ * retried job only redoes the thumbnails that failed.
+ *
+ * @param {Object} job - Bull job with the userId and fileId of the image
+ * @returns {Promise<void>}
+ */
+async function processThumbnails(job) {
+  const { fileId, userId } = job.data;
+
+  // Invalid jobs can never succeed, so they are not retried
+  if (!fileId) {
+    job.discard();
+    throw new Error('Missing fileId');
+  }
 
-    // For files and images, store the content on disk
-    // Get the storage folder path
-    const folderPath = process.env.FOLDER_PATH || '/tmp/files_manager';
-    
-    // Create the storage folder if it doesn't exist
-    try {
-      if (!fs.existsSync(folderPath)) {
-        fs.mkdirSync(folderPath, { recursive: true });
-      }
-    } catch (error) {
-      console.error(`Error creating folder: ${error.message}`);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
+  if (!userId) {
+    job.discard();
+    throw new Error('Missing userId');
+  }
 
-    // Generate a unique filename
-    const filename = uuidv4();
-    const localPath = path.join(folderPath, filename);
-
-    // Decode and save the file
-    try {
-      // Decode the Base64 data
-      const fileContent = Buffer.from(data, 'base64');
-      // Write the file to disk
-      fs.writeFileSync(localPath, fileContent);
-    } catch (error) {
-      console.error(`Error saving file: ${error.message}`);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
+  // The connection is established asynchronously; retry later if needed
+  if (!dbClient.isAlive()) {
+    throw new Error('Database not available');
+  }
 
-    // Add the local path to the file document and save to database
-    fileDocument.localPath = localPath;
-    const result = await dbClient.db.collection('files').insertOne(fileDocument);
+  const file = await dbClient.db.collection('files').findOne({
+    _id: ObjectId(fileId),
+    userId: ObjectId(userId),
+  });
 
-    // For image files, add a job to the processing queue
-    if (type === 'image') {
-      fileQueue.add({
-        userId: userId.toString(),
-        fileId: result.insertedId.toString()
-      });
-    }
+  if (!file) {
+    job.discard();
+    throw new Error('File not found');
+  }
 
-    // Return the new file information (without localPath)
-    return res.status(201).json({
-      id: result.insertedId.toString(),
-      userId,
-      name,
-      type,
-      isPublic,
-      parentId,
-    });
+  const { driver, key } = locate(file);
+  const thumbnails = file.thumbnails || {};
+  let image = null;
+  for (const size of THUMBNAIL_SIZES) {
+    // Sizes are generated one at a time to bound memory usage
+    /* eslint-disable no-await-in-loop */
+    if (thumbnails[size] !== 'ready' || !await driver.stat(thumbnailKey(key, size))) {
+      // The original is only read when a thumbnail is missing
+      image = image || await driver.getBuffer(key);
+      await generateThumbnail(file, image, size);
+    }
+    /* eslint-enable no-await-in-loop */
   }
+}
 
-  /**
-   * Retrieves a single file by ID
-   * 
-   * This endpoint returns detailed information about a specific file,
-   * including its name, type, parent folder, and visibility settings.
-   * Users can only access files they own or files marked as public.
-   * 
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Object} - JSON response with file data or error message
-   */
-  static async getShow(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+/**
+ * Marks the thumbnails that are still pending as failed
+ *
+ * Called once a job has used all of its attempts.
+ *
+ * @param {Object} job - The failed Bull job
+ * @returns {Promise<void>}
+ */
+async function markThumbnailsFailed(job) {
+  const { fileId } = job.data;
+  if (!fileId || !dbClient.isAlive()) {
+    return;
+  }
 
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+  // Only overwrite the sizes that did not complete
+  await Promise.all(THUMBNAIL_SIZES.map((size) => dbClient.db.collection('files').updateOne(
+    { _id: ObjectId(fileId), [`thumbnails.${size}`]: { $ne: 'ready' } },
+    { $set: { [`thumbnails.${size}`]: 'failed' } },
+  )));
+}
 
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
-    
-    // Find the file in the database
-    let file;
-    try {
-      file = await dbClient.db.collection('files').findOne({
-        _id: ObjectId(fileId),
-        userId: ObjectId(userId),
-      });
-    } catch (error) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+fileQueue.process(processThumbnails);
 
-    // If file not found, return error
-    if (!file) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+fileQueue.on('failed', (job, error) => {
+  console.error(`Thumbnail job ${job.id} failed: ${error.message}`);
 
-    // Return the file information
-    return res.status(200).json({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
+  const attempts = job.opts.attempts || 1;
+  if (job.attemptsMade >= attempts || job.isDiscarded()) {
+    markThumbnailsFailed(job).catch((err) => {
+      console.error(`Error updating thumbnails status: ${err.message}`);
     });
   }
-
-  /**
-   * Lists files with pagination
-   * 
-   * This endpoint returns a paginated list of files for the authenticated user,
-   * optionally filtered by a parent folder ID. It implements server-side
-   * pagination to efficiently handle large file collections.
-   * 
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Array} - JSON array of file data objects or error message
-   */
-  static async getIndex(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Extract pagination and filtering parameters
-    const parentId = req.query.parentId || 0;
-    const page = parseInt(req.query.page || 0, 10);
-    
-    // Calculate pagination offset (20 items per page)
-    const pageSize = 20;
-    const skip = page * pageSize;
-
-    // Build the query for finding files
-    const query = {
-      userId: ObjectId(userId),
-    };
-
-    // Add parentId filter if it's not the root (0)
-    if (parentId !== 0) {
-      query.parentId = parentId;
-    }
-
-    // Fetch paginated files from the database
-    const files = await dbClient.db.collection('files')
-      .find(query)
-      .skip(skip)
-      .limit(pageSize)
-      .toArray();
-
-    // Transform the results for the response
-    const filesWithStringIds = files.map((file) => ({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    }));
-
-    // Return the list of files
-    return res.status(200).json(filesWithStringIds);
+});
+
+/**
+ * Copies a file or folder tree for a POST /files/:id/copy request
+ *
+ * The source and destination are checked again, since they may have
+ * changed while the job was waiting. Progress is reported as the
+ * percentage of items copied.
+ *
+ * @param {Object} job - Bull job with the userId, fileId and parentId
+ * @returns {Promise<Object>} - The copied file, as returned by the API
+ */
+async function processCopy(job) {
+  const { userId, fileId, parentId } = job.data;
+
+  if (!dbClient.isAlive()) {
+    throw new Error('Database not available');
   }
 
-  /**
-   * Makes a file public
-   * 
-   * This endpoint updates a file's visibility to public, allowing it
-   * to be accessed by users other than the owner. Only the file owner
-   * can publish their files.
-   * 
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Object} - JSON response with updated file data or error message
-   */
-  static async putPublish(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
-    
-    // Find the file in the database
-    let file;
-    try {
-      // Find the file and update its isPublic status in one operation
-      file = await dbClient.db.collection('files').findOneAndUpdate(
-        { _id: ObjectId(fileId), userId: ObjectId(userId) },
-        { $set: { isPublic: true } },
-        { returnDocument: 'after' } // Return the updated document
-      );
-      
-      // Extract the updated file from the result
-      file = file.value;
-    } catch (error) {
-      return res.status(404).json({ error: 'Not found' });
-    }
-
-    // If file not found, return error
-    if (!file) {
-      return res.status(404).json({ error: 'Not found' });
-    }
-
-    // Return the updated file information
-    return res.status(200).json({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    });
+  const file = await dbClient.db.collection('files').findOne({
+    _id: ObjectId(fileId),
+    deletedAt: null,
+  });
+  if (!file || !hasRole(await getRole(file, userId), 'viewer')) {
+    throw new Error('File not found');
   }
 
-  /**
-   * Makes a file private
-   * 
-   * This endpoint updates a file's visibility to private, restricting
-   * access to only the owner. Only the file owner can unpublish their files.
-   * 
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Object} - JSON response with updated file data or error message
-   */
-  static async putUnpublish(req, res) {
-    // Retrieve the token from request headers
-    const token = req.headers['x-token'];
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+  const validationError = await validateParent(parentId, userId, 'editor');
+  if (validationError) {
+    throw new Error(validationError);
+  }
 
-    // Get user ID from Redis using token
-    const key = `auth_${token}`;
-    const userId = await redisClient.get(key);
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+  const ownerId = await getOwnerForParent(parentId, userId);
+  const { items } = await planCopy(file);
+  const copy = await copyItems(items, parentId, ownerId, (progress) => job.progress(progress));
+  return formatFile(copy);
+}
 
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
-    
-    // Find the file in the database
-    let file;
-    try {
-      // Find the file and update its isPublic status in one operation
-      file = await dbClient.db.collection('files').findOneAndUpdate(
-        { _id: ObjectId(fileId), userId: ObjectId(userId) },
-        { $set: { isPublic: false } },
-        { returnDocument: 'after' } // Return the updated document
-      );
-      
-      // Extract the updated file from the result
-      file = file.value;
-    } catch (error) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+copyQueue.process(processCopy);
+
+/**
+ * Extracts a ZIP archive uploaded with POST /files/extract
+ *
+ * The archive was stored as a blob by the API; it is copied to a
+ * temporary file, since reading a ZIP needs random access, and its
+ * blob is released once the job ends, whatever the outcome.
+ *
+ * @param {Object} job - Bull job with the userId, parentId, isPublic and archive
+ * @returns {Promise<Object>} - Number of folders and files created
+ */
+async function processExtract(job) {
+  const {
+    userId, parentId, isPublic, archive,
+  } = job.data;
+
+  if (!dbClient.isAlive()) {
+    throw new Error('Database not available');
+  }
 
-    // If file not found, return error
-    if (!file) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+  const tempPath = await getTempPath();
+  try {
+    const validationError = await validateParent(parentId, userId);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const { driver, key } = locate(archive);
+    await driver.download(key, tempPath);
+    return await extractArchive(
+      tempPath,
+      { userId, parentId, isPublic },
+      (progress) => job.progress(progress),
+    );
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+    await releaseBlob(archive);
+  }
+}
 
-    // Return the updated file information
-    return res.status(200).json({
-      id: file._id.toString(),
-      userId: file.userId.toString(),
-      name: file.name,
-      type: file.type,
-      isPublic: file.isPublic,
-      parentId: file.parentId,
-    });
+extractQueue.process(processExtract);
+
+/**
+ * Sends the welcome email of a new user, with a link to verify the email
+ *
+ * Each run creates a new verification token, so only the link of the
+ * last email sent works.
+ *
+ * @param {Object} job - Bull job with the userId
+ * @returns {Promise<void>}
+ */
+async function processWelcome(job) {
+  const { userId } = job.data;
+
+  if (!userId) {
+    job.discard();
+    throw new Error('Missing userId');
   }
 
-  /**
-   * Retrieves the content of a file
-   * 
-   * This endpoint returns the actual content of a file, with the appropriate MIME type.
-   * It includes access control checks to ensure only public files or files owned by
-   * the authenticated user are accessible. For images, it supports size parameters
-   * to retrieve thumbnails.
-   * 
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @returns {Stream} - File content with appropriate MIME type
-   */
-  static async getFile(req, res) {
-    // Extract file ID from request parameters
-    const fileId = req.params.id;
-    
-    // Find the file in the database, regardless of owner
-    let file;
-    try {
-      file = await dbClient.db.collection('files').findOne({
-        _id: ObjectId(fileId)
-      });
-    } catch (error) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+  if (!dbClient.isAlive()) {
+    throw new Error('Database not available');
+  }
 
-    // If file not found, return error
-    if (!file) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+  const user = await dbClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+  if (!user) {
+    job.discard();
+    throw new Error('User not found');
+  }
 
-    // Check permissions - file must be public or owned by authenticated user
-    if (!file.isPublic) {
-      // Get token from headers
-      const token = req.headers['x-token'];
-      if (!token) {
-        return res.status(404).json({ error: 'Not found' });
-      }
-
-      // Get user ID from Redis
-      const key = `auth_${token}`;
-      const userId = await redisClient.get(key);
-      if (!userId) {
-        return res.status(404).json({ error: 'Not found' });
-      }
-
-      // Check if user is the owner of the file
-      if (file.userId.toString() !== userId) {
-        return res.status(404).json({ error: 'Not found' });
-      }
-    }
+  // Nothing to verify anymore
+  if (isEmailVerified(user)) {
+    return;
+  }
 
-    // If the file is a folder, return an error
-    if (file.type === 'folder') {
-      return res.status(400).json({ error: "A folder doesn't have content" });
-    }
+  const token = await createVerificationToken(user);
+  await sendWelcomeMail(user, token);
+}
 
-    // Check if the file exists on disk
-    if (!file.localPath || !fs.existsSync(file.localPath)) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+userQueue.process(processWelcome);
 
-    // Get the size query parameter (for thumbnails)
-    const size = req.query.size;
-    
-    // Determine which file to send based on size parameter
-    let filePath = file.localPath;
-    
-    // If size is specified and the file is an image, try to use the thumbnail
-    if (size && file.type === 'image') {
-      // Validate size parameter
-      const allowedSizes = ['500', '250', '100'];
-      if (!allowedSizes.includes(size)) {
-        return res.status(400).json({ error: 'Invalid size parameter' });
-      }
-      
-      // Construct the thumbnail path
-      const thumbnailPath = `${file.localPath}_${size}`;
-      
-      // Check if the thumbnail exists
-      if (fs.existsSync(thumbnailPath)) {
-        filePath = thumbnailPath;
-      } else {
-        return res.status(404).json({ error: 'Not found' });
-      }
-    }
+// Remove the data of abandoned resumable uploads once their session expired
+maintenanceQueue.process('expireUploads', async () => {
+  const removed = await removeExpiredParts(UPLOAD_SESSION_TTL);
+  return { removed };
+});
 
-    // Check if the selected file exists on disk
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'Not found' });
-    }
+maintenanceQueue.add('expireUploads', {}, {
+  repeat: { every: MAINTENANCE_INTERVAL },
+  removeOnComplete: true,
+});
 
-    // Determine the MIME type based on the file name
-    const mimeType = mime.lookup(file.name) || 'application/octet-stream';
-    
-    // Read and return the file content with the correct MIME type
-    const fileContent = fs.readFileSync(filePath);
-    res.setHeader('Content-Type', mimeType);
-    return res.send(fileContent);
+// Empty the trash of the items older than TRASH_RETENTION_DAYS
+maintenanceQueue.process('emptyTrash', async () => {
+  if (!dbClient.isAlive()) {
+    throw new Error('Database not available');
   }
-}
+  const purged = await purgeExpiredTrash();
+  return { purged };
+});
+
+maintenanceQueue.add('emptyTrash', {}, {
+  repeat: { every: MAINTENANCE_INTERVAL },
+  removeOnComplete: true,
+});
 
-export default FilesController;
+console.log('Worker started, waiting for jobs');